@@ -23,12 +23,15 @@ const GAME_CONFIG = {
 
     // Gameplay settings
     PLAYER_SPEED: 4, // tiles per second
-    ENCOUNTER_RATE: 0.1, // probability per step in encounter zone
+    ENCOUNTER_RATE: 0.1, // probability per step in encounter zone, for encounter tables without a rate
+    PATH_SEARCH_LIMIT: 1000, // most tiles a path search looks at before giving up
     MAX_PARTY_SIZE: 6,
     MAX_MONSTER_LEVEL: 100,
+    MAX_ABILITIES: 4, // abilities a monster can know at once
 
     // Debug settings
     DEBUG: true,
+    SEED: null, // seed for gameplay randomness (null = random seed each session)
     SHOW_GRID: true
 };
 
@@ -47,27 +50,15 @@ const TILE_TYPES = {
     GRASS: 2,
     WATER: 3,
     DOOR: 4,
-    ENCOUNTER: 5
+    ENCOUNTER: 5,
+    LEDGE_DOWN: 6,
+    LEDGE_LEFT: 7,
+    LEDGE_RIGHT: 8,
+    ICE: 9
 };
 
-// Monster types
-const MONSTER_TYPES = {
-    NORMAL: 'normal',
-    FIRE: 'fire',
-    WATER: 'water',
-    GRASS: 'grass',
-    ELECTRIC: 'electric',
-    ICE: 'ice',
-    FIGHTING: 'fighting',
-    POISON: 'poison',
-    GROUND: 'ground',
-    FLYING: 'flying',
-    PSYCHIC: 'psychic',
-    BUG: 'bug',
-    ROCK: 'rock',
-    GHOST: 'ghost',
-    DRAGON: 'dragon'
-};
+// Monster types, filled from data/types by DataManager (e.g. MONSTER_TYPES.FIRE = 'fire')
+const MONSTER_TYPES = {};
 
 // Monster stat names
 const MONSTER_STATS = {
@@ -79,13 +70,118 @@ const MONSTER_STATS = {
     SPEED: 'speed'
 };
 
+// Effort value limits, per stat and across all stats
+const EV_LIMITS = {
+    STAT: 255,
+    TOTAL: 510
+};
+
+// Stats that can be raised or lowered in battle (stat stages)
+const BATTLE_STATS = {
+    ATTACK: 'attack',
+    DEFENSE: 'defense',
+    SP_ATTACK: 'specialAttack',
+    SP_DEFENSE: 'specialDefense',
+    SPEED: 'speed',
+    ACCURACY: 'accuracy',
+    EVASION: 'evasion'
+};
+
+// Stat stage limits
+const STAT_STAGE_LIMIT = 6;
+
+// Major status conditions (one at a time, kept after battle)
+const STATUS_CONDITIONS = {
+    SLEEP: 'sleep',
+    PARALYSIS: 'paralysis',
+    FREEZE: 'freeze',
+    BURN: 'burn',
+    POISON: 'poison',
+    BADLY_POISONED: 'badly-poisoned'
+};
+
+// Volatile status conditions (cleared when the monster leaves the field)
+const VOLATILE_STATUSES = {
+    CONFUSION: 'confusion',
+    FLINCH: 'flinch',
+    SEEDED: 'seeded'
+};
+
+// Battle weather
+const WEATHER_TYPES = {
+    RAIN: 'rain',
+    SUN: 'sun',
+    HAIL: 'hail'
+};
+
+// Conditions set on one side of the battle (entry hazards, screens and other team effects)
+const SIDE_CONDITIONS = {
+    SPIKES: 'spikes',
+    TOXIC_SPIKES: 'toxic-spikes',
+    REFLECT: 'reflect',
+    LIGHT_SCREEN: 'light-screen',
+    MIST: 'mist',
+    TAILWIND: 'tailwind'
+};
+
+// Monster types that can't receive a status condition
+const STATUS_IMMUNITIES = {
+    'burn': ['fire'],
+    'freeze': ['ice'],
+    'paralysis': ['electric'],
+    'poison': ['poison'],
+    'badly-poisoned': ['poison'],
+    'seeded': ['grass']
+};
+
+// Enemy battle AI profiles
+const AI_PROFILES = {
+    RANDOM: 'random',
+    GREEDY: 'greedy',
+    SMART: 'smart'
+};
+
+// Battle formats (active monsters per side)
+const BATTLE_FORMATS = {
+    SINGLE: 'single',
+    DOUBLE: 'double'
+};
+
+// Active monster slots per side for each battle format
+const BATTLE_SLOTS = {
+    single: 1,
+    double: 2
+};
+
+// Who an ability targets (the ability's `target` field)
+const ABILITY_TARGETS = {
+    OPPONENT: 'opponent',
+    ALL_OPPONENTS: 'all-opponents',
+    ALL: 'all',
+    ALLY: 'ally',
+    SELF: 'self',
+    FIELD: 'field'
+};
+
+// Points in a battle where hooks run (see BattleSystem.addHook)
+const BATTLE_HOOKS = {
+    BEFORE_MOVE: 'before-move',
+    MODIFY_DAMAGE: 'modify-damage',
+    ON_HIT: 'on-hit',
+    BEFORE_STATUS: 'before-status',
+    END_OF_TURN: 'end-of-turn',
+    ON_SWITCH: 'on-switch'
+};
+
 // Item types
 const ITEM_TYPES = {
     POTION: 'potion',
     BALL: 'ball',
     KEY: 'key',
+    LEVEL: 'level',
     EVOLUTION: 'evolution',
-    BATTLE: 'battle'
+    BATTLE: 'battle',
+    HELD: 'held'
 };
 
 // Direction constants
@@ -96,6 +192,45 @@ const DIRECTIONS = {
     RIGHT: { x: 1, y: 0 }
 };
 
+// Directions of map connections (the `direction` of a map's connections)
+const MAP_DIRECTIONS = {
+    north: DIRECTIONS.UP,
+    south: DIRECTIONS.DOWN,
+    west: DIRECTIONS.LEFT,
+    east: DIRECTIONS.RIGHT
+};
+
+// Traversal rules by tile type, filled from data/tiles by DataManager (e.g. TILE_RULES[TILE_TYPES.WATER].requires = 'surf')
+const TILE_RULES = {};
+
+// Ways to meet wild monsters, each with its own encounter table on a map
+const ENCOUNTER_METHODS = {
+    GRASS: 'grass',
+    CAVE: 'cave',
+    WATER: 'water',
+    FISHING: 'fishing'
+};
+
+// Encounter method of each encounter tile type, unless the map says otherwise (encounters.tiles)
+const ENCOUNTER_TILE_METHODS = {
+    [TILE_TYPES.GRASS]: ENCOUNTER_METHODS.GRASS,
+    [TILE_TYPES.WATER]: ENCOUNTER_METHODS.WATER,
+    [TILE_TYPES.ENCOUNTER]: ENCOUNTER_METHODS.GRASS
+};
+
+// Times of day and the hour each one starts at (local time)
+const TIMES_OF_DAY = {
+    MORNING: 'morning',
+    DAY: 'day',
+    NIGHT: 'night'
+};
+
+const TIME_OF_DAY_HOURS = {
+    morning: 4,
+    day: 10,
+    night: 18
+};
+
 // Game events
 const EVENTS = {
     // Player events
@@ -111,6 +246,7 @@ const EVENTS = {
     MONSTER_EVOLVE: 'monster-evolve',
     MONSTER_FAINTED: 'monster-fainted',
     MONSTER_CAUGHT: 'monster-caught',
+    TRAINER_DEFEATED: 'trainer-defeated',
 
     // UI events
     DIALOG_START: 'dialog-start',
@@ -131,23 +267,7 @@ const COLORS = {
     // Entity colors
     PLAYER: 0x3498db,
     NPC: 0xe74c3c,
-    MONSTER: {
-        NORMAL: 0xa9a9a9,
-        FIRE: 0xe74c3c,
-        WATER: 0x3498db,
-        GRASS: 0x2ecc71,
-        ELECTRIC: 0xf1c40f,
-        ICE: 0x00ffff,
-        FIGHTING: 0x8b0000,
-        POISON: 0x9b59b6,
-        GROUND: 0xd35400,
-        FLYING: 0x85c1e9,
-        PSYCHIC: 0xff69b4,
-        BUG: 0xadff2f,
-        ROCK: 0xa0522d,
-        GHOST: 0x663399,
-        DRAGON: 0x7d3c98
-    },
+    MONSTER: {}, // Type colors, filled from data/types by DataManager
     ITEM: 0xf1c40f,
 
     // Tile colors
@@ -156,7 +276,9 @@ const COLORS = {
         WALL: 0x2c3e50,    // Dark blue/gray
         GRASS: 0x2ecc71,   // Green
         WATER: 0x3498db,   // Blue
-        DOOR: 0x8b4513     // Brown
+        DOOR: 0x8b4513,    // Brown
+        LEDGE: 0x7f8c3d,   // Olive
+        ICE: 0xd6f0fa      // Pale blue
     },
 
     // UI colors
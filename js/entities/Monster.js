@@ -21,10 +21,16 @@ class Monster {
         this.name = data.name;
 
         /**
-         * Monster type
+         * Monster type (primary type for dual-typed monsters)
          * @type {string}
          */
-        this.type = data.type;
+        this.type = data.types ? data.types[0] : data.type;
+
+        /**
+         * Monster types (primary, then secondary if any)
+         * @type {string[]}
+         */
+        this.types = data.types || [data.type];
 
         /**
          * Monster level
@@ -80,12 +86,24 @@ class Monster {
          */
         this.abilities = data.abilities || [];
 
+        /**
+         * Current and max PP per ability ID ({ current, max })
+         * @type {Object}
+         */
+        this.pp = data.pp || {};
+
         /**
          * Current status effect
          * @type {string|null}
          */
         this.status = data.status || null;
 
+        /**
+         * Turns left before the status wears off (sleep)
+         * @type {number}
+         */
+        this.statusTurns = data.statusTurns || 0;
+
         /**
          * Base catch rate
          * @type {number}
@@ -149,6 +167,7 @@ class Monster {
             id: this.id,
             name: this.name,
             type: this.type,
+            types: this.types,
             level: this.level,
             experience: this.experience,
             nextLevelExperience: this.nextLevelExperience,
@@ -158,7 +177,9 @@ class Monster {
             ivs: this.ivs,
             evs: this.evs,
             abilities: this.abilities,
+            pp: this.pp,
             status: this.status,
+            statusTurns: this.statusTurns,
             catchRate: this.catchRate,
             shape: this.shape
         };
@@ -52,12 +52,19 @@ class Player {
         this.inventory = [];
 
         /**
-         * Player progress
+         * Player money (won from trainers)
+         * @type {number}
+         */
+        this.money = 0;
+
+        /**
+         * Player progress (defeated trainers are keyed by map ID and NPC ID)
          * @type {Object}
          */
         this.progress = {
             badges: 0,
-            quests: {}
+            quests: {},
+            trainers: {}
         };
 
         /**
@@ -118,6 +125,7 @@ class Player {
             position: this.position,
             party: this.party,
             inventory: this.inventory,
+            money: this.money,
             progress: this.progress
         });
     }
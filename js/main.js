@@ -47,18 +47,22 @@ document.addEventListener('DOMContentLoaded', function() {
         position: { x: 5, y: 5, map: 'hometown' },
         party: [],
         inventory: [],
+        money: 0,
         progress: {
             badges: 0,
-            quests: {}
+            quests: {},
+            trainers: {}
         }
     });
 
     /**
-     * Event system initialization
-     * Creates a global event emitter for cross-scene communication
+     * Event system and random number generator initialization
+     * Creates a global event emitter for cross-scene communication, and the
+     * seeded generator every system rolls with
      */
     game.events.once('boot', function() {
         game.registry.set('eventSystem', new EventSystem(game));
+        game.registry.set('random', new SeededRandom(GAME_CONFIG.SEED));
         console.log('MonsterQuest started - Game initialized');
     });
 });
\ No newline at end of file
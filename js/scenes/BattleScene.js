@@ -47,18 +47,18 @@ class BattleScene extends Phaser.Scene {
             battleEnded: false
         };
 
-        // UI elements
+        // UI elements (platforms, sprites and info boxes are kept per side, by slot)
         this.ui = {
             background: null,
-            playerPlatform: null,
-            enemyPlatform: null,
-            playerMonsterSprite: null,
-            enemyMonsterSprite: null,
-            playerMonsterInfo: null,
-            enemyMonsterInfo: null,
+            platforms: { player: [], enemy: [] },
+            monsterSprites: { player: [], enemy: [] },
+            infoBoxes: { player: [], enemy: [] },
             actionMenu: null,
             abilityMenu: null,
+            targetMenu: null,
             monsterMenu: null,
+            learnMenu: null,
+            confirmMenu: null,
             messageBox: null,
             currentMessage: null
         };
@@ -72,13 +72,53 @@ class BattleScene extends Phaser.Scene {
             catchAttempt: null
         };
 
+        // Battle format requested by the world scene (see BATTLE_FORMATS)
+        this.format = this.initData.format === BATTLE_FORMATS.DOUBLE ? BATTLE_FORMATS.DOUBLE : BATTLE_FORMATS.SINGLE;
+
+        // Monsters currently shown on the field by slot (can lag behind the battle state during playback)
+        this.displayedMonsters = {
+            player: [],
+            enemy: []
+        };
+
+        // Weather currently shown by the overlay
+        this.displayedWeather = null;
+
         // Input handling properties
         this.inputEnabled = false;
 
         // Selected menu options
         this.selectedAction = 0;
         this.selectedAbility = 0;
+        this.selectedTarget = 0;
         this.selectedMonster = 0;
+        this.selectedLearnOption = 0;
+        this.selectedConfirmOption = 0;
+
+        // Ability learning prompt waiting for the player's choice ({ monster, abilityId, options, callback })
+        this.learnPrompt = null;
+
+        // Yes/No question waiting for the player's answer ({ callback })
+        this.confirmPrompt = null;
+
+        // What the monster menu is picking for ('turn' = switch as the turn's action,
+        // 'response' = switch before a trainer sends out the next monster,
+        // 'forced' = replace a fainted monster, can't be cancelled)
+        this.monsterMenuMode = 'turn';
+
+        // Callback run once the trainer's next monster has been sent out
+        this.sendOutCallback = null;
+
+        // Player slot choosing an action, and the actions chosen so far this turn
+        this.actingSlot = 0;
+        this.chosenActions = [];
+
+        // Ability waiting for the player to pick a target
+        this.targetAbilityId = null;
+
+        // Battle log being replayed (see BattleSystem.startReplay), and whether it went differently this time
+        this.replaying = !!this.initData.replay;
+        this.replayMismatch = false;
     }
 
     /**
@@ -92,8 +132,8 @@ class BattleScene extends Phaser.Scene {
      * Create game objects and setup scene
      */
     create() {
-        // Create battle system
-        this.battleSystem = new BattleSystem(this);
+        // Create battle system (a replay draws no seeds from the game's generator, so it doesn't disturb the game's sequence)
+        this.battleSystem = new BattleSystem(this, this.replaying ? { random: new SeededRandom() } : {});
 
         // Create monster system (get from battle system to reuse instance)
         this.monsterSystem = this.battleSystem.getMonsterSystem();
@@ -105,7 +145,11 @@ class BattleScene extends Phaser.Scene {
         this.setupInput();
 
         // Start battle
-        this.startBattle();
+        if (this.replaying) {
+            this.startReplay();
+        } else {
+            this.startBattle();
+        }
 
         // Register event listeners
         this.events.on('shutdown', this.shutdown, this);
@@ -126,9 +170,25 @@ class BattleScene extends Phaser.Scene {
         // Create battle background
         this.ui.background = this.add.rectangle(0, 0, width, height, 0x87CEEB).setOrigin(0);
 
-        // Create battle platforms
-        this.ui.enemyPlatform = this.add.ellipse(width * 0.25, height * 0.3, 160, 60, 0x555555);
-        this.ui.playerPlatform = this.add.ellipse(width * 0.75, height * 0.6, 160, 60, 0x555555);
+        // Create battle platforms, one per slot
+        const layout = this.getFieldLayout();
+
+        ['enemy', 'player'].forEach(side => {
+            this.ui.platforms[side] = layout[side].map(position =>
+                this.add.ellipse(position.x, position.y, 160 * layout.scale / 2, 60 * layout.scale / 2, 0x555555)
+            );
+        });
+
+        // Create weather overlay (drawn behind monsters and menus)
+        this.ui.weatherOverlay = this.add.container(0, 0);
+
+        // Create side condition icons below each side's first platform
+        this.ui.sideConditionIcons = {};
+
+        ['enemy', 'player'].forEach(side => {
+            const position = layout[side][0];
+            this.ui.sideConditionIcons[side] = this.add.container(position.x, position.y + 30 * layout.scale / 2 + 14);
+        });
 
         // Create monster info boxes
         this.createMonsterInfoBoxes();
@@ -139,96 +199,131 @@ class BattleScene extends Phaser.Scene {
         // Create ability menu (initially hidden)
         this.createAbilityMenu();
 
+        // Create target menu for double battles (initially hidden)
+        this.createTargetMenu();
+
         // Create monster selection menu (initially hidden)
         this.createMonsterMenu();
 
+        // Create ability learning menu (initially hidden)
+        this.createLearnMenu();
+
+        // Create Yes/No menu (initially hidden)
+        this.createConfirmMenu();
+
         // Create message box
         this.createMessageBox();
     }
 
     /**
-     * Create monster info boxes
+     * Get the positions of the platforms and info boxes for the battle format
+     * @returns {Object} Object with player and enemy platform positions by slot, info box positions by slot (playerInfo,
+     * enemyInfo) and the sprite scale
      * @private
      */
-    createMonsterInfoBoxes() {
+    getFieldLayout() {
         const width = this.cameras.main.width;
         const height = this.cameras.main.height;
 
-        // Create enemy monster info box
-        this.ui.enemyMonsterInfo = this.add.container(width * 0.75, height * 0.2);
-
-        // Enemy monster info background
-        const enemyInfoBg = this.add.rectangle(0, 0, 250, 80, 0x333333, 0.8).setOrigin(0.5);
-        this.ui.enemyMonsterInfo.add(enemyInfoBg);
-
-        // Enemy monster name text
-        this.ui.enemyMonsterName = this.add.text(-100, -30, 'Enemy Monster', {
-            font: '18px Arial',
-            fill: '#ffffff'
-        }).setOrigin(0, 0.5);
-        this.ui.enemyMonsterInfo.add(this.ui.enemyMonsterName);
+        if (this.format === BATTLE_FORMATS.DOUBLE) {
+            // Two smaller monsters per side, the second one further back
+            return {
+                enemy: [{ x: width * 0.17, y: height * 0.3 }, { x: width * 0.37, y: height * 0.24 }],
+                player: [{ x: width * 0.62, y: height * 0.6 }, { x: width * 0.85, y: height * 0.62 }],
+                enemyInfo: [{ x: width * 0.75, y: height * 0.1 }, { x: width * 0.75, y: height * 0.27 }],
+                playerInfo: [{ x: width * 0.25, y: height * 0.62 }, { x: width * 0.25, y: height * 0.8 }],
+                scale: 1.5
+            };
+        }
 
-        // Enemy monster level text
-        this.ui.enemyMonsterLevel = this.add.text(100, -30, 'Lv. 1', {
-            font: '16px Arial',
-            fill: '#ffffff'
-        }).setOrigin(1, 0.5);
-        this.ui.enemyMonsterInfo.add(this.ui.enemyMonsterLevel);
+        return {
+            enemy: [{ x: width * 0.25, y: height * 0.3 }],
+            player: [{ x: width * 0.75, y: height * 0.6 }],
+            enemyInfo: [{ x: width * 0.75, y: height * 0.2 }],
+            playerInfo: [{ x: width * 0.25, y: height * 0.7 }],
+            scale: 2
+        };
+    }
 
-        // Enemy monster HP bar background
-        const enemyHpBarBg = this.add.rectangle(0, 0, 200, 15, 0x666666).setOrigin(0.5);
-        this.ui.enemyMonsterInfo.add(enemyHpBarBg);
+    /**
+     * Create monster info boxes, one per slot
+     * @private
+     */
+    createMonsterInfoBoxes() {
+        const layout = this.getFieldLayout();
 
-        // Enemy monster HP bar
-        this.ui.enemyMonsterHpBar = this.add.rectangle(-100, 0, 200, 15, 0x00ff00).setOrigin(0, 0.5);
-        this.ui.enemyMonsterInfo.add(this.ui.enemyMonsterHpBar);
+        this.ui.infoBoxes.enemy = layout.enemyInfo.map(position => this.createInfoBox(position.x, position.y));
+        this.ui.infoBoxes.player = layout.playerInfo.map(position => this.createInfoBox(position.x, position.y));
+    }
 
-        // Enemy monster HP text
-        this.ui.enemyMonsterHp = this.add.text(0, 20, 'HP', {
-            font: '14px Arial',
-            fill: '#ffffff'
-        }).setOrigin(0.5);
-        this.ui.enemyMonsterInfo.add(this.ui.enemyMonsterHp);
+    /**
+     * Create a monster info box
+     * Hidden until a monster is shown in its slot
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {Object} Info box with its container, background, name, level, hpBar, hp, stages, statusBg and status
+     * @private
+     */
+    createInfoBox(x, y) {
+        const box = {};
 
-        // Create player monster info box
-        this.ui.playerMonsterInfo = this.add.container(width * 0.25, height * 0.7);
+        // Create info box container
+        box.container = this.add.container(x, y);
 
-        // Player monster info background
-        const playerInfoBg = this.add.rectangle(0, 0, 250, 80, 0x333333, 0.8).setOrigin(0.5);
-        this.ui.playerMonsterInfo.add(playerInfoBg);
+        // Info box background
+        box.background = this.add.rectangle(0, 0, 250, 100, 0x333333, 0.8).setOrigin(0.5);
+        box.container.add(box.background);
 
-        // Player monster name text
-        this.ui.playerMonsterName = this.add.text(-100, -30, 'Player Monster', {
+        // Monster name text
+        box.name = this.add.text(-100, -30, 'Monster', {
             font: '18px Arial',
             fill: '#ffffff'
         }).setOrigin(0, 0.5);
-        this.ui.playerMonsterInfo.add(this.ui.playerMonsterName);
+        box.container.add(box.name);
 
-        // Player monster level text
-        this.ui.playerMonsterLevel = this.add.text(100, -30, 'Lv. 1', {
+        // Monster level text
+        box.level = this.add.text(100, -30, 'Lv. 1', {
             font: '16px Arial',
             fill: '#ffffff'
         }).setOrigin(1, 0.5);
-        this.ui.playerMonsterInfo.add(this.ui.playerMonsterLevel);
+        box.container.add(box.level);
 
-        // Player monster HP bar background
-        const playerHpBarBg = this.add.rectangle(0, 0, 200, 15, 0x666666).setOrigin(0.5);
-        this.ui.playerMonsterInfo.add(playerHpBarBg);
+        // HP bar background
+        const hpBarBg = this.add.rectangle(0, 0, 200, 15, 0x666666).setOrigin(0.5);
+        box.container.add(hpBarBg);
 
-        // Player monster HP bar
-        this.ui.playerMonsterHpBar = this.add.rectangle(-100, 0, 200, 15, 0x00ff00).setOrigin(0, 0.5);
-        this.ui.playerMonsterInfo.add(this.ui.playerMonsterHpBar);
+        // HP bar
+        box.hpBar = this.add.rectangle(-100, 0, 200, 15, 0x00ff00).setOrigin(0, 0.5);
+        box.container.add(box.hpBar);
 
-        // Player monster HP text
-        this.ui.playerMonsterHp = this.add.text(0, 20, 'HP', {
+        // HP text
+        box.hp = this.add.text(0, 20, 'HP', {
             font: '14px Arial',
             fill: '#ffffff'
         }).setOrigin(0.5);
-        this.ui.playerMonsterInfo.add(this.ui.playerMonsterHp);
+        box.container.add(box.hp);
+
+        // Stat stage text
+        box.stages = this.add.text(0, 38, '', {
+            font: '12px Arial',
+            fill: '#ffff99'
+        }).setOrigin(0.5);
+        box.container.add(box.stages);
+
+        // Status badge
+        box.statusBg = this.add.rectangle(-80, 20, 40, 16, 0x000000).setOrigin(0.5);
+        box.container.add(box.statusBg);
+
+        box.status = this.add.text(-80, 20, '', {
+            font: '12px Arial',
+            fill: '#ffffff'
+        }).setOrigin(0.5);
+        box.container.add(box.status);
 
-        // Hide monster info until battle starts
-        this.ui.enemyMonsterInfo.visible = false;
-        this.ui.playerMonsterInfo.visible = false;
+        // Hide info box until battle starts
+        box.container.visible = false;
+
+        return box;
     }
 
     /**
@@ -321,6 +416,51 @@ class BattleScene extends Phaser.Scene {
         this.ui.abilityMenu.visible = false;
     }
 
+    /**
+     * Create target menu
+     * Lets the player pick which opponent a single-target ability hits in a double battle
+     * @private
+     */
+    createTargetMenu() {
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+
+        // Create target menu container
+        this.ui.targetMenu = this.add.container(width * 0.75, height * 0.8);
+
+        // Target menu background
+        const targetMenuBg = this.add.rectangle(0, 0, 300, 150, 0x333333, 0.8).setOrigin(0.5);
+        this.ui.targetMenu.add(targetMenuBg);
+
+        // Target menu title
+        const title = this.add.text(0, -55, 'Choose a target', {
+            font: '16px Arial',
+            fill: '#ffffff'
+        }).setOrigin(0.5);
+        this.ui.targetMenu.add(title);
+
+        // Placeholder target buttons (populated when the menu is shown)
+        this.ui.targetButtons = [];
+
+        // Create back button
+        const backButtonBg = this.add.rectangle(0, 60, 120, 30, 0x555555).setInteractive();
+        this.ui.targetMenu.add(backButtonBg);
+
+        const backButtonText = this.add.text(0, 60, 'Back', {
+            font: '16px Arial',
+            fill: '#ffffff'
+        }).setOrigin(0.5);
+        this.ui.targetMenu.add(backButtonText);
+
+        // Add back button event
+        backButtonBg.on('pointerdown', () => {
+            this.showAbilityMenu();
+        });
+
+        // Hide target menu until needed
+        this.ui.targetMenu.visible = false;
+    }
+
     /**
      * Create monster selection menu
      * @private
@@ -336,12 +476,12 @@ class BattleScene extends Phaser.Scene {
         const monsterMenuBg = this.add.rectangle(0, 0, 400, 350, 0x333333, 0.8).setOrigin(0.5);
         this.ui.monsterMenu.add(monsterMenuBg);
 
-        // Monster menu title
-        const monsterMenuTitle = this.add.text(0, -150, 'Switch Monster', {
+        // Monster menu title (changed for forced switches)
+        this.ui.monsterMenuTitle = this.add.text(0, -150, 'Switch Monster', {
             font: '24px Arial',
             fill: '#ffffff'
         }).setOrigin(0.5);
-        this.ui.monsterMenu.add(monsterMenuTitle);
+        this.ui.monsterMenu.add(this.ui.monsterMenuTitle);
 
         // Placeholder monster buttons (will be populated when battle starts)
         this.ui.monsterButtons = [];
@@ -358,13 +498,92 @@ class BattleScene extends Phaser.Scene {
 
         // Add back button event
         backButtonBg.on('pointerdown', () => {
-            this.showActionMenu();
+            this.closeMonsterMenu();
         });
 
+        // Forced switches hide the back button
+        this.ui.monsterBackButton = { bg: backButtonBg, text: backButtonText };
+
         // Hide monster menu until needed
         this.ui.monsterMenu.visible = false;
     }
 
+    /**
+     * Create ability learning menu
+     * @private
+     */
+    createLearnMenu() {
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+
+        // Create learn menu container
+        this.ui.learnMenu = this.add.container(width * 0.5, height * 0.5);
+
+        // Learn menu background
+        const learnMenuBg = this.add.rectangle(0, 0, 400, 320, 0x333333, 0.8).setOrigin(0.5);
+        this.ui.learnMenu.add(learnMenuBg);
+
+        // Learn menu title (set when the menu is shown)
+        this.ui.learnMenuTitle = this.add.text(0, -130, '', {
+            font: '18px Arial',
+            fill: '#ffffff'
+        }).setOrigin(0.5);
+        this.ui.learnMenu.add(this.ui.learnMenuTitle);
+
+        // Placeholder option buttons (populated when the menu is shown)
+        this.ui.learnButtons = [];
+
+        // Hide learn menu until needed
+        this.ui.learnMenu.visible = false;
+    }
+
+    /**
+     * Create Yes/No menu
+     * Shown next to the message box, which holds the question
+     * @private
+     */
+    createConfirmMenu() {
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+
+        // Create confirm menu container
+        this.ui.confirmMenu = this.add.container(width * 0.8, height * 0.72);
+
+        // Confirm menu background
+        const confirmMenuBg = this.add.rectangle(0, 0, 120, 100, 0x333333, 0.8).setOrigin(0.5);
+        this.ui.confirmMenu.add(confirmMenuBg);
+
+        // Yes and No buttons
+        this.ui.confirmButtons = [];
+
+        ['Yes', 'No'].forEach((option, index) => {
+            const y = index === 0 ? -22 : 22;
+
+            const buttonBg = this.add.rectangle(0, y, 100, 36, COLORS.UI.BUTTON).setInteractive();
+            this.ui.confirmMenu.add(buttonBg);
+
+            const buttonText = this.add.text(0, y, option, {
+                font: '16px Arial',
+                fill: '#ffffff'
+            }).setOrigin(0.5);
+            this.ui.confirmMenu.add(buttonText);
+
+            this.ui.confirmButtons.push({ bg: buttonBg, text: buttonText });
+
+            buttonBg.on('pointerover', () => {
+                this.selectedConfirmOption = index;
+                this.highlightConfirmButton(index);
+            });
+
+            buttonBg.on('pointerdown', () => {
+                this.handleConfirmSelection(index);
+            });
+        });
+
+        // Hide confirm menu until needed
+        this.ui.confirmMenu.visible = false;
+    }
+
     /**
      * Create message box
      * @private
@@ -434,33 +653,89 @@ class BattleScene extends Phaser.Scene {
             this.playerData.party = playerTeam;
         }
 
-        // Create a random enemy monster for wild battles
+        // Trainer parties and wild monsters from the map's encounter tables are passed in by the world scene
         let enemyTeam = [];
 
         if (this.initData.enemy) {
             // Use provided enemy data
             enemyTeam = Array.isArray(this.initData.enemy) ? this.initData.enemy : [this.initData.enemy];
         } else {
-            // Create a random enemy
+            // Started without enemies (e.g. on its own): create a random enemy for each slot
             const monsterIds = ['monster-001', 'monster-004'];
-            const randomMonsterId = monsterIds[Math.floor(Math.random() * monsterIds.length)];
-            const randomLevel = Math.max(1, playerTeam[0].level - 2 + Math.floor(Math.random() * 5));
+            const random = this.monsterSystem.getRandom();
 
-            const enemyMonster = this.monsterSystem.createMonster(randomMonsterId, randomLevel);
-            enemyTeam = [enemyMonster];
+            for (let slot = 0; slot < BATTLE_SLOTS[this.format]; slot++) {
+                const randomMonsterId = random.pick(monsterIds);
+                const randomLevel = Math.max(1, playerTeam[0].level + random.integer(-2, 2));
+
+                enemyTeam.push(this.monsterSystem.createMonster(randomMonsterId, randomLevel));
+            }
         }
 
         // Determine battle type
         const battleType = this.initData.battleType || 'wild';
 
+        // An Exp Share in the bag gives benched monsters a cut of the experience
+        const expShareItem = (this.playerData.inventory || [])
+            .map(item => dataManager.get('items', item.id))
+            .find(item => item && item.effect && item.effect.expShare);
+
         // Start battle in battle system
         const battleState = this.battleSystem.startBattle({
             playerTeam: playerTeam,
             enemyTeam: enemyTeam,
             battleType: battleType,
-            trainer: this.initData.trainer
+            trainer: this.initData.trainer,
+            weather: this.initData.weather,
+            format: this.format,
+            expShare: expShareItem ? expShareItem.effect.expShare : 0
+        });
+
+        // Show the battle, then the action menu
+        this.showBattleStart(battleState, [], () => {
+            this.startActionSelection();
+        });
+
+        if (this.debug) {
+            console.log('BattleScene: Battle started', battleState);
+        }
+    }
+
+    /**
+     * Start replaying a logged battle
+     * Plays back the logged commands without menus; the player only advances the messages
+     * @private
+     */
+    startReplay() {
+        const replay = this.battleSystem.startReplay(this.initData.replay);
+
+        if (!replay.success) {
+            this.showMessage(replay.message, () => {
+                this.returnToWorld();
+            });
+            return;
+        }
+
+        // The field follows the logged battle's format
+        this.format = replay.battleState.format;
+
+        this.showBattleStart(replay.battleState, ['Replaying the last battle...'], () => {
+            this.playReplayEntry();
         });
 
+        if (this.debug) {
+            console.log('BattleScene: Replay started', replay.battleState);
+        }
+    }
+
+    /**
+     * Show the monsters, the start message and the weather of a new battle
+     * @param {Object} battleState - Battle state from the battle system
+     * @param {Array} messages - Messages to show before the start message
+     * @param {function} callback - Callback when the messages have been shown
+     * @private
+     */
+    showBattleStart(battleState, messages, callback) {
         // Store battle state
         this.battleState = battleState;
 
@@ -470,209 +745,839 @@ class BattleScene extends Phaser.Scene {
         // Update monster info displays
         this.updateMonsterInfo();
 
+        // Weather a starting monster's trait brought is announced with the trait, after the map's weather
+        const entryEffects = battleState.entryEffects || [];
+        const entryWeather = entryEffects.find(effect => effect.type === 'field');
+        const mapWeather = entryWeather ? entryWeather.previous : battleState.weather;
+
+        // Show the map's weather
+        this.updateWeatherOverlay(mapWeather);
+
         // Show message about battle start
         let startMessage = '';
 
-        if (battleType === 'wild') {
-            startMessage = `A wild ${battleState.activeEnemyMonster.name} appeared!`;
-        } else if (battleType === 'trainer') {
-            const trainerName = this.initData.trainer ? this.initData.trainer.name : 'Trainer';
+        if (battleState.battleType === 'wild') {
+            const names = this.battleSystem.getActiveMonsters('enemy').map(monster => monster.name);
+            startMessage = `A wild ${names.join(' and ')} appeared!`;
+        } else if (battleState.battleType === 'trainer') {
+            const trainerName = battleState.trainer ? battleState.trainer.name : 'Trainer';
             startMessage = `${trainerName} challenges you to a battle!`;
         }
 
-        // Show start message and then action menu
-        this.showMessage(startMessage, () => {
-            this.showActionMenu();
-        });
+        // Show start message and the weather
+        this.battleState.messageQueue = messages.concat([startMessage]);
 
-        if (this.debug) {
-            console.log('BattleScene: Battle started', battleState);
+        if (mapWeather) {
+            this.queueMessage(this.getWeatherMessage({ weather: mapWeather, applied: true, ongoing: true }));
+        }
+
+        // Traits and held items of the starting monsters
+        if (entryEffects.length > 0) {
+            this.queueEffectMessages({ effects: entryEffects });
+            this.queueCallback(() => {
+                this.updateMonsterInfo();
+                this.updateWeatherOverlay(this.battleState.weather);
+                this.updateSideConditionIcons(this.battleState.field);
+            });
         }
+
+        this.processMessageQueue(callback);
     }
 
     /**
-     * Create monster sprites
+     * Play back the next command of the replayed battle
      * @private
      */
-    createMonsterSprites() {
-        const width = this.cameras.main.width;
-        const height = this.cameras.main.height;
+    playReplayEntry() {
+        const step = this.battleSystem.replayNextEntry();
 
-        // Create enemy monster sprite
-        const enemyMonster = this.battleState.activeEnemyMonster;
-
-        if (enemyMonster) {
-            // Remove existing sprite if any
-            if (this.ui.enemyMonsterSprite) {
-                this.ui.enemyMonsterSprite.destroy();
-            }
+        if (!step.success) {
+            // The log doesn't fit this game's data any more
+            this.replayMismatch = true;
+            this.finishReplay();
+            return;
+        }
 
-            // Create enemy monster sprite
-            this.ui.enemyMonsterSprite = this.monsterSystem.createMonsterSprite(
-                enemyMonster,
-                this.ui.enemyPlatform.x,
-                this.ui.enemyPlatform.y - 40,
-                2
-            );
+        if (!step.matches) {
+            this.replayMismatch = true;
         }
 
-        // Create player monster sprite
-        const playerMonster = this.battleState.activePlayerMonster;
+        this.battleState.messageQueue = [];
 
-        if (playerMonster) {
-            // Remove existing sprite if any
-            if (this.ui.playerMonsterSprite) {
-                this.ui.playerMonsterSprite.destroy();
-            }
+        switch (step.entry.type) {
+            case 'turn':
+                step.result.actions.forEach(action => {
+                    this.queueActionMessages(action);
+                });
+                break;
 
-            // Create player monster sprite
-            this.ui.playerMonsterSprite = this.monsterSystem.createMonsterSprite(
-                playerMonster,
-                this.ui.playerPlatform.x,
-                this.ui.playerPlatform.y - 40,
-                2
-            );
-        }
+            case 'replace':
+                this.queueActionMessages(step.result);
+                break;
 
-        // Show monster info displays
-        this.ui.enemyMonsterInfo.visible = true;
-        this.ui.playerMonsterInfo.visible = true;
-    }
+            case 'send-out':
+                if (step.result.playerSwitch) {
+                    this.queueActionMessages(step.result.playerSwitch);
+                }
 
-    /**
-     * Update monster info displays
-     * @private
-     */
-    updateMonsterInfo() {
-        // Update enemy monster info
-        const enemyMonster = this.battleState.activeEnemyMonster;
+                this.queueActionMessages(step.result.enemySwitch);
+                break;
 
-        if (enemyMonster) {
-            this.ui.enemyMonsterName.setText(enemyMonster.name);
-            this.ui.enemyMonsterLevel.setText(`Lv. ${enemyMonster.level}`);
+            case 'learn': {
+                const monster = this.battleState.playerTeam[step.entry.index];
+                const forgotten = this.monsterSystem.getAbility(step.entry.forgetAbilityId);
 
-            // Update HP bar
-            const hpPercent = enemyMonster.currentHp / enemyMonster.stats.hp;
-            this.ui.enemyMonsterHpBar.width = 200 * hpPercent;
+                if (forgotten) {
+                    this.queueMessage(`${monster.name} forgot ${forgotten.name}.`);
+                }
 
-            // Change color based on HP percentage
-            if (hpPercent > 0.5) {
-                this.ui.enemyMonsterHpBar.fillColor = 0x00ff00; // Green
-            } else if (hpPercent > 0.25) {
-                this.ui.enemyMonsterHpBar.fillColor = 0xffff00; // Yellow
-            } else {
-                this.ui.enemyMonsterHpBar.fillColor = 0xff0000; // Red
+                this.queueMessage(step.result.message);
+                break;
             }
-
-            // Update HP text
-            this.ui.enemyMonsterHp.setText(`${enemyMonster.currentHp}/${enemyMonster.stats.hp}`);
         }
 
-        // Update player monster info
-        const playerMonster = this.battleState.activePlayerMonster;
-
-        if (playerMonster) {
-            this.ui.playerMonsterName.setText(playerMonster.name);
-            this.ui.playerMonsterLevel.setText(`Lv. ${playerMonster.level}`);
-
-            // Update HP bar
-            const hpPercent = playerMonster.currentHp / playerMonster.stats.hp;
-            this.ui.playerMonsterHpBar.width = 200 * hpPercent;
+        this.processMessageQueue(() => {
+            this.syncMonsterSprites({ active: this.getFieldMonsters() });
+            this.updateWeatherOverlay(this.battleState.weather);
+            this.updateSideConditionIcons(this.battleState.field);
 
-            // Change color based on HP percentage
-            if (hpPercent > 0.5) {
-                this.ui.playerMonsterHpBar.fillColor = 0x00ff00; // Green
-            } else if (hpPercent > 0.25) {
-                this.ui.playerMonsterHpBar.fillColor = 0xffff00; // Yellow
+            if (step.done) {
+                this.finishReplay();
             } else {
-                this.ui.playerMonsterHpBar.fillColor = 0xff0000; // Red
+                this.playReplayEntry();
             }
-
-            // Update HP text
-            this.ui.playerMonsterHp.setText(`${playerMonster.currentHp}/${playerMonster.stats.hp}`);
-        }
+        });
     }
 
     /**
-     * Show a message in the message box
-     * @param {string} message - Message to display
-     * @param {function} callback - Callback function when message is closed
+     * End the replay and return to the world
+     * The replay changes nothing in the game: no result, evolutions or caught monsters
      * @private
      */
-    showMessage(message, callback) {
-        // Hide all menus
-        this.ui.actionMenu.visible = false;
-        this.ui.abilityMenu.visible = false;
-        this.ui.monsterMenu.visible = false;
-
-        // Show message box
-        this.ui.messageBox.visible = true;
-        this.ui.messageText.setText(message);
-
-        // Disable input during message display
-        this.inputEnabled = false;
-
-        // Setup confirmation to continue
-        const handleMessageConfirm = () => {
-            this.input.keyboard.off('keydown-Z', handleMessageConfirm);
-            this.input.keyboard.off('keydown-SPACE', handleMessageConfirm);
-
-            // Hide message box
-            this.ui.messageBox.visible = false;
+    finishReplay() {
+        this.battleState.battleEnded = true;
 
-            // Call callback if provided
-            if (callback) {
-                callback();
-            }
-        };
+        const message = this.replayMismatch ? 'The replay went differently from the original battle.' : 'Replay finished.';
 
-        // Add temporary event listeners for confirmation
-        this.input.keyboard.once('keydown-Z', handleMessageConfirm);
-        this.input.keyboard.once('keydown-SPACE', handleMessageConfirm);
+        this.showMessage(message, () => {
+            this.returnToWorld();
+        });
     }
 
     /**
-     * Add a message to the queue
-     * @param {string} message - Message to add
+     * Get the active monsters on both sides from the battle system
+     * @returns {Object} Object with the player and enemy active monsters by slot
      * @private
      */
-    queueMessage(message) {
-        this.battleState.messageQueue.push(message);
+    getFieldMonsters() {
+        return {
+            player: this.battleSystem.getActiveMonsters('player'),
+            enemy: this.battleSystem.getActiveMonsters('enemy')
+        };
     }
 
     /**
-     * Process the next message in the queue
-     * @param {function} callback - Callback function when all messages are processed
+     * Create monster sprites
+     * Only slots whose monster changed get a new sprite
+     * @param {Object} active - Monsters to show by slot ({ player, enemy }, defaults to the active monsters)
      * @private
      */
-    processMessageQueue(callback) {
-        if (this.battleState.messageQueue.length === 0) {
-            // No messages left, call callback
-            if (callback) {
-                callback();
-            }
-            return;
-        }
+    createMonsterSprites(active = this.getFieldMonsters()) {
+        const layout = this.getFieldLayout();
 
-        // Get next message
-        const message = this.battleState.messageQueue.shift();
+        ['enemy', 'player'].forEach(side => {
+            this.ui.platforms[side].forEach((platform, slot) => {
+                const monster = active[side][slot] || null;
 
-        // Show message and process next when done
-        this.showMessage(message, () => {
-            this.processMessageQueue(callback);
+                // Skip monsters that are already shown
+                if (monster === this.displayedMonsters[side][slot]) {
+                    return;
+                }
+
+                // Remove existing sprite if any
+                if (this.ui.monsterSprites[side][slot]) {
+                    this.ui.monsterSprites[side][slot].destroy();
+                    this.ui.monsterSprites[side][slot] = null;
+                }
+
+                // Create monster sprite on its platform
+                if (monster) {
+                    this.ui.monsterSprites[side][slot] = this.monsterSystem.createMonsterSprite(
+                        monster,
+                        platform.x,
+                        platform.y - 20 * layout.scale,
+                        layout.scale
+                    );
+                }
+
+                // Remember which monster is shown, and show its info display
+                this.displayedMonsters[side][slot] = monster;
+                this.ui.infoBoxes[side][slot].container.visible = !!monster;
+            });
         });
     }
 
+    /**
+     * Show the monsters from a battle snapshot, recreating sprites if a monster changed
+     * @param {Object} snapshot - Battle snapshot from an action result
+     * @private
+     */
+    syncMonsterSprites(snapshot) {
+        this.createMonsterSprites(snapshot.active);
+
+        // Fainted monsters leave the field until they are replaced
+        const getHp = monster => snapshot.hp && snapshot.hp.has(monster) ? snapshot.hp.get(monster) : monster.currentHp;
+
+        ['enemy', 'player'].forEach(side => {
+            this.displayedMonsters[side].forEach((monster, slot) => {
+                const sprite = this.ui.monsterSprites[side][slot];
+
+                if (sprite && monster) {
+                    sprite.visible = getHp(monster) > 0;
+                }
+            });
+        });
+
+        this.updateMonsterInfo(snapshot);
+    }
+
+    /**
+     * Update monster info displays
+     * @param {Object} snapshot - Battle snapshot whose HP and status are shown instead of the current ones during playback
+     * @private
+     */
+    updateMonsterInfo(snapshot) {
+        // Get HP and status to display
+        const getHp = monster => snapshot && snapshot.hp && snapshot.hp.has(monster) ? snapshot.hp.get(monster) : monster.currentHp;
+        const getStatus = monster => snapshot && snapshot.status && snapshot.status.has(monster) ? snapshot.status.get(monster) : monster.status;
+
+        ['enemy', 'player'].forEach(side => {
+            this.displayedMonsters[side].forEach((monster, slot) => {
+                if (monster) {
+                    this.updateInfoBox(this.ui.infoBoxes[side][slot], monster, getHp(monster), getStatus(monster));
+                }
+            });
+        });
+    }
+
+    /**
+     * Show a monster in an info box
+     * @param {Object} box - Info box (see createInfoBox)
+     * @param {Object} monster - Monster to show
+     * @param {number} hp - HP to show
+     * @param {string|null} status - Major status condition to show
+     * @private
+     */
+    updateInfoBox(box, monster, hp, status) {
+        box.name.setText(monster.name);
+        box.level.setText(`Lv. ${monster.level}`);
+
+        // Update HP bar
+        const hpPercent = hp / monster.stats.hp;
+        box.hpBar.width = 200 * hpPercent;
+
+        // Change color based on HP percentage
+        if (hpPercent > 0.5) {
+            box.hpBar.fillColor = 0x00ff00; // Green
+        } else if (hpPercent > 0.25) {
+            box.hpBar.fillColor = 0xffff00; // Yellow
+        } else {
+            box.hpBar.fillColor = 0xff0000; // Red
+        }
+
+        // Update HP text
+        box.hp.setText(`${hp}/${monster.stats.hp}`);
+
+        // Update stat stage modifiers
+        box.stages.setText(this.getStatStageSummary(monster));
+
+        // Update status badge
+        this.updateStatusBadge(box.statusBg, box.status, status);
+    }
+
+    /**
+     * Outline the info box of the player monster choosing an action
+     * @param {number|null} slot - Slot choosing an action (null = none)
+     * @private
+     */
+    highlightActingMonster(slot) {
+        this.ui.infoBoxes.player.forEach((box, boxSlot) => {
+            if (boxSlot === slot) {
+                box.background.setStrokeStyle(3, 0xffff00);
+            } else {
+                box.background.setStrokeStyle();
+            }
+        });
+    }
+
+    /**
+     * Show or hide a status badge
+     * @param {Phaser.GameObjects.Rectangle} badgeBg - Badge background
+     * @param {Phaser.GameObjects.Text} badgeText - Badge text
+     * @param {string|null} status - Major status condition
+     * @private
+     */
+    updateStatusBadge(badgeBg, badgeText, status) {
+        const badges = {
+            'sleep': { label: 'SLP', color: 0x7f8c8d },
+            'paralysis': { label: 'PAR', color: 0xf1c40f },
+            'freeze': { label: 'FRZ', color: 0x00bcd4 },
+            'burn': { label: 'BRN', color: 0xe74c3c },
+            'poison': { label: 'PSN', color: 0x9b59b6 },
+            'badly-poisoned': { label: 'TOX', color: 0x6c3483 }
+        };
+
+        const badge = badges[status];
+
+        badgeBg.visible = !!badge;
+        badgeText.visible = !!badge;
+
+        if (badge) {
+            badgeBg.fillColor = badge.color;
+            badgeText.setText(badge.label);
+        }
+    }
+
+    /**
+     * Get a short summary of a monster's non-zero stat stages (e.g. "ATK +1  SPD -2")
+     * @param {Object} monster - Monster in battle
+     * @returns {string} Stat stage summary
+     * @private
+     */
+    getStatStageSummary(monster) {
+        const labels = {
+            attack: 'ATK',
+            defense: 'DEF',
+            specialAttack: 'SP.ATK',
+            specialDefense: 'SP.DEF',
+            speed: 'SPD',
+            accuracy: 'ACC',
+            evasion: 'EVA'
+        };
+
+        const stages = this.battleSystem.getStatStages(monster);
+
+        return Object.entries(stages)
+            .filter(([stat, stage]) => stage !== 0)
+            .map(([stat, stage]) => `${labels[stat]} ${stage > 0 ? '+' : ''}${stage}`)
+            .join('  ');
+    }
+
+    /**
+     * Get the battle message for a stat stage change
+     * @param {Object} effect - Stat effect result
+     * @returns {string} Message such as "Embercub's Attack rose sharply!"
+     * @private
+     */
+    getStatChangeMessage(effect) {
+        const statNames = {
+            attack: 'Attack',
+            defense: 'Defense',
+            specialAttack: 'Sp. Atk',
+            specialDefense: 'Sp. Def',
+            speed: 'Speed',
+            accuracy: 'accuracy',
+            evasion: 'evasiveness'
+        };
+
+        // A side condition kept an opponent from lowering the stat
+        if (effect.protectedBy === SIDE_CONDITIONS.MIST) {
+            return `${effect.target} is protected by the mist!`;
+        }
+
+        const statName = `${effect.target}'s ${statNames[effect.stat] || effect.stat}`;
+
+        // Stat already at its limit
+        if (effect.change === 0) {
+            return effect.stages > 0
+                ? `${statName} won't go any higher!`
+                : `${statName} won't go any lower!`;
+        }
+
+        const amount = Math.abs(effect.change);
+
+        if (effect.change > 0) {
+            return `${statName} ${amount === 1 ? 'rose' : amount === 2 ? 'rose sharply' : 'rose drastically'}!`;
+        }
+
+        return `${statName} ${amount === 1 ? 'fell' : amount === 2 ? 'harshly fell' : 'severely fell'}!`;
+    }
+
+    /**
+     * Get the battle message for an inflicted status condition
+     * @param {Object} effect - Status or volatile effect result
+     * @returns {string|null} Message such as "Embercub was burned!" (null if nothing is shown)
+     * @private
+     */
+    getStatusMessage(effect) {
+        const messages = {
+            'sleep': 'fell asleep!',
+            'paralysis': 'is paralyzed! It may be unable to move!',
+            'freeze': 'was frozen solid!',
+            'burn': 'was burned!',
+            'poison': 'was poisoned!',
+            'badly-poisoned': 'was badly poisoned!',
+            'confusion': 'became confused!',
+            'seeded': 'was seeded!'
+        };
+
+        if (effect.reason === 'immune') {
+            return `It doesn't affect ${effect.target}...`;
+        }
+
+        if (!effect.applied) {
+            return 'But it failed!';
+        }
+
+        // Flinching is only announced when it stops a move
+        return messages[effect.status] ? `${effect.target} ${messages[effect.status]}` : null;
+    }
+
+    /**
+     * Get the battle message for a weather change
+     * @param {Object} effect - Field effect result (ongoing is set for weather already present when the battle starts)
+     * @returns {string} Message such as "It started to rain!"
+     * @private
+     */
+    getWeatherMessage(effect) {
+        const messages = {
+            'rain': 'It started to rain!',
+            'sun': 'The sunlight turned harsh!',
+            'hail': 'It started to hail!'
+        };
+
+        const ongoingMessages = {
+            'rain': 'It is raining.',
+            'sun': 'The sunlight is strong.',
+            'hail': 'It is hailing.'
+        };
+
+        if (!effect.applied) {
+            return 'But it failed!';
+        }
+
+        return (effect.ongoing ? ongoingMessages : messages)[effect.weather] || 'The weather changed!';
+    }
+
+    /**
+     * Show the overlay for the current weather
+     * @param {string|null} weather - Weather type (see WEATHER_TYPES)
+     * @private
+     */
+    updateWeatherOverlay(weather) {
+        // Skip if the weather is already shown
+        if (weather === this.displayedWeather) {
+            return;
+        }
+
+        this.displayedWeather = weather;
+
+        // Remove the previous overlay
+        this.tweens.killTweensOf(this.ui.weatherOverlay.list);
+        this.ui.weatherOverlay.removeAll(true);
+
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+
+        switch (weather) {
+            case WEATHER_TYPES.RAIN:
+                // Blue tint with falling streaks
+                this.ui.weatherOverlay.add(this.add.rectangle(0, 0, width, height, 0x1f3a93, 0.15).setOrigin(0));
+                this.createFallingShapes(40, (x, y) => this.add.rectangle(x, y, 2, 14, 0xaecbfa, 0.8).setAngle(15), 700);
+                break;
+
+            case WEATHER_TYPES.SUN:
+                // Warm tint with a pulsing sun
+                this.ui.weatherOverlay.add(this.add.rectangle(0, 0, width, height, 0xffc300, 0.12).setOrigin(0));
+
+                const sun = this.add.circle(width - 60, 60, 35, 0xfff176, 0.9);
+                this.ui.weatherOverlay.add(sun);
+
+                this.tweens.add({
+                    targets: sun,
+                    scale: 1.15,
+                    duration: 1200,
+                    yoyo: true,
+                    repeat: -1
+                });
+                break;
+
+            case WEATHER_TYPES.HAIL:
+                // Pale tint with falling hailstones
+                this.ui.weatherOverlay.add(this.add.rectangle(0, 0, width, height, 0xffffff, 0.12).setOrigin(0));
+                this.createFallingShapes(25, (x, y) => this.add.circle(x, y, 3, 0xffffff, 0.9), 1100);
+                break;
+        }
+    }
+
+    /**
+     * Show the side conditions of each side as badges below its first platform
+     * @param {Object} field - Side conditions by side ({ player, enemy }), from the battle state or a snapshot
+     * @private
+     */
+    updateSideConditionIcons(field) {
+        const badges = {
+            'spikes': { label: 'Spikes', color: 0x8b5a2b },
+            'toxic-spikes': { label: 'Toxic Spikes', color: 0x8e44ad },
+            'reflect': { label: 'Reflect', color: 0xe67e22 },
+            'light-screen': { label: 'Light Screen', color: 0xd4ac0d },
+            'mist': { label: 'Mist', color: 0x7fb3d5 },
+            'tailwind': { label: 'Tailwind', color: 0x48c9b0 }
+        };
+
+        ['enemy', 'player'].forEach(side => {
+            const icons = this.ui.sideConditionIcons[side];
+            const conditions = field && field[side] ? field[side] : {};
+            const names = Object.keys(conditions);
+
+            icons.removeAll(true);
+
+            // One badge per condition, centered below the platform, with the number of hazard layers
+            names.forEach((condition, index) => {
+                const badge = badges[condition] || { label: condition, color: 0x555555 };
+                const x = (index - (names.length - 1) / 2) * 82;
+                const label = conditions[condition].layers > 1 ? `${badge.label} x${conditions[condition].layers}` : badge.label;
+
+                icons.add(this.add.rectangle(x, 0, 78, 18, badge.color, 0.85).setOrigin(0.5));
+                icons.add(this.add.text(x, 0, label, {
+                    font: '10px Arial',
+                    fill: '#ffffff'
+                }).setOrigin(0.5));
+            });
+        });
+    }
+
+    /**
+     * Add shapes that fall across the screen in a loop to the weather overlay
+     * @param {number} count - Number of shapes
+     * @param {function} createShape - Creates a shape at (x, y)
+     * @param {number} duration - Time in milliseconds to fall the height of the screen
+     * @private
+     */
+    createFallingShapes(count, createShape, duration) {
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+
+        for (let i = 0; i < count; i++) {
+            const shape = createShape(Math.random() * width, -20);
+            this.ui.weatherOverlay.add(shape);
+
+            this.tweens.add({
+                targets: shape,
+                y: height + 20,
+                duration: duration * (0.8 + Math.random() * 0.4),
+                delay: Math.random() * duration,
+                repeat: -1
+            });
+        }
+    }
+
+    /**
+     * Flash a monster that was hit
+     * Critical hits also flash and shake the screen
+     * @param {string} side - Side of the monster that was hit ('player' or 'enemy')
+     * @param {number} slot - Slot of the monster that was hit
+     * @param {boolean} critical - Whether the hit was a critical hit
+     * @private
+     */
+    playHitFlash(side, slot, critical) {
+        const sprite = this.ui.monsterSprites[side][slot];
+
+        if (sprite) {
+            // Blink the sprite
+            this.tweens.add({
+                targets: sprite,
+                alpha: 0.2,
+                duration: 80,
+                yoyo: true,
+                repeat: critical ? 3 : 1,
+                onComplete: () => {
+                    sprite.alpha = 1;
+                }
+            });
+        }
+
+        if (critical) {
+            this.cameras.main.flash(250, 255, 240, 150);
+            this.cameras.main.shake(200, 0.01);
+        }
+    }
+
+    /**
+     * Show a banner with a trait's name next to the monster whose trait activated
+     * @param {Object} effect - Trait effect result (target, trait, side, slot)
+     * @private
+     */
+    showTraitBanner(effect) {
+        const layout = this.getFieldLayout();
+        const positions = layout[effect.side] || layout.player;
+        const position = positions[effect.slot] || positions[0];
+
+        const banner = this.add.container(position.x, position.y + 35);
+        const background = this.add.rectangle(0, 0, 210, 26, 0x000000, 0.75).setOrigin(0.5);
+        const text = this.add.text(0, 0, `${effect.target}'s ${effect.trait}`, {
+            font: '14px Arial',
+            fill: '#ffff99'
+        }).setOrigin(0.5);
+
+        banner.add(background);
+        banner.add(text);
+        banner.alpha = 0;
+
+        // Fade in, hold while the message is read, then fade out
+        this.tweens.add({
+            targets: banner,
+            alpha: 1,
+            duration: 200,
+            hold: 1200,
+            yoyo: true,
+            onComplete: () => {
+                banner.destroy();
+            }
+        });
+    }
+
+    /**
+     * Play the animation of a monster being sent out
+     * @param {string} side - Side whose monster was sent out ('player' or 'enemy')
+     * @param {number} slot - Slot the monster was sent out to
+     * @private
+     */
+    playSendOutAnimation(side, slot) {
+        const sprite = this.ui.monsterSprites[side][slot];
+
+        if (!sprite) {
+            return;
+        }
+
+        // Grow the sprite out of a flash of light
+        const scale = sprite.scaleX;
+
+        sprite.setScale(0);
+        this.tweens.add({
+            targets: sprite,
+            scaleX: scale,
+            scaleY: scale,
+            duration: 300,
+            ease: 'Back.easeOut'
+        });
+
+        this.cameras.main.flash(150, 255, 255, 255);
+    }
+
+    /**
+     * Show a message in the message box
+     * @param {string} message - Message to display
+     * @param {function} callback - Callback function when message is closed
+     * @private
+     */
+    showMessage(message, callback) {
+        // Hide all menus
+        this.ui.actionMenu.visible = false;
+        this.ui.abilityMenu.visible = false;
+        this.ui.monsterMenu.visible = false;
+
+        // Show message box
+        this.ui.messageBox.visible = true;
+        this.ui.messageText.setText(message);
+
+        // Disable input during message display
+        this.inputEnabled = false;
+
+        // Setup confirmation to continue
+        const handleMessageConfirm = () => {
+            this.input.keyboard.off('keydown-Z', handleMessageConfirm);
+            this.input.keyboard.off('keydown-SPACE', handleMessageConfirm);
+
+            // Hide message box
+            this.ui.messageBox.visible = false;
+
+            // Call callback if provided
+            if (callback) {
+                callback();
+            }
+        };
+
+        // Add temporary event listeners for confirmation
+        this.input.keyboard.once('keydown-Z', handleMessageConfirm);
+        this.input.keyboard.once('keydown-SPACE', handleMessageConfirm);
+    }
+
+    /**
+     * Add a message to the queue
+     * @param {string} message - Message to add
+     * @private
+     */
+    queueMessage(message) {
+        this.battleState.messageQueue.push(message);
+    }
+
+    /**
+     * Add a callback to the queue, run when the messages before it have been shown
+     * @param {function} callback - Callback to run
+     * @private
+     */
+    queueCallback(callback) {
+        this.battleState.messageQueue.push(callback);
+    }
+
+    /**
+     * Add a prompt to the queue
+     * The queue waits until the prompt calls the done callback it is given
+     * @param {function} prompt - Function that shows the prompt, called with a done callback
+     * @private
+     */
+    queuePrompt(prompt) {
+        this.battleState.messageQueue.push({ prompt: prompt });
+    }
+
+    /**
+     * Process the next message in the queue
+     * @param {function} callback - Callback function when all messages are processed
+     * @private
+     */
+    processMessageQueue(callback) {
+        if (this.battleState.messageQueue.length === 0) {
+            // No messages left, call callback
+            if (callback) {
+                callback();
+            }
+            return;
+        }
+
+        // Get next message
+        const message = this.battleState.messageQueue.shift();
+
+        // Run queued callbacks without waiting for input
+        if (typeof message === 'function') {
+            message();
+            this.processMessageQueue(callback);
+            return;
+        }
+
+        // Wait for prompts to be answered
+        if (message.prompt) {
+            message.prompt(() => {
+                this.processMessageQueue(callback);
+            });
+            return;
+        }
+
+        // Show message and process next when done
+        this.showMessage(message, () => {
+            this.processMessageQueue(callback);
+        });
+    }
+
+    /**
+     * Start choosing the actions for a new turn, beginning with the first standing monster
+     * @private
+     */
+    startActionSelection() {
+        this.chosenActions = [];
+        this.actingSlot = this.getNextActingSlot(-1);
+
+        this.showActionMenu();
+    }
+
+    /**
+     * Get the next player slot that needs an action this turn
+     * @param {number} slot - Slot after which to look
+     * @returns {number} Slot of the next standing monster, or -1 if every monster has an action
+     * @private
+     */
+    getNextActingSlot(slot) {
+        const active = this.battleSystem.getActiveMonsters('player');
+
+        for (let nextSlot = slot + 1; nextSlot < active.length; nextSlot++) {
+            if (active[nextSlot] && active[nextSlot].currentHp > 0) {
+                return nextSlot;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Get the player monster choosing an action
+     * @returns {Object|null} Active monster in the acting slot
+     * @private
+     */
+    getActingMonster() {
+        return this.battleSystem.getActiveMonsters('player')[this.actingSlot] || null;
+    }
+
+    /**
+     * Choose the acting monster's action
+     * Moves on to the next standing monster, and executes the turn once every monster has an action
+     * @param {Object} action - Action data (see BattleSystem.executePlayerAction)
+     * @private
+     */
+    submitAction(action) {
+        action.slot = this.actingSlot;
+        this.chosenActions.push(action);
+
+        const nextSlot = this.getNextActingSlot(this.actingSlot);
+
+        if (nextSlot !== -1) {
+            this.actingSlot = nextSlot;
+            this.selectedAction = 0;
+            this.selectedAbility = 0;
+            this.showActionMenu();
+            return;
+        }
+
+        // Disable input during the turn
+        this.inputEnabled = false;
+        this.highlightActingMonster(null);
+
+        // Execute the turn in the battle system
+        const result = this.battleSystem.executePlayerAction(this.chosenActions);
+        this.chosenActions = [];
+
+        // Handle result
+        this.handleActionResult(result);
+    }
+
+    /**
+     * Go back to the previous monster's action choice in a double battle
+     * @private
+     */
+    cancelSlotAction() {
+        const previous = this.chosenActions.pop();
+
+        if (!previous) {
+            return;
+        }
+
+        this.actingSlot = previous.slot;
+        this.showActionMenu();
+    }
+
     /**
      * Show the action menu
      * @private
      */
     showActionMenu() {
+        // A monster charging a two-turn ability uses it without a choice
+        const chargingAbility = this.battleSystem.getChargingAbility(this.getActingMonster());
+
+        if (chargingAbility) {
+            this.handleChargedAbility(chargingAbility);
+            return;
+        }
+
         // Hide other menus
         this.ui.abilityMenu.visible = false;
+        this.ui.targetMenu.visible = false;
         this.ui.monsterMenu.visible = false;
         this.ui.messageBox.visible = false;
 
+        // Show which monster is choosing in a double battle
+        if (this.format === BATTLE_FORMATS.DOUBLE) {
+            this.highlightActingMonster(this.actingSlot);
+        }
+
         // Show action menu
         this.ui.actionMenu.visible = true;
 
@@ -732,7 +1637,7 @@ class BattleScene extends Phaser.Scene {
      */
     showAbilityMenu() {
         // Get current monster's abilities
-        const monster = this.battleState.activePlayerMonster;
+        const monster = this.getActingMonster();
 
         if (!monster || !monster.abilities || monster.abilities.length === 0) {
             this.showMessage('Your monster has no abilities!', () => {
@@ -741,103 +1646,261 @@ class BattleScene extends Phaser.Scene {
             return;
         }
 
+        // Fall back to Struggle when every ability (or the one a choice item locks in) is out of PP
+        if (!this.battleSystem.canUseAbilities(monster)) {
+            this.handleStruggle();
+            return;
+        }
+
         // Clear existing ability buttons
         this.ui.abilityButtons.forEach(button => {
             button.bg.destroy();
             button.text.destroy();
+            button.typeText.destroy();
         });
         this.ui.abilityButtons = [];
 
+        // A choice item locks the monster into one ability
+        const lockedAbility = this.battleSystem.getLockedAbility(monster);
+
         // Create ability buttons
         monster.abilities.forEach((abilityId, index) => {
             const ability = this.monsterSystem.getAbility(abilityId);
 
-            if (!ability) {
+            if (!ability) {
+                return;
+            }
+
+            // Abilities without PP (or locked out) are shown but can't be selected
+            const pp = this.monsterSystem.getPP(monster, abilityId);
+            const disabled = !pp || pp.current <= 0 || (lockedAbility !== null && lockedAbility !== abilityId);
+
+            // Calculate button position
+            const x = index % 2 === 0 ? -75 : 75;
+            const y = index < 2 ? -35 : 5;
+
+            // Create button background
+            const buttonBg = this.add.rectangle(x, y, 120, 30, disabled ? 0x777777 : COLORS.UI.BUTTON).setInteractive();
+            this.ui.abilityMenu.add(buttonBg);
+
+            // Create button text
+            const buttonText = this.add.text(x, y, ability.name, {
+                font: '16px Arial',
+                fill: '#ffffff'
+            }).setOrigin(0.5);
+            this.ui.abilityMenu.add(buttonText);
+
+            // Create type and PP text
+            const ppLabel = pp ? `PP ${pp.current}/${pp.max}` : 'PP -';
+            const typeText = this.add.text(x, y + 15, `${ability.type}  ${ppLabel}`, {
+                font: '12px Arial',
+                fill: disabled ? '#ff6666' : '#ffffff'
+            }).setOrigin(0.5);
+            this.ui.abilityMenu.add(typeText);
+
+            // Store button reference
+            this.ui.abilityButtons.push({ bg: buttonBg, text: buttonText, typeText: typeText, disabled: disabled });
+
+            // Add events
+            buttonBg.on('pointerover', () => {
+                this.selectedAbility = index;
+                this.highlightAbilityButton(index);
+            });
+
+            buttonBg.on('pointerdown', () => {
+                this.handleAbilitySelection(index);
+            });
+        });
+
+        // Hide action menu
+        this.ui.actionMenu.visible = false;
+        this.ui.targetMenu.visible = false;
+        this.ui.monsterMenu.visible = false;
+        this.ui.messageBox.visible = false;
+
+        // Show ability menu
+        this.ui.abilityMenu.visible = true;
+
+        // Highlight selected ability
+        this.highlightAbilityButton(this.selectedAbility);
+
+        // Update current menu
+        this.inputEnabled = true;
+        this.currentMenu = 'ability';
+    }
+
+    /**
+     * Highlight an ability button
+     * @param {number} index - Index of button to highlight
+     * @private
+     */
+    highlightAbilityButton(index) {
+        // Reset all buttons
+        this.ui.abilityButtons.forEach(button => {
+            button.bg.fillColor = button.disabled ? 0x777777 : COLORS.UI.BUTTON;
+        });
+
+        // Highlight selected button
+        if (this.ui.abilityButtons[index] && !this.ui.abilityButtons[index].disabled) {
+            this.ui.abilityButtons[index].bg.fillColor = COLORS.UI.BUTTON_HOVER;
+        }
+    }
+
+    /**
+     * Handle ability selection
+     * @param {number} index - Index of selected ability
+     * @private
+     */
+    handleAbilitySelection(index) {
+        const monster = this.getActingMonster();
+
+        if (!monster || !monster.abilities || index >= monster.abilities.length) {
+            return;
+        }
+
+        const abilityId = monster.abilities[index];
+
+        // Refuse abilities without PP
+        if (!this.monsterSystem.hasPP(monster, abilityId)) {
+            this.showMessage("There's no PP left for this move!", () => {
+                this.showAbilityMenu();
+            });
+            return;
+        }
+
+        // Refuse abilities a choice item locks the monster out of
+        const lockedAbility = this.battleSystem.getLockedAbility(monster);
+
+        if (lockedAbility && lockedAbility !== abilityId) {
+            this.showMessage(`${monster.name} can only use ${this.monsterSystem.getAbility(lockedAbility).name}!`, () => {
+                this.showAbilityMenu();
+            });
+            return;
+        }
+
+        // Single-target abilities need a target when two opponents are standing
+        const ability = this.monsterSystem.getAbility(abilityId);
+        const opponents = this.battleSystem.getActiveMonsters('enemy').filter(enemy => enemy.currentHp > 0);
+
+        if ((ability.target || ABILITY_TARGETS.OPPONENT) === ABILITY_TARGETS.OPPONENT && opponents.length > 1) {
+            this.showTargetMenu(abilityId);
+            return;
+        }
+
+        // Hide menus
+        this.ui.actionMenu.visible = false;
+        this.ui.abilityMenu.visible = false;
+
+        this.submitAction({
+            type: 'ability',
+            abilityId: abilityId
+        });
+    }
+
+    /**
+     * Show the target menu with the standing opponents
+     * @param {string} abilityId - Ability waiting for a target
+     * @private
+     */
+    showTargetMenu(abilityId) {
+        this.targetAbilityId = abilityId;
+
+        // Clear existing target buttons
+        this.ui.targetButtons.forEach(button => {
+            button.bg.destroy();
+            button.text.destroy();
+        });
+        this.ui.targetButtons = [];
+
+        // Create a button for each standing opponent, in slot order
+        this.battleSystem.getActiveMonsters('enemy').forEach((enemy, slot) => {
+            if (enemy.currentHp <= 0) {
                 return;
             }
 
-            // Calculate button position
-            const x = index % 2 === 0 ? -75 : 75;
-            const y = index < 2 ? -35 : 5;
+            const index = this.ui.targetButtons.length;
+            const x = index === 0 ? -75 : 75;
 
-            // Create button background
-            const buttonBg = this.add.rectangle(x, y, 120, 30, COLORS.UI.BUTTON).setInteractive();
-            this.ui.abilityMenu.add(buttonBg);
+            const buttonBg = this.add.rectangle(x, -5, 120, 50, COLORS.UI.BUTTON).setInteractive();
+            this.ui.targetMenu.add(buttonBg);
 
-            // Create button text
-            const buttonText = this.add.text(x, y, ability.name, {
+            const buttonText = this.add.text(x, -5, `${enemy.name}\nLv. ${enemy.level}`, {
                 font: '16px Arial',
-                fill: '#ffffff'
-            }).setOrigin(0.5);
-            this.ui.abilityMenu.add(buttonText);
-
-            // Create type text
-            const typeText = this.add.text(x, y + 15, ability.type, {
-                font: '12px Arial',
-                fill: '#ffffff'
+                fill: '#ffffff',
+                align: 'center'
             }).setOrigin(0.5);
-            this.ui.abilityMenu.add(typeText);
+            this.ui.targetMenu.add(buttonText);
 
-            // Store button reference
-            this.ui.abilityButtons.push({ bg: buttonBg, text: buttonText, typeText: typeText });
+            this.ui.targetButtons.push({ bg: buttonBg, text: buttonText, slot: slot });
 
-            // Add events
             buttonBg.on('pointerover', () => {
-                this.selectedAbility = index;
-                this.highlightAbilityButton(index);
+                this.selectedTarget = index;
+                this.highlightTargetButton(index);
             });
 
             buttonBg.on('pointerdown', () => {
-                this.handleAbilitySelection(index);
+                this.handleTargetSelection(index);
             });
         });
 
-        // Hide action menu
+        // Hide other menus
         this.ui.actionMenu.visible = false;
-        this.ui.monsterMenu.visible = false;
-        this.ui.messageBox.visible = false;
+        this.ui.abilityMenu.visible = false;
 
-        // Show ability menu
-        this.ui.abilityMenu.visible = true;
+        // Show target menu
+        this.ui.targetMenu.visible = true;
 
-        // Highlight selected ability
-        this.highlightAbilityButton(this.selectedAbility);
+        // Highlight the first target
+        this.selectedTarget = 0;
+        this.highlightTargetButton(this.selectedTarget);
 
         // Update current menu
         this.inputEnabled = true;
-        this.currentMenu = 'ability';
+        this.currentMenu = 'target';
     }
 
     /**
-     * Highlight an ability button
+     * Highlight a target button
      * @param {number} index - Index of button to highlight
      * @private
      */
-    highlightAbilityButton(index) {
-        // Reset all buttons
-        this.ui.abilityButtons.forEach(button => {
-            button.bg.fillColor = COLORS.UI.BUTTON;
+    highlightTargetButton(index) {
+        this.ui.targetButtons.forEach((button, buttonIndex) => {
+            button.bg.fillColor = buttonIndex === index ? COLORS.UI.BUTTON_HOVER : COLORS.UI.BUTTON;
         });
-
-        // Highlight selected button
-        if (this.ui.abilityButtons[index]) {
-            this.ui.abilityButtons[index].bg.fillColor = COLORS.UI.BUTTON_HOVER;
-        }
     }
 
     /**
-     * Handle ability selection
-     * @param {number} index - Index of selected ability
+     * Handle target selection
+     * @param {number} index - Index of selected target button
      * @private
      */
-    handleAbilitySelection(index) {
-        const monster = this.battleState.activePlayerMonster;
+    handleTargetSelection(index) {
+        const button = this.ui.targetButtons[index];
 
-        if (!monster || !monster.abilities || index >= monster.abilities.length) {
+        if (!button || !this.targetAbilityId) {
             return;
         }
 
-        const abilityId = monster.abilities[index];
+        const abilityId = this.targetAbilityId;
+        this.targetAbilityId = null;
+
+        // Hide menus
+        this.ui.targetMenu.visible = false;
+
+        this.submitAction({
+            type: 'ability',
+            abilityId: abilityId,
+            targetSlot: button.slot
+        });
+    }
+
+    /**
+     * Use Struggle when the active monster has no PP left
+     * @private
+     */
+    handleStruggle() {
+        const monster = this.getActingMonster();
 
         // Disable input during action
         this.inputEnabled = false;
@@ -846,29 +1909,50 @@ class BattleScene extends Phaser.Scene {
         this.ui.actionMenu.visible = false;
         this.ui.abilityMenu.visible = false;
 
-        // Execute ability
-        const action = {
-            type: 'ability',
-            abilityId: abilityId,
-            targetId: this.battleState.activeEnemyMonster.id
-        };
+        // Struggle hits the first standing opponent
+        this.showMessage(`${monster.name} has no moves left!`, () => {
+            this.submitAction({
+                type: 'ability',
+                abilityId: this.battleSystem.getStruggleAbility().id
+            });
+        });
+    }
 
-        // Show ability use message
-        const ability = this.monsterSystem.getAbility(abilityId);
-        this.showMessage(`${monster.name} used ${ability.name}!`, () => {
-            // Execute action in battle system
-            const result = this.battleSystem.executePlayerAction(action);
+    /**
+     * Release a charged two-turn ability
+     * @param {string} abilityId - Ability being charged
+     * @private
+     */
+    handleChargedAbility(abilityId) {
+        // Disable input during action
+        this.inputEnabled = false;
 
-            // Handle result
-            this.handleActionResult(result);
+        // Hide menus
+        this.ui.actionMenu.visible = false;
+        this.ui.abilityMenu.visible = false;
+
+        // Release the charged ability
+        this.submitAction({
+            type: 'ability',
+            abilityId: abilityId
         });
     }
 
     /**
      * Show monster selection menu
+     * @param {string} mode - What the selection is for ('turn', 'response' or 'forced', see monsterMenuMode)
      * @private
      */
-    showMonsterMenu() {
+    showMonsterMenu(mode = 'turn') {
+        this.monsterMenuMode = mode;
+
+        // A fainted monster has to be replaced, so there's no way back
+        const forced = mode === 'forced';
+
+        this.ui.monsterMenuTitle.setText(forced ? 'Choose Next Monster' : 'Switch Monster');
+        this.ui.monsterBackButton.bg.visible = !forced;
+        this.ui.monsterBackButton.text.visible = !forced;
+
         // Get player team
         const team = this.battleState.playerTeam;
 
@@ -888,10 +1972,17 @@ class BattleScene extends Phaser.Scene {
         });
         this.ui.monsterButtons = [];
 
+        // Monsters on the field or already picked to switch in this turn can't be sent out
+        const unavailable = this.battleSystem.getActiveMonsters('player').concat(
+            this.chosenActions
+                .filter(action => action.type === 'switch')
+                .map(action => team[action.switchIndex])
+        );
+
         // Create monster buttons
         team.forEach((monster, index) => {
-            // Skip active monster
-            if (monster === this.battleState.activePlayerMonster) {
+            // Skip active monsters
+            if (unavailable.includes(monster)) {
                 return;
             }
 
@@ -949,85 +2040,433 @@ class BattleScene extends Phaser.Scene {
         // Hide other menus
         this.ui.actionMenu.visible = false;
         this.ui.abilityMenu.visible = false;
-        this.ui.messageBox.visible = false;
+        this.ui.targetMenu.visible = false;
+        this.ui.messageBox.visible = false;
+
+        // Show monster menu
+        this.ui.monsterMenu.visible = true;
+
+        // Start on a monster that can be sent out
+        const selectable = this.ui.monsterButtons.filter(button => button.monster.currentHp > 0);
+
+        if (selectable.length > 0 && !selectable.some(button => button.index === this.selectedMonster)) {
+            this.selectedMonster = selectable[0].index;
+        }
+
+        // Highlight selected monster
+        this.highlightMonsterButton(this.selectedMonster);
+
+        // Update current menu
+        this.inputEnabled = true;
+        this.currentMenu = 'monster';
+    }
+
+    /**
+     * Highlight a monster button
+     * @param {number} index - Index of button to highlight
+     * @private
+     */
+    highlightMonsterButton(index) {
+        // Reset all buttons
+        this.ui.monsterButtons.forEach(button => {
+            if (button.monster.currentHp > 0) {
+                button.bg.fillColor = COLORS.UI.BUTTON;
+            }
+        });
+
+        // Find button with matching index
+        const button = this.ui.monsterButtons.find(btn => btn.index === index);
+
+        // Highlight selected button if found and monster has HP
+        if (button && button.monster.currentHp > 0) {
+            button.bg.fillColor = COLORS.UI.BUTTON_HOVER;
+        }
+    }
+
+    /**
+     * Handle monster selection
+     * @param {number} index - Index of selected monster
+     * @private
+     */
+    handleMonsterSelection(index) {
+        // Find button with matching index
+        const button = this.ui.monsterButtons.find(btn => btn.index === index);
+
+        if (!button || button.monster.currentHp <= 0) {
+            return;
+        }
+
+        // Disable input during action
+        this.inputEnabled = false;
+
+        // Hide menus
+        this.ui.actionMenu.visible = false;
+        this.ui.monsterMenu.visible = false;
+
+        // Switching in response to a trainer's next monster doesn't use up a turn
+        if (this.monsterMenuMode === 'response') {
+            this.sendOutEnemy(index);
+            return;
+        }
+
+        // Neither does replacing a fainted monster
+        if (this.monsterMenuMode === 'forced') {
+            this.handleForcedSwitch(index);
+            return;
+        }
+
+        // Switch as the monster's action
+        this.submitAction({
+            type: 'switch',
+            switchIndex: index
+        });
+    }
+
+    /**
+     * Close the monster menu without switching
+     * @private
+     */
+    closeMonsterMenu() {
+        // A fainted monster has to be replaced
+        if (this.monsterMenuMode === 'forced') {
+            return;
+        }
+
+        this.ui.monsterMenu.visible = false;
+
+        // Declining to switch lets the trainer send out the next monster
+        if (this.monsterMenuMode === 'response') {
+            this.inputEnabled = false;
+            this.sendOutEnemy(null);
+            return;
+        }
+
+        this.showActionMenu();
+    }
+
+    /**
+     * Replace the player's fainted monster
+     * In a double battle both monsters can faint at once; they are replaced one at a time
+     * @param {number} index - Index of the monster to send out
+     * @private
+     */
+    handleForcedSwitch(index) {
+        const result = this.battleSystem.replaceFaintedMonster(index);
+
+        if (!result.success) {
+            // Pick again
+            this.showMessage(result.message || 'Action failed!', () => {
+                this.showMonsterMenu('forced');
+            });
+            return;
+        }
+
+        this.monsterMenuMode = 'turn';
+
+        // Show the new monster, then replace the next one or start the next turn
+        this.battleState.messageQueue = [];
+        this.queueActionMessages(result);
+
+        this.processMessageQueue(() => {
+            if (result.battleEnded) {
+                this.handleBattleEnd(result.battleResult);
+            } else if (this.battleSystem.isForcedSwitch()) {
+                this.showMonsterMenu('forced');
+            } else {
+                this.startActionSelection();
+            }
+        });
+    }
+
+    /**
+     * Show the ability learning menu
+     * Lists the known abilities to forget and an option to skip the new one
+     * @param {Object} monster - Monster learning the ability
+     * @param {string} abilityId - Ability to learn
+     * @param {function} callback - Callback when the choice has been made and announced
+     * @private
+     */
+    showLearnMenu(monster, abilityId, callback) {
+        const newAbility = this.monsterSystem.getAbility(abilityId);
+
+        // Clear existing option buttons
+        this.ui.learnButtons.forEach(button => {
+            button.bg.destroy();
+            button.text.destroy();
+        });
+        this.ui.learnButtons = [];
+
+        // Known abilities, then the option to skip the new one
+        const options = monster.abilities.map(knownId => {
+            const known = this.monsterSystem.getAbility(knownId);
+            return { abilityId: knownId, label: known ? known.name : knownId };
+        });
+
+        options.push({ abilityId: null, label: `Don't learn ${newAbility.name}` });
+
+        this.ui.learnMenuTitle.setText(`Forget an ability for ${newAbility.name}?`);
+
+        // Create option buttons
+        options.forEach((option, index) => {
+            const y = -80 + index * 45;
+
+            const buttonBg = this.add.rectangle(0, y, 300, 36, option.abilityId ? COLORS.UI.BUTTON : 0x555555).setInteractive();
+            this.ui.learnMenu.add(buttonBg);
+
+            const buttonText = this.add.text(0, y, option.label, {
+                font: '16px Arial',
+                fill: '#ffffff'
+            }).setOrigin(0.5);
+            this.ui.learnMenu.add(buttonText);
+
+            this.ui.learnButtons.push({ bg: buttonBg, text: buttonText, option: option });
+
+            buttonBg.on('pointerover', () => {
+                this.selectedLearnOption = index;
+                this.highlightLearnButton(index);
+            });
+
+            buttonBg.on('pointerdown', () => {
+                this.handleLearnSelection(index);
+            });
+        });
+
+        this.learnPrompt = { monster: monster, abilityId: abilityId, options: options, callback: callback };
+
+        // Hide other menus
+        this.ui.actionMenu.visible = false;
+        this.ui.abilityMenu.visible = false;
+        this.ui.monsterMenu.visible = false;
+        this.ui.messageBox.visible = false;
+
+        // Show learn menu
+        this.ui.learnMenu.visible = true;
+
+        // Highlight the first option
+        this.selectedLearnOption = 0;
+        this.highlightLearnButton(this.selectedLearnOption);
+
+        // Update current menu
+        this.inputEnabled = true;
+        this.currentMenu = 'learn';
+    }
+
+    /**
+     * Highlight an ability learning option
+     * @param {number} index - Index of option to highlight
+     * @private
+     */
+    highlightLearnButton(index) {
+        this.ui.learnButtons.forEach((button, buttonIndex) => {
+            const baseColor = button.option.abilityId ? COLORS.UI.BUTTON : 0x555555;
+            button.bg.fillColor = buttonIndex === index ? COLORS.UI.BUTTON_HOVER : baseColor;
+        });
+    }
+
+    /**
+     * Handle an ability learning choice
+     * Forgets the chosen ability for the new one, or skips the new ability
+     * @param {number} index - Index of selected option
+     * @private
+     */
+    handleLearnSelection(index) {
+        const prompt = this.learnPrompt;
+        const option = prompt ? prompt.options[index] : null;
+
+        if (!option) {
+            return;
+        }
+
+        // Close the menu
+        this.learnPrompt = null;
+        this.inputEnabled = false;
+        this.currentMenu = null;
+        this.ui.learnMenu.visible = false;
+
+        const monster = prompt.monster;
+        const newAbility = this.monsterSystem.getAbility(prompt.abilityId);
+        const messages = [];
+
+        if (option.abilityId) {
+            const result = this.battleSystem.learnAbility(monster, prompt.abilityId, option.abilityId);
+
+            messages.push('1, 2 and... Poof!');
+            messages.push(`${monster.name} forgot ${option.label}.`);
+            messages.push(`And... ${result.message}`);
+        } else {
+            messages.push(`${monster.name} did not learn ${newAbility.name}.`);
+        }
+
+        // Announce the choice, then continue
+        const showNext = () => {
+            if (messages.length === 0) {
+                prompt.callback();
+                return;
+            }
+
+            this.showMessage(messages.shift(), showNext);
+        };
+
+        showNext();
+    }
+
+    /**
+     * Ask the player a Yes/No question
+     * @param {string} question - Question shown in the message box
+     * @param {function} callback - Callback with true for Yes, false for No
+     * @private
+     */
+    showConfirmMenu(question, callback) {
+        this.confirmPrompt = { callback: callback };
+
+        // Hide other menus
+        this.ui.actionMenu.visible = false;
+        this.ui.abilityMenu.visible = false;
+        this.ui.monsterMenu.visible = false;
 
-        // Show monster menu
-        this.ui.monsterMenu.visible = true;
+        // Show the question with the menu next to it
+        this.ui.messageBox.visible = true;
+        this.ui.messageText.setText(question);
+        this.ui.confirmMenu.visible = true;
 
-        // Highlight selected monster
-        this.highlightMonsterButton(this.selectedMonster);
+        // Highlight Yes
+        this.selectedConfirmOption = 0;
+        this.highlightConfirmButton(this.selectedConfirmOption);
 
         // Update current menu
         this.inputEnabled = true;
-        this.currentMenu = 'monster';
+        this.currentMenu = 'confirm';
     }
 
     /**
-     * Highlight a monster button
-     * @param {number} index - Index of button to highlight
+     * Highlight a Yes/No option
+     * @param {number} index - Index of option to highlight
      * @private
      */
-    highlightMonsterButton(index) {
-        // Reset all buttons
-        this.ui.monsterButtons.forEach(button => {
-            if (button.monster.currentHp > 0) {
-                button.bg.fillColor = COLORS.UI.BUTTON;
-            }
+    highlightConfirmButton(index) {
+        this.ui.confirmButtons.forEach((button, buttonIndex) => {
+            button.bg.fillColor = buttonIndex === index ? COLORS.UI.BUTTON_HOVER : COLORS.UI.BUTTON;
         });
-
-        // Find button with matching index
-        const button = this.ui.monsterButtons.find(btn => btn.index === index);
-
-        // Highlight selected button if found and monster has HP
-        if (button && button.monster.currentHp > 0) {
-            button.bg.fillColor = COLORS.UI.BUTTON_HOVER;
-        }
     }
 
     /**
-     * Handle monster selection
-     * @param {number} index - Index of selected monster
+     * Handle a Yes/No answer
+     * @param {number} index - Index of selected option (0 = Yes, 1 = No)
      * @private
      */
-    handleMonsterSelection(index) {
-        // Find button with matching index
-        const button = this.ui.monsterButtons.find(btn => btn.index === index);
+    handleConfirmSelection(index) {
+        const prompt = this.confirmPrompt;
 
-        if (!button || button.monster.currentHp <= 0) {
+        if (!prompt) {
             return;
         }
 
-        const monster = button.monster;
-
-        // Disable input during action
+        // Close the menu
+        this.confirmPrompt = null;
         this.inputEnabled = false;
+        this.currentMenu = null;
+        this.ui.confirmMenu.visible = false;
+        this.ui.messageBox.visible = false;
 
-        // Hide menus
-        this.ui.actionMenu.visible = false;
-        this.ui.monsterMenu.visible = false;
+        prompt.callback(index === 0);
+    }
 
-        // Execute switch action
-        const action = {
-            type: 'switch',
-            switchIndex: index
+    /**
+     * Announce the trainer's next monster and send it out
+     * The player may switch monsters first, unless their own monster has fainted too.
+     * When both enemy monsters fainted in a double battle, each replacement is announced in turn
+     * @param {Object} sendOut - Send-out data from the turn result ({ trainer, monster, index, slot })
+     * @param {boolean} canRespond - Whether the player may switch in response
+     * @param {function} callback - Callback when every waiting monster has been sent out
+     * @private
+     */
+    handleEnemySendOut(sendOut, canRespond, callback) {
+        this.sendOutCallback = () => {
+            const nextMonster = this.battleSystem.getPendingEnemyMonster();
+
+            if (nextMonster) {
+                this.handleEnemySendOut({ trainer: sendOut.trainer, monster: nextMonster }, canRespond, callback);
+            } else {
+                callback();
+            }
         };
 
-        // Show switch message
-        this.showMessage(`Go, ${monster.name}!`, () => {
-            // Execute action in battle system
-            const result = this.battleSystem.executePlayerAction(action);
+        // Only ask if there is a monster to switch to
+        const activeMonster = this.battleState.activePlayerMonster;
+        const hasBenched = this.battleState.playerTeam.some(monster => monster !== activeMonster && monster.currentHp > 0);
+
+        this.showMessage(`${sendOut.trainer} is about to send out ${sendOut.monster.name}.`, () => {
+            if (!canRespond || !hasBenched) {
+                this.sendOutEnemy(null);
+                return;
+            }
+
+            this.showConfirmMenu('Will you change monsters?', change => {
+                if (change) {
+                    this.showMonsterMenu('response');
+                } else {
+                    this.sendOutEnemy(null);
+                }
+            });
+        });
+    }
 
-            // Update monster sprites
-            this.createMonsterSprites();
+    /**
+     * Send out the trainer's next monster, after an optional switch by the player
+     * @param {number|null} playerSwitchIndex - Index of the player monster to switch to first (null = no switch)
+     * @private
+     */
+    sendOutEnemy(playerSwitchIndex) {
+        this.monsterMenuMode = 'turn';
 
-            // Update monster info
-            this.updateMonsterInfo();
+        const result = this.battleSystem.sendOutNextEnemy(playerSwitchIndex);
 
-            // Handle result
-            this.handleActionResult(result);
+        if (!result.success) {
+            // Send out without the switch, or move on if there is nothing to send out
+            this.showMessage(result.message || 'Action failed!', () => {
+                if (playerSwitchIndex !== null) {
+                    this.sendOutEnemy(null);
+                } else {
+                    this.finishEnemySendOut();
+                }
+            });
+            return;
+        }
+
+        // Show the player's switch, then the trainer's monster
+        this.battleState.messageQueue = [];
+
+        if (result.playerSwitch) {
+            this.queueActionMessages(result.playerSwitch);
+        }
+
+        this.queueActionMessages(result.enemySwitch);
+
+        this.processMessageQueue(() => {
+            // Entry hazards can knock out the trainer's last monster
+            if (result.enemySwitch.battleEnded) {
+                this.sendOutCallback = null;
+                this.handleBattleEnd(result.enemySwitch.battleResult);
+                return;
+            }
+
+            this.finishEnemySendOut();
         });
     }
 
+    /**
+     * Continue the battle after the trainer's next monster has been sent out
+     * @private
+     */
+    finishEnemySendOut() {
+        const callback = this.sendOutCallback;
+        this.sendOutCallback = null;
+
+        if (callback) {
+            callback();
+        }
+    }
+
     /**
      * Handle Run action
      * @private
@@ -1039,11 +2478,15 @@ class BattleScene extends Phaser.Scene {
         // Hide menus
         this.ui.actionMenu.visible = false;
 
-        // Execute run action
+        // Running away is an action for the whole side
         const action = {
-            type: 'run'
+            type: 'run',
+            slot: this.actingSlot
         };
 
+        this.chosenActions = [];
+        this.highlightActingMonster(null);
+
         // Show run message
         this.showMessage('Trying to run...', () => {
             // Execute action in battle system
@@ -1055,83 +2498,290 @@ class BattleScene extends Phaser.Scene {
     }
 
     /**
-     * Handle action result
-     * @param {Object} result - Action result
+     * Handle the result of a turn
+     * Plays back the resolved actions in order
+     * @param {Object} result - Turn result
      * @private
      */
     handleActionResult(result) {
         if (!result.success) {
-            // Action failed
+            // Action failed, choose again
             this.showMessage(result.message || 'Action failed!', () => {
-                this.showActionMenu();
+                this.startActionSelection();
             });
             return;
         }
 
-        // Queue result messages
+        // Queue messages for each action in resolution order
         this.battleState.messageQueue = [];
 
+        result.actions.forEach(action => {
+            this.queueActionMessages(action);
+        });
+
+        const needSwitch = !result.battleEnded && this.battleSystem.isForcedSwitch();
+
+        // Continue once the messages (and a trainer's next monster) are done
+        const continueBattle = () => {
+            // Check if battle has ended
+            if (result.battleEnded) {
+                // Handle battle end
+                this.handleBattleEnd(result.battleResult);
+            } else if (this.battleSystem.isForcedSwitch()) {
+                // The fainted monster has to be replaced before the next turn
+                this.showMessage('Choose your next monster!', () => {
+                    this.showMonsterMenu('forced');
+                });
+            } else {
+                // Continue battle
+                this.startActionSelection();
+            }
+        };
+
+        // Process message queue
+        this.processMessageQueue(() => {
+            // Show the final battle state
+            this.syncMonsterSprites({ active: this.getFieldMonsters() });
+            this.updateWeatherOverlay(this.battleState.weather);
+            this.updateSideConditionIcons(this.battleState.field);
+
+            // A trainer replaces a fainted monster before the battle goes on (switching in response is for single battles)
+            if (result.enemySendOut) {
+                const canRespond = !needSwitch && this.format === BATTLE_FORMATS.SINGLE;
+                this.handleEnemySendOut(result.enemySendOut, canRespond, continueBattle);
+            } else {
+                continueBattle();
+            }
+        });
+    }
+
+    /**
+     * Queue the messages for a single resolved action
+     * @param {Object} action - Action result
+     * @private
+     */
+    queueActionMessages(action) {
+        // A switched-in monster appears before its message
+        if (action.actionType === 'switch' && action.snapshot) {
+            this.queueCallback(() => {
+                this.syncMonsterSprites(action.snapshot);
+
+                if (action.success) {
+                    this.playSendOutAnimation(action.side, action.slot || 0);
+                }
+            });
+        }
+
+        // Add status condition messages from before the action (sleep, confusion, etc.)
+        if (action.conditions) {
+            action.conditions.forEach(condition => {
+                if (condition.type === 'trait') {
+                    this.queueCallback(() => this.showTraitBanner(condition));
+                }
+
+                if (condition.message) {
+                    this.queueMessage(condition.message);
+                }
+
+                if (condition.fainted) {
+                    this.queueMessage(`${condition.target} fainted!`);
+                }
+            });
+        }
+
         // Add main result message
-        if (result.message) {
-            this.queueMessage(result.message);
+        if (action.message) {
+            this.queueMessage(action.message);
+        }
+
+        // Show HP and weather changes from this action
+        if (action.snapshot) {
+            this.queueCallback(() => {
+                // Flash the monster that was hit
+                if (action.actionType === 'ability' && action.damage > 0) {
+                    this.playHitFlash(action.targetSide, action.targetSlot, action.critical);
+                }
+
+                this.updateMonsterInfo(action.snapshot);
+                this.updateWeatherOverlay(action.snapshot.weather);
+                this.updateSideConditionIcons(action.snapshot.field);
+            });
+        }
+
+        // Add critical hit message if applicable
+        if (action.critical) {
+            this.queueMessage('A critical hit!');
         }
 
         // Add type effectiveness message if applicable
-        if (result.typeEffectiveness > 1) {
-            this.queueMessage("It's super effective!");
-        } else if (result.typeEffectiveness < 1 && result.typeEffectiveness > 0) {
-            this.queueMessage("It's not very effective...");
-        } else if (result.typeEffectiveness === 0) {
-            this.queueMessage("It has no effect!");
+        if (action.actionType === 'ability' && action.hit) {
+            if (action.typeEffectiveness > 1) {
+                this.queueMessage("It's super effective!");
+            } else if (action.typeEffectiveness < 1 && action.typeEffectiveness > 0) {
+                this.queueMessage("It's not very effective...");
+            } else if (action.typeEffectiveness === 0) {
+                this.queueMessage("It has no effect!");
+            }
+        }
+
+        // Add hit count and one-hit KO messages before the target faints
+        if (action.effects) {
+            action.effects.forEach(effect => {
+                if (effect.type === 'damage' && effect.kind === 'multi-hit') {
+                    this.queueMessage(`Hit ${effect.hits} time${effect.hits === 1 ? '' : 's'}!`);
+                }
+
+                if (effect.type === 'damage' && effect.kind === 'ohko' && effect.applied) {
+                    this.queueMessage("It's a one-hit KO!");
+                }
+            });
         }
 
         // Add fainted message if applicable
-        if (result.damageResult && result.damageResult.fainted) {
-            this.queueMessage(`${result.target} fainted!`);
+        if (action.damageResult && action.damageResult.fainted) {
+            this.queueMessage(`${action.target} fainted!`);
+        }
+
+        // Add effect messages
+        this.queueEffectMessages(action);
+
+        // Add experience messages for fainted enemies
+        this.queueExperienceMessages(action);
+
+        // Replace fainted monsters once the action's messages are done
+        if (action.snapshot) {
+            this.queueCallback(() => this.syncMonsterSprites(action.snapshot));
+        }
+    }
+
+    /**
+     * Queue messages for the effects of an action result (secondary ability effects, held items, traits)
+     * @param {Object} result - Action result
+     * @private
+     */
+    queueEffectMessages(result) {
+        if (!result.effects) {
+            return;
         }
 
-        // Add enemy action messages if applicable
-        if (result.enemyAction) {
-            if (result.enemyAction.message) {
-                this.queueMessage(result.enemyAction.message);
+        result.effects.forEach(effect => {
+            if (effect.type === 'stat') {
+                this.queueMessage(this.getStatChangeMessage(effect));
             }
 
-            // Add type effectiveness message for enemy action
-            if (result.enemyAction.typeEffectiveness > 1) {
-                this.queueMessage("It's super effective!");
-            } else if (result.enemyAction.typeEffectiveness < 1 && result.enemyAction.typeEffectiveness > 0) {
-                this.queueMessage("It's not very effective...");
-            } else if (result.enemyAction.typeEffectiveness === 0) {
-                this.queueMessage("It has no effect!");
+            if (effect.type === 'status' || effect.type === 'volatile') {
+                const statusMessage = this.getStatusMessage(effect);
+
+                if (statusMessage) {
+                    this.queueMessage(statusMessage);
+                }
+            }
+
+            if (effect.type === 'field') {
+                this.queueMessage(effect.condition ? effect.message || 'But it failed!' : this.getWeatherMessage(effect));
             }
 
-            // Add fainted message for enemy action
-            if (result.enemyAction.damageResult && result.enemyAction.damageResult.fainted) {
-                this.queueMessage(`${result.enemyAction.target} fainted!`);
+            if (effect.type === 'side-condition') {
+                this.queueMessage(effect.message);
+
+                if (effect.fainted) {
+                    this.queueMessage(`${effect.target} fainted!`);
+                }
+            }
+
+            if (effect.type === 'critical') {
+                this.queueMessage(effect.applied ? `${effect.target} is getting pumped!` : 'But it failed!');
+            }
+
+            if (effect.type === 'cure' && effect.status === 'freeze') {
+                this.queueMessage(`${effect.target} thawed out!`);
+            }
+
+            if (effect.type === 'held-item') {
+                this.queueMessage(effect.message);
+            }
+
+            if (effect.type === 'trait') {
+                this.queueCallback(() => this.showTraitBanner(effect));
+
+                if (effect.message) {
+                    this.queueMessage(effect.message);
+                }
+            }
+
+            if (effect.type === 'damage') {
+                const damageMessage = this.getDamageEffectMessage(effect);
+
+                if (damageMessage) {
+                    this.queueMessage(damageMessage);
+                }
+
+                if (effect.fainted) {
+                    this.queueMessage(`${effect.target} fainted!`);
+                }
             }
+        });
+    }
+
+    /**
+     * Queue messages for the experience gained during an action
+     * @param {Object} result - Action result
+     * @private
+     */
+    queueExperienceMessages(result) {
+        if (!result.experience) {
+            return;
         }
 
-        // Update monster info
-        this.updateMonsterInfo();
+        result.experience.forEach(entry => {
+            this.queueMessage(`${entry.target} gained ${entry.amount} EXP. Points!`);
 
-        // Process message queue
-        this.processMessageQueue(() => {
-            // Check if battle has ended
-            if (result.battleEnded || (result.enemyAction && result.enemyAction.battleEnded)) {
-                // Handle battle end
-                this.handleBattleEnd(result.battleResult || (result.enemyAction && result.enemyAction.battleResult));
-            } else if (result.battleResult && result.battleResult.needSwitch) {
-                // Show monster menu for forced switch
-                this.showMessage('Choose your next monster!', () => {
-                    this.showMonsterMenu();
-                });
-            } else {
-                // Continue battle
-                this.showActionMenu();
+            if (entry.leveledUp) {
+                this.queueMessage(`${entry.target} grew to level ${entry.level}!`);
             }
+
+            // Abilities learned into a free slot
+            (entry.learnedAbilities || []).forEach(abilityId => {
+                this.queueMessage(`${entry.target} learned ${this.monsterSystem.getAbility(abilityId).name}!`);
+            });
+
+            // Abilities that need the player to choose one to forget (a replay plays back the logged choice instead)
+            (entry.pendingAbilities || []).forEach(abilityId => {
+                this.queueMessage(`${entry.target} wants to learn ${this.monsterSystem.getAbility(abilityId).name}!`);
+                this.queueMessage(`But ${entry.target} already knows ${GAME_CONFIG.MAX_ABILITIES} abilities.`);
+
+                if (!this.replaying) {
+                    this.queuePrompt(done => this.showLearnMenu(entry.monster, abilityId, done));
+                }
+            });
         });
     }
 
+    /**
+     * Get the battle message for a damage effect
+     * Hit counts and one-hit KOs are announced with the hit instead
+     * @param {Object} effect - Damage effect result
+     * @returns {string|null} Message text
+     * @private
+     */
+    getDamageEffectMessage(effect) {
+        switch (effect.kind) {
+            case 'recoil':
+                return `${effect.target} is damaged by recoil!`;
+
+            case 'drain':
+                return `${effect.target} had its energy drained!`;
+
+            case 'charge':
+                return `${effect.target} ${effect.text || 'is charging up!'}`;
+
+            case 'ohko':
+                return effect.applied ? null : `${effect.target} is unaffected!`;
+        }
+
+        return null;
+    }
+
     /**
      * Handle battle end
      * @param {Object} result - Battle result
@@ -1164,13 +2814,12 @@ class BattleScene extends Phaser.Scene {
                 });
             } else {
                 // Regular victory
-                this.showMessage('You won the battle!', () => {
-                    // Check for evolution
-                    if (result.canEvolve) {
-                        this.handleEvolution(result.evolutionData);
-                    } else {
-                        this.returnToWorld();
-                    }
+                const trainer = this.initData.trainer;
+                const victoryMessage = trainer ? `You defeated ${trainer.name}!` : 'You won the battle!';
+
+                this.showMessage(victoryMessage, () => {
+                    // Evolve monsters that reached their evolution level
+                    this.handleEvolution(result.evolutions || []);
                 });
             }
         } else if (result.winner === 'enemy') {
@@ -1186,10 +2835,13 @@ class BattleScene extends Phaser.Scene {
 
     /**
      * Handle monster evolution
-     * @param {Object} evolutionData - Evolution data
+     * Evolves the monsters one at a time, then returns to the world
+     * @param {Array} evolutions - Evolution data ({ monster, evolutionId }) for each monster
      * @private
      */
-    handleEvolution(evolutionData) {
+    handleEvolution(evolutions) {
+        const evolutionData = evolutions[0];
+
         if (!evolutionData || !evolutionData.monster || !evolutionData.evolutionId) {
             this.returnToWorld();
             return;
@@ -1209,7 +2861,7 @@ class BattleScene extends Phaser.Scene {
 
             // Show evolution complete message
             this.showMessage(`${evolutionData.monster.name} evolved into ${evolvedMonster.name}!`, () => {
-                this.returnToWorld();
+                this.handleEvolution(evolutions.slice(1));
             });
         });
     }
@@ -1222,8 +2874,16 @@ class BattleScene extends Phaser.Scene {
         // Disable input
         this.inputEnabled = false;
 
+        // A replay leaves no result behind
+        const battleResult = this.replaying ? null : this.battleState.result || null;
+
+        // Keep the log of the battle, so it can be replayed
+        if (!this.replaying) {
+            this.game.registry.set('lastBattleLog', this.battleSystem.exportBattleLog());
+        }
+
         // Emit battle end event
-        if (this.eventSystem) {
+        if (this.eventSystem && !this.replaying) {
             this.eventSystem.emit(EVENTS.BATTLE_END, this.battleState);
         }
 
@@ -1232,7 +2892,7 @@ class BattleScene extends Phaser.Scene {
 
         this.cameras.main.once('camerafadeoutcomplete', () => {
             this.scene.stop();
-            this.scene.resume(SCENES.WORLD);
+            this.scene.resume(SCENES.WORLD, { battleResult: battleResult });
         });
     }
 
@@ -1269,6 +2929,20 @@ class BattleScene extends Phaser.Scene {
                     this.highlightMonsterButton(this.selectedMonster);
                 }
                 break;
+
+            case 'learn':
+                // Move selection up in learn menu
+                if (this.selectedLearnOption > 0) {
+                    this.selectedLearnOption--;
+                    this.highlightLearnButton(this.selectedLearnOption);
+                }
+                break;
+
+            case 'confirm':
+                // Move selection to Yes
+                this.selectedConfirmOption = 0;
+                this.highlightConfirmButton(this.selectedConfirmOption);
+                break;
         }
     }
 
@@ -1305,6 +2979,20 @@ class BattleScene extends Phaser.Scene {
                     this.highlightMonsterButton(this.selectedMonster);
                 }
                 break;
+
+            case 'learn':
+                // Move selection down in learn menu
+                if (this.selectedLearnOption < this.ui.learnButtons.length - 1) {
+                    this.selectedLearnOption++;
+                    this.highlightLearnButton(this.selectedLearnOption);
+                }
+                break;
+
+            case 'confirm':
+                // Move selection to No
+                this.selectedConfirmOption = 1;
+                this.highlightConfirmButton(this.selectedConfirmOption);
+                break;
         }
     }
 
@@ -1333,6 +3021,14 @@ class BattleScene extends Phaser.Scene {
                     this.highlightAbilityButton(this.selectedAbility);
                 }
                 break;
+
+            case 'target':
+                // Move selection left in target menu
+                if (this.selectedTarget > 0) {
+                    this.selectedTarget--;
+                    this.highlightTargetButton(this.selectedTarget);
+                }
+                break;
         }
     }
 
@@ -1361,6 +3057,14 @@ class BattleScene extends Phaser.Scene {
                     this.highlightAbilityButton(this.selectedAbility);
                 }
                 break;
+
+            case 'target':
+                // Move selection right in target menu
+                if (this.selectedTarget < this.ui.targetButtons.length - 1) {
+                    this.selectedTarget++;
+                    this.highlightTargetButton(this.selectedTarget);
+                }
+                break;
         }
     }
 
@@ -1382,6 +3086,10 @@ class BattleScene extends Phaser.Scene {
                 this.handleAbilitySelection(this.selectedAbility);
                 break;
 
+            case 'target':
+                this.handleTargetSelection(this.selectedTarget);
+                break;
+
             case 'monster':
                 const button = this.ui.monsterButtons.find(btn => btn.index === this.selectedMonster);
 
@@ -1389,6 +3097,14 @@ class BattleScene extends Phaser.Scene {
                     this.handleMonsterSelection(this.selectedMonster);
                 }
                 break;
+
+            case 'learn':
+                this.handleLearnSelection(this.selectedLearnOption);
+                break;
+
+            case 'confirm':
+                this.handleConfirmSelection(this.selectedConfirmOption);
+                break;
         }
     }
 
@@ -1402,10 +3118,32 @@ class BattleScene extends Phaser.Scene {
         }
 
         switch (this.currentMenu) {
+            case 'action':
+                // Go back to the previous monster's choice
+                this.cancelSlotAction();
+                break;
+
             case 'ability':
-            case 'monster':
                 this.showActionMenu();
                 break;
+
+            case 'target':
+                this.showAbilityMenu();
+                break;
+
+            case 'monster':
+                this.closeMonsterMenu();
+                break;
+
+            case 'learn':
+                // Cancelling skips the new ability
+                this.handleLearnSelection(this.ui.learnButtons.length - 1);
+                break;
+
+            case 'confirm':
+                // Cancelling answers No
+                this.handleConfirmSelection(1);
+                break;
         }
     }
 
@@ -39,7 +39,8 @@ class DialogScene extends Phaser.Scene {
             currentNode: null,
             nodeIndex: 0,
             dialogNodes: [],
-            choiceIndex: 0
+            choiceIndex: 0,
+            choice: null
         };
 
         // UI elements
@@ -194,9 +195,17 @@ class DialogScene extends Phaser.Scene {
 
     /**
      * Load dialog data
+     * Nodes passed in the init data are used as-is, otherwise they are loaded by dialog ID
      * @private
      */
     loadDialogData() {
+        // Use inline nodes when given (e.g. messages built at runtime)
+        if (Array.isArray(this.initData.nodes)) {
+            this.dialogState.dialogNodes = this.initData.nodes;
+            this.startDialog();
+            return;
+        }
+
         // Get dialog data from data manager
         const dialogId = this.dialogState.dialogId;
 
@@ -458,6 +467,11 @@ class DialogScene extends Phaser.Scene {
         if (node.choices && node.choices.length > 0) {
             const choice = node.choices[this.dialogState.choiceIndex];
 
+            // Record the choice for listeners of the dialog end event
+            if (choice) {
+                this.dialogState.choice = choice.value !== undefined ? choice.value : this.dialogState.choiceIndex;
+            }
+
             if (choice && choice.nextNode !== undefined) {
                 // Go to specified node
                 this.showDialogNode(choice.nextNode);
@@ -505,7 +519,8 @@ class DialogScene extends Phaser.Scene {
         if (this.eventSystem) {
             this.eventSystem.emit(EVENTS.DIALOG_END, {
                 dialogId: this.dialogState.dialogId,
-                npcId: this.dialogState.npcId
+                npcId: this.dialogState.npcId,
+                choice: this.dialogState.choice
             });
         }
 
@@ -2,6 +2,7 @@
  * MenuScene
  * Main menu interface for the game
  * Provides options to start game, view options, etc.
+ * Launched from the world scene ({ inGame: true }), it is the game menu with the party and monster summaries
  *
  * @extends Phaser.Scene
  */
@@ -28,6 +29,13 @@ class MenuScene extends Phaser.Scene {
 
         // Get event system
         this.eventSystem = this.game.registry.get('eventSystem');
+
+        // Game menu over the paused world scene, rather than the title menu
+        this.inGame = !!(data && data.inGame);
+
+        // Objects of the current menu page, replaced when another page is shown
+        this.pageObjects = [];
+        this.menuOptions = [];
     }
 
     /**
@@ -38,21 +46,23 @@ class MenuScene extends Phaser.Scene {
         const width = this.cameras.main.width;
         const height = this.cameras.main.height;
 
-        // Create background
-        this.add.rectangle(width / 2, height / 2, width, height, COLORS.UI.BACKGROUND);
+        // Create background (the game menu lets the world show through)
+        this.add.rectangle(width / 2, height / 2, width, height, COLORS.UI.BACKGROUND, this.inGame ? 0.85 : 1);
 
         // Create title
-        this.add.text(
-            width / 2,
-            height * 0.2,
-            'MonsterQuest',
-            {
-                font: '48px Arial',
-                fill: '#ffffff',
-                stroke: '#000000',
-                strokeThickness: 6
-            }
-        ).setOrigin(0.5);
+        if (!this.inGame) {
+            this.add.text(
+                width / 2,
+                height * 0.2,
+                'MonsterQuest',
+                {
+                    font: '48px Arial',
+                    fill: '#ffffff',
+                    stroke: '#000000',
+                    strokeThickness: 6
+                }
+            ).setOrigin(0.5);
+        }
 
         // Create menu options
         this.createMenuOptions();
@@ -76,21 +86,71 @@ class MenuScene extends Phaser.Scene {
         const width = this.cameras.main.width;
         const height = this.cameras.main.height;
 
+        if (this.inGame) {
+            this.showGameMenu();
+            return;
+        }
+
         // Menu options
-        const options = [
+        this.setOptions([
             { text: 'New Game', action: this.startNewGame.bind(this) },
             { text: 'Continue', action: this.continueGame.bind(this) },
             { text: 'Options', action: this.openOptions.bind(this) }
-        ];
+        ]);
+
+        // Add version text
+        this.add.text(
+            width - 20,
+            height - 20,
+            'v0.1.0',
+            {
+                font: '16px Arial',
+                fill: '#ffffff'
+            }
+        ).setOrigin(1);
+    }
+
+    /**
+     * Show a page of menu options, replacing the current page
+     * @param {Array} options - Options ({ text, action })
+     * @param {Object} layout - Page layout
+     * @param {string} layout.heading - Text shown above the options (optional)
+     * @param {number} layout.top - Y position of the first option (default 40% down the screen)
+     * @param {number} layout.spacing - Distance between options (default 70)
+     * @private
+     */
+    setOptions(options, layout = {}) {
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+        const top = layout.top !== undefined ? layout.top : height * 0.4;
+        const spacing = layout.spacing || 70;
+
+        // Remove the previous page
+        this.pageObjects.forEach(object => object.destroy());
+        this.pageObjects = [];
+
+        if (layout.heading) {
+            this.pageObjects.push(this.add.text(
+                width / 2,
+                top - spacing,
+                layout.heading,
+                {
+                    font: '20px Arial',
+                    fill: '#ffffff',
+                    align: 'center',
+                    lineSpacing: 6
+                }
+            ).setOrigin(0.5, 1));
+        }
 
         // Create menu option buttons
         this.menuOptions = options.map((option, index) => {
             // Create button background
             const button = this.add.rectangle(
                 width / 2,
-                height * 0.4 + index * 70,
+                top + index * spacing,
                 300,
-                50,
+                Math.min(50, spacing - 10),
                 COLORS.UI.BUTTON
             ).setInteractive();
 
@@ -109,7 +169,7 @@ class MenuScene extends Phaser.Scene {
             // Add text
             const text = this.add.text(
                 width / 2,
-                height * 0.4 + index * 70,
+                top + index * spacing,
                 option.text,
                 {
                     font: '24px Arial',
@@ -117,19 +177,186 @@ class MenuScene extends Phaser.Scene {
                 }
             ).setOrigin(0.5);
 
+            this.pageObjects.push(button, text);
+
             return { button, text };
         });
 
-        // Add version text
-        this.add.text(
-            width - 20,
-            height - 20,
-            'v0.1.0',
-            {
-                font: '16px Arial',
-                fill: '#ffffff'
-            }
-        ).setOrigin(1);
+        // Start at the top of the new page
+        if (this.cursorKeys) {
+            this.selectedOption = 0;
+            this.highlightOption(this.selectedOption);
+        }
+    }
+
+    /**
+     * Show the game menu
+     * @private
+     */
+    showGameMenu() {
+        this.backAction = () => this.closeMenu();
+
+        this.setOptions([
+            { text: 'Party', action: () => this.showParty() },
+            { text: 'Close', action: () => this.closeMenu() }
+        ], { heading: 'Menu' });
+    }
+
+    /**
+     * Show the party, to pick a monster to look at
+     * @private
+     */
+    showParty() {
+        const height = this.cameras.main.height;
+        const party = this.getPlayerData().party || [];
+
+        this.backAction = () => this.showGameMenu();
+
+        const options = party.map(monster => ({
+            text: `${monster.name} Lv. ${monster.level}  ${monster.currentHp}/${monster.stats.hp}`,
+            action: () => this.showSummary(monster)
+        }));
+
+        options.push({ text: 'Back', action: this.backAction });
+
+        this.setOptions(options, {
+            heading: party.length > 0 ? 'Party' : 'Party\nNo monsters yet',
+            top: height * 0.22,
+            spacing: 60
+        });
+    }
+
+    /**
+     * Show a party monster's summary, with its item options
+     * @param {Object} monster - Party monster
+     * @private
+     */
+    showSummary(monster) {
+        const height = this.cameras.main.height;
+        const heldItem = monster.heldItem ? dataManager.get('items', monster.heldItem) : null;
+        const abilities = (monster.abilities || []).map(abilityId => {
+            const ability = dataManager.get('abilities', abilityId);
+            return ability ? ability.name : abilityId;
+        });
+        const stats = monster.stats;
+
+        this.backAction = () => this.showParty();
+
+        this.setOptions([
+            { text: 'Use Item', action: () => this.showLevelItems(monster) },
+            { text: 'Give Item', action: () => this.showHeldItems(monster) },
+            { text: 'Take Item', action: () => this.takeHeldItem(monster) },
+            { text: 'Back', action: this.backAction }
+        ], {
+            heading: [
+                `${monster.name}  Lv. ${monster.level}  (${(monster.types || [monster.type]).join('/')})`,
+                `HP ${monster.currentHp}/${stats.hp}  Atk ${stats.attack}  Def ${stats.defense}`,
+                `Sp. Atk ${stats.specialAttack}  Sp. Def ${stats.specialDefense}  Spd ${stats.speed}`,
+                `Abilities: ${abilities.join(', ')}`,
+                `Held item: ${heldItem ? heldItem.name : (monster.heldItem || 'None')}`
+            ].join('\n'),
+            top: height * 0.6,
+            spacing: 60
+        });
+    }
+
+    /**
+     * Show the level items in the bag (e.g. Rare Candy), to use one on a monster
+     * @param {Object} monster - Party monster to use the item on
+     * @private
+     */
+    showLevelItems(monster) {
+        const height = this.cameras.main.height;
+        const bagItems = (this.getPlayerData().inventory || []).filter(entry => {
+            const item = dataManager.get('items', entry.id);
+            return item && item.type === ITEM_TYPES.LEVEL && entry.quantity > 0;
+        });
+
+        this.backAction = () => this.showSummary(monster);
+
+        const options = bagItems.map(entry => ({
+            text: `${dataManager.get('items', entry.id).name} x${entry.quantity}`,
+            action: () => this.closeMenu(world => world.useItemOnMonster(entry.id, monster))
+        }));
+
+        options.push({ text: 'Back', action: this.backAction });
+
+        this.setOptions(options, {
+            heading: bagItems.length > 0 ? `Use an item on ${monster.name}` : 'No items to use in the bag',
+            top: height * 0.22,
+            spacing: 60
+        });
+    }
+
+    /**
+     * Show the held items in the bag, to give one to a monster
+     * @param {Object} monster - Party monster to give the item to
+     * @private
+     */
+    showHeldItems(monster) {
+        const height = this.cameras.main.height;
+        const bagItems = (this.getPlayerData().inventory || []).filter(entry => {
+            const item = dataManager.get('items', entry.id);
+            return item && item.type === ITEM_TYPES.HELD && entry.quantity > 0;
+        });
+
+        this.backAction = () => this.showSummary(monster);
+
+        const options = bagItems.map(entry => ({
+            text: `${dataManager.get('items', entry.id).name} x${entry.quantity}`,
+            action: () => this.closeMenu(world => world.giveItemToMonster(entry.id, monster))
+        }));
+
+        options.push({ text: 'Back', action: this.backAction });
+
+        this.setOptions(options, {
+            heading: bagItems.length > 0 ? `Give ${monster.name} an item` : 'No items to hold in the bag',
+            top: height * 0.22,
+            spacing: 60
+        });
+    }
+
+    /**
+     * Take a monster's held item and put it in the bag
+     * @param {Object} monster - Party monster
+     * @private
+     */
+    takeHeldItem(monster) {
+        if (!monster.heldItem) {
+            this.showMessage(`${monster.name} isn't holding anything.`);
+            return;
+        }
+
+        this.closeMenu(world => world.takeItemFromMonster(monster));
+    }
+
+    /**
+     * Close the game menu and resume the world scene
+     * @param {function} action - Callback with the world scene once it runs again, e.g. to show its messages
+     * @private
+     */
+    closeMenu(action = null) {
+        const world = this.scene.get(SCENES.WORLD);
+
+        if (this.eventSystem) {
+            this.eventSystem.emit(EVENTS.MENU_CLOSE);
+        }
+
+        this.scene.stop();
+        this.scene.resume(SCENES.WORLD);
+
+        if (action) {
+            action(world);
+        }
+    }
+
+    /**
+     * Get the player data
+     * @returns {Object} Player data from the game registry
+     * @private
+     */
+    getPlayerData() {
+        return this.game.registry.get('playerData') || {};
     }
 
     /**
@@ -160,6 +387,13 @@ class MenuScene extends Phaser.Scene {
         this.input.keyboard.on('keydown-SPACE', () => {
             this.selectCurrentOption();
         });
+
+        // Go back a page in the game menu
+        this.input.keyboard.on('keydown-ESC', () => {
+            if (this.inGame && this.backAction) {
+                this.backAction();
+            }
+        });
     }
 
     /**
@@ -219,9 +453,11 @@ class MenuScene extends Phaser.Scene {
             position: { x: 5, y: 5, map: 'hometown' },
             party: [],
             inventory: [],
+            money: 0,
             progress: {
                 badges: 0,
-                quests: {}
+                quests: {},
+                trainers: {}
             }
         });
 
@@ -313,6 +549,7 @@ class MenuScene extends Phaser.Scene {
         this.input.keyboard.off('keydown-DOWN');
         this.input.keyboard.off('keydown-ENTER');
         this.input.keyboard.off('keydown-SPACE');
+        this.input.keyboard.off('keydown-ESC');
 
         // Clean up menu options
         this.menuOptions.forEach(option => {
@@ -51,6 +51,15 @@ class WorldScene extends Phaser.Scene {
 
         // NPC movement timers
         this.npcMovementTimers = {};
+
+        // Steps an NPC waits when its way is blocked, before heading for the next patrol point or giving up a walk
+        this.npcMaxBlockedSteps = 3;
+
+        // Steps left of the path the player clicked to walk along
+        this.playerPath = [];
+
+        // Trainer NPC currently challenging the player
+        this.activeTrainer = null;
     }
 
     /**
@@ -70,6 +79,9 @@ class WorldScene extends Phaser.Scene {
         // Create grid movement system
         this.gridMovement = new GridMovement(this);
 
+        // Create monster system (for items used on the party)
+        this.monsterSystem = new MonsterSystem(this);
+
         // Load map
         this.loadMap(this.currentMapId);
 
@@ -107,9 +119,10 @@ class WorldScene extends Phaser.Scene {
     /**
      * Load map data and create map
      * @param {string} mapId - ID of map to load
+     * @param {Object} origin - Pixel position of the map's top-left corner (default 0, 0)
      * @private
      */
-    loadMap(mapId) {
+    loadMap(mapId, origin = { x: 0, y: 0 }) {
         // Get map data from data manager
         const mapData = dataManager.get('maps', mapId);
 
@@ -126,13 +139,14 @@ class WorldScene extends Phaser.Scene {
         this.currentMap = mapData;
         this.currentMapId = mapId;
 
-        // Create map container
-        this.mapContainer = this.add.container(0, 0);
+        // Create map container (kept below the player, which stays when the map changes)
+        this.mapContainer = this.add.container(origin.x, origin.y);
+        this.mapContainer.setDepth(-10);
 
         // Set camera bounds based on map size
         this.cameras.main.setBounds(
-            0,
-            0,
+            origin.x,
+            origin.y,
             mapData.width * GAME_CONFIG.TILE_SIZE,
             mapData.height * GAME_CONFIG.TILE_SIZE
         );
@@ -274,6 +288,41 @@ class WorldScene extends Phaser.Scene {
                 this.decorations.add(wallShading);
                 break;
 
+            case TILE_TYPES.LEDGE_DOWN:
+            case TILE_TYPES.LEDGE_LEFT:
+            case TILE_TYPES.LEDGE_RIGHT:
+                // Add the lip on the side the ledge drops off
+                const ledgeLip = this.add.graphics();
+                const drop = (TILE_RULES[tileType] || {}).ledge || DIRECTIONS.DOWN;
+                ledgeLip.fillStyle(COLORS.TILE.LEDGE);
+
+                if (drop.y !== 0) {
+                    ledgeLip.fillRect(x * tileSize, y * tileSize + tileSize * 0.7, tileSize, tileSize * 0.3);
+                } else {
+                    ledgeLip.fillRect(
+                        x * tileSize + (drop.x > 0 ? tileSize * 0.7 : 0),
+                        y * tileSize,
+                        tileSize * 0.3,
+                        tileSize
+                    );
+                }
+
+                this.decorations.add(ledgeLip);
+                break;
+
+            case TILE_TYPES.ICE:
+                // Add a shine streak
+                const shine = this.add.graphics();
+                shine.lineStyle(2, 0xffffff, 0.6);
+                shine.lineBetween(
+                    x * tileSize + tileSize * 0.25,
+                    y * tileSize + tileSize * 0.6,
+                    x * tileSize + tileSize * 0.55,
+                    y * tileSize + tileSize * 0.3
+                );
+                this.decorations.add(shine);
+                break;
+
             case TILE_TYPES.DOOR:
                 // Add door knob
                 const doorknob = this.add.circle(
@@ -344,11 +393,13 @@ class WorldScene extends Phaser.Scene {
             sprite: playerSprite,
             face: face,
             outline: playerOutline,
+            facing: DIRECTIONS.DOWN,
             type: ENTITY_TYPES.PLAYER
         };
 
         // Add player to grid movement system
         this.gridMovement.addEntity(this.entities.player);
+        this.updateFieldAbilities();
 
         // Make camera follow player
         this.cameras.main.startFollow(playerSprite, true);
@@ -360,9 +411,10 @@ class WorldScene extends Phaser.Scene {
 
     /**
      * Create NPCs based on map data
+     * @param {Object} origin - Pixel position of the map's top-left corner (default 0, 0)
      * @private
      */
-    createNPCs() {
+    createNPCs(origin = { x: 0, y: 0 }) {
         if (!this.currentMap || !this.currentMap.npcs) {
             return;
         }
@@ -389,8 +441,8 @@ class WorldScene extends Phaser.Scene {
 
             // Create NPC container
             const npcContainer = this.add.container(
-                npcData.x * tileSize + tileSize / 2,
-                npcData.y * tileSize + tileSize / 2
+                origin.x + npcData.x * tileSize + tileSize / 2,
+                origin.y + npcData.y * tileSize + tileSize / 2
             );
 
             // Create NPC sprite body
@@ -469,21 +521,24 @@ class WorldScene extends Phaser.Scene {
                 npcType: npcData.type,
                 dialog: npcData.dialog,
                 sprite: npcContainer,
+                facing: DIRECTIONS[(npcData.facing || 'down').toUpperCase()] || DIRECTIONS.DOWN,
+                trainer: npcData.trainer || null,
+                solid: npcData.solid !== false,
                 movement: npcData.movement || 'static',
                 movementDirection: {x: 0, y: 0},
                 movementTimer: null,
-                patrolPoints: []
+                patrolPoints: [],
+                blockedSteps: 0
             };
 
-            // Setup patrol points if movement type is patrol
-            if (npc.movement === 'patrol') {
-                // Create simple patrol route around starting position
-                npc.patrolPoints = [
-                    {x: npc.x, y: npc.y},
-                    {x: npc.x + 2, y: npc.y},
-                    {x: npc.x + 2, y: npc.y + 2},
-                    {x: npc.x, y: npc.y + 2}
-                ];
+            // Pass-through NPCs (e.g. ghosts) are see-through
+            if (!npc.solid) {
+                npcContainer.setAlpha(0.6);
+            }
+
+            // Setup patrol points if movement type is patrol: the NPC walks from its start through the waypoints and back
+            if (npc.movement === 'patrol' && npcData.patrol && npcData.patrol.length > 0) {
+                npc.patrolPoints = [{x: npc.x, y: npc.y}].concat(npcData.patrol.map(point => ({x: point.x, y: point.y})));
                 npc.patrolIndex = 0;
             }
 
@@ -515,6 +570,34 @@ class WorldScene extends Phaser.Scene {
 
         // Add keyboard events
         this.menuKey.on('down', this.openMenu, this);
+
+        // Click (or tap) a tile to walk there
+        this.input.on('pointerdown', this.handlePointerDown, this);
+
+        // Replay the last battle (R, debug mode only)
+        if (this.debug) {
+            this.replayKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.R);
+            this.replayKey.on('down', this.replayLastBattle, this);
+        }
+    }
+
+    /**
+     * Replay the last battle from its log
+     * @private
+     */
+    replayLastBattle() {
+        if (!this.inputEnabled) {
+            return;
+        }
+
+        const log = this.game.registry.get('lastBattleLog');
+
+        if (!log) {
+            console.log('WorldScene: No battle to replay');
+            return;
+        }
+
+        this.startBattle({ replay: log });
     }
 
     /**
@@ -537,7 +620,7 @@ class WorldScene extends Phaser.Scene {
 
         // Pause this scene and start menu scene
         this.scene.pause();
-        this.scene.launch(SCENES.MENU);
+        this.scene.launch(SCENES.MENU, { inGame: true });
     }
 
     /**
@@ -582,6 +665,11 @@ class WorldScene extends Phaser.Scene {
             }
         }
 
+        // Without anyone to talk to, the player fishes in nearby water
+        if (this.tryFishing()) {
+            return;
+        }
+
         // No entity found to interact with
         if (this.debug) {
             console.log('WorldScene: No entity to interact with');
@@ -604,6 +692,18 @@ class WorldScene extends Phaser.Scene {
         // Make NPC face the player
         this.faceEntityTowardsPlayer(npc);
 
+        // Trainers challenge the player until they are defeated
+        if (npc.trainer) {
+            if (this.isTrainerDefeated(npc)) {
+                this.showWorldDialog({ dialogId: npc.trainer.afterDialog || npc.dialog, npcId: npc.id }, () => {
+                    this.inputEnabled = true;
+                });
+            } else {
+                this.challengePlayer(npc);
+            }
+            return;
+        }
+
         // Start dialog scene
         this.scene.launch(SCENES.DIALOG, {
             dialogId: npc.dialog,
@@ -647,6 +747,240 @@ class WorldScene extends Phaser.Scene {
         this.inputEnabled = true;
     }
 
+    /**
+     * Show a dialog and wait for it to end
+     * @param {Array|Object} dialog - Dialog nodes built at runtime (e.g. item messages), or dialog scene data ({ dialogId, npcId })
+     * @param {function} callback - Callback with the dialog end data
+     * @private
+     */
+    showWorldDialog(dialog, callback) {
+        this.scene.launch(SCENES.DIALOG, Array.isArray(dialog) ? { nodes: dialog } : dialog);
+
+        this.eventSystem.once(EVENTS.DIALOG_END, data => {
+            // Let the dialog scene stop before it is launched again
+            this.time.delayedCall(0, () => {
+                callback(data || {});
+            });
+        });
+    }
+
+    /**
+     * Use an item from the bag on a party monster
+     * Only level items (e.g. Rare Candy) can be used outside of battle
+     * @param {string} itemId - Item ID
+     * @param {Object} monster - Party monster to use the item on
+     * @returns {boolean} True if the item was used
+     */
+    useItemOnMonster(itemId, monster) {
+        const item = dataManager.get('items', itemId);
+        const inventory = this.playerData.inventory || [];
+        const bagItem = inventory.find(entry => entry.id === itemId);
+
+        if (!item || !bagItem || bagItem.quantity <= 0 || !this.inputEnabled) {
+            return false;
+        }
+
+        // Disable input while the messages are shown
+        this.inputEnabled = false;
+
+        const finish = () => {
+            this.inputEnabled = true;
+        };
+
+        if (item.type !== ITEM_TYPES.LEVEL) {
+            this.showWorldDialog([{ speaker: item.name, text: "This item can't be used here." }], finish);
+            return false;
+        }
+
+        // Raise the level once per level the item grants
+        const levels = (item.effect && item.effect.levels) || 1;
+        const learned = [];
+        const pending = [];
+        let leveledUp = false;
+
+        for (let i = 0; i < levels; i++) {
+            const result = this.monsterSystem.raiseLevel(monster);
+
+            if (!result.leveledUp) {
+                break;
+            }
+
+            leveledUp = true;
+            learned.push(...result.learnedAbilities);
+            pending.push(...result.pendingAbilities);
+        }
+
+        if (!leveledUp) {
+            this.showWorldDialog([{ speaker: item.name, text: 'It won\'t have any effect.' }], finish);
+            return false;
+        }
+
+        // Consume the item
+        bagItem.quantity--;
+
+        if (bagItem.quantity <= 0) {
+            inventory.splice(inventory.indexOf(bagItem), 1);
+        }
+
+        if (this.eventSystem) {
+            this.eventSystem.emit(EVENTS.ITEM_USED, item, monster);
+        }
+
+        const nodes = [{ speaker: monster.name, text: `${monster.name} grew to level ${monster.level}!` }];
+
+        learned.forEach(abilityId => {
+            nodes.push({ speaker: monster.name, text: `${monster.name} learned ${this.monsterSystem.getAbility(abilityId).name}!` });
+        });
+
+        // Ask about each ability that needs a slot, one after another
+        const promptNext = () => {
+            if (pending.length === 0) {
+                finish();
+                return;
+            }
+
+            this.promptLearnAbility(monster, pending.shift(), promptNext);
+        };
+
+        this.showWorldDialog(nodes, promptNext);
+        return true;
+    }
+
+    /**
+     * Give a held item from the bag to a party monster
+     * An item the monster already holds goes back into the bag
+     * @param {string} itemId - Item ID
+     * @param {Object} monster - Party monster to give the item to
+     * @returns {boolean} True if the item was given
+     */
+    giveItemToMonster(itemId, monster) {
+        const item = dataManager.get('items', itemId);
+        const inventory = this.playerData.inventory || [];
+        const bagItem = inventory.find(entry => entry.id === itemId);
+
+        if (!item || !bagItem || bagItem.quantity <= 0 || !this.inputEnabled) {
+            return false;
+        }
+
+        // Disable input while the messages are shown
+        this.inputEnabled = false;
+
+        const finish = () => {
+            this.inputEnabled = true;
+        };
+
+        const result = this.monsterSystem.giveHeldItem(monster, itemId);
+
+        if (!result.success) {
+            this.showWorldDialog([{ speaker: item.name, text: result.message }], finish);
+            return false;
+        }
+
+        // Move the item from the bag to the monster
+        bagItem.quantity--;
+
+        if (bagItem.quantity <= 0) {
+            inventory.splice(inventory.indexOf(bagItem), 1);
+        }
+
+        const nodes = [];
+
+        if (result.previousItem) {
+            this.addBagItem(result.previousItem);
+
+            const previousItem = dataManager.get('items', result.previousItem);
+            nodes.push({ speaker: monster.name, text: `Took ${previousItem ? previousItem.name : result.previousItem} from ${monster.name}.` });
+        }
+
+        nodes.push({ speaker: monster.name, text: `${monster.name} is now holding ${item.name}.` });
+
+        this.showWorldDialog(nodes, finish);
+        return true;
+    }
+
+    /**
+     * Take a party monster's held item and put it in the bag
+     * @param {Object} monster - Party monster holding the item
+     * @returns {boolean} True if an item was taken
+     */
+    takeItemFromMonster(monster) {
+        if (!monster.heldItem || !this.inputEnabled) {
+            return false;
+        }
+
+        // Disable input while the message is shown
+        this.inputEnabled = false;
+
+        const itemId = this.monsterSystem.takeHeldItem(monster);
+        const item = dataManager.get('items', itemId);
+
+        this.addBagItem(itemId);
+
+        this.showWorldDialog([{ speaker: monster.name, text: `Took ${item ? item.name : itemId} from ${monster.name}.` }], () => {
+            this.inputEnabled = true;
+        });
+        return true;
+    }
+
+    /**
+     * Put an item in the player's bag
+     * @param {string} itemId - Item ID
+     * @private
+     */
+    addBagItem(itemId) {
+        if (!this.playerData.inventory) {
+            this.playerData.inventory = [];
+        }
+
+        const bagItem = this.playerData.inventory.find(entry => entry.id === itemId);
+
+        if (bagItem) {
+            bagItem.quantity++;
+        } else {
+            this.playerData.inventory.push({ id: itemId, quantity: 1 });
+        }
+    }
+
+    /**
+     * Ask which ability to forget so a monster can learn a new one
+     * @param {Object} monster - Monster learning the ability
+     * @param {string} abilityId - Ability to learn
+     * @param {function} callback - Callback when the choice has been made and announced
+     * @private
+     */
+    promptLearnAbility(monster, abilityId, callback) {
+        const newAbility = this.monsterSystem.getAbility(abilityId);
+
+        // Known abilities to forget, then the option to skip the new one
+        const choices = monster.abilities.map(knownId => {
+            const known = this.monsterSystem.getAbility(knownId);
+            return { text: known ? known.name : knownId, value: knownId };
+        });
+
+        choices.push({ text: `Don't learn ${newAbility.name}`, value: null });
+
+        const question = {
+            speaker: monster.name,
+            text: `${monster.name} wants to learn ${newAbility.name}! But ${monster.name} already knows ${GAME_CONFIG.MAX_ABILITIES} abilities. Forget one?`,
+            choices: choices
+        };
+
+        this.showWorldDialog([question], data => {
+            let text = `${monster.name} did not learn ${newAbility.name}.`;
+
+            if (data.choice) {
+                const forgotten = this.monsterSystem.getAbility(data.choice);
+                const result = this.monsterSystem.learnAbility(monster, abilityId, data.choice);
+
+                if (result.success) {
+                    text = `1, 2 and... Poof! ${monster.name} forgot ${forgotten ? forgotten.name : data.choice}. And... ${result.message}`;
+                }
+            }
+
+            this.showWorldDialog([{ speaker: monster.name, text: text }], callback);
+        });
+    }
+
     /**
      * Move player in a direction
      * @param {Object} direction - Direction to move (from DIRECTIONS)
@@ -654,12 +988,27 @@ class WorldScene extends Phaser.Scene {
      * @private
      */
     movePlayer(direction) {
-        // Skip if input is not enabled
-        if (!this.inputEnabled || this.inputCooldown) {
+        const player = this.entities.player;
+
+        // Skip if input is not enabled or the player is still sliding or hopping
+        if (!this.inputEnabled || this.inputCooldown || player.moving) {
             return false;
         }
 
-        const player = this.entities.player;
+        // The player turns that way even if the way is blocked
+        player.facing = direction;
+
+        // Water and other tiles that need an ability depend on the party
+        this.updateFieldAbilities();
+
+        // Walking off the edge of the map at a connection scrolls over to the connected map
+        if (!this.gridMovement.canMove(player.x, player.y, direction, player)) {
+            const connection = this.getConnection(player.x, player.y, direction);
+
+            if (connection) {
+                return this.scrollToConnectedMap(connection, direction);
+            }
+        }
 
         // Attempt to move player
         const moved = this.gridMovement.moveEntity(player, direction);
@@ -686,8 +1035,27 @@ class WorldScene extends Phaser.Scene {
                 this.inputCooldown = false;
             });
 
-            // Check for random encounter if in encounter zone
-            if (this.gridMovement.isEncounterZone(player.x, player.y)) {
+            // Doors and other warps take the player to another map, trainers that spot the player
+            // challenge them before any wild encounter
+            const warp = this.getWarpAt(player.x, player.y);
+            const trainer = warp ? null : this.getTrainerInSight();
+
+            if (warp) {
+                this.inputEnabled = false;
+
+                // Let the player finish the step first
+                this.afterPlayerMove(() => {
+                    this.warpPlayer(warp);
+                });
+            } else if (trainer) {
+                this.inputEnabled = false;
+
+                // Let the player finish the step first
+                this.afterPlayerMove(() => {
+                    this.challengePlayer(trainer, true);
+                });
+            } else if (this.gridMovement.isEncounterZone(player.x, player.y)) {
+                // Check for random encounter if in encounter zone
                 this.checkRandomEncounter();
             }
         }
@@ -696,138 +1064,532 @@ class WorldScene extends Phaser.Scene {
     }
 
     /**
-     * Check for random encounter
+     * Call back once the player's move is done (slides and hops take longer than a step)
+     * @param {function} callback - Callback when the player has arrived
      * @private
      */
-    checkRandomEncounter() {
-        // Skip if not in encounter zone
-        if (!this.gridMovement.isEncounterZone(
-            this.entities.player.x,
-            this.entities.player.y
-        )) {
-            return;
-        }
+    afterPlayerMove(callback) {
+        const check = () => {
+            if (this.entities.player.moving) {
+                this.time.delayedCall(50, check);
+            } else {
+                callback();
+            }
+        };
 
-        // Check for encounter
-        if (this.gridMovement.checkEncounter()) {
-            // Trigger battle
-            this.startBattle();
-        }
+        this.time.delayedCall(this.inputCooldownTime, check);
     }
 
     /**
-     * Start a battle
+     * Let the player enter the tiles their party's abilities open up (e.g. water with a monster that knows Surf)
      * @private
      */
-    startBattle() {
-        if (this.debug) {
-            console.log('WorldScene: Starting battle');
-        }
-
-        // Disable input
-        this.inputEnabled = false;
-
-        // Fade out camera
-        this.cameras.main.fadeOut(500);
-
-        // Wait for fade out
-        this.cameras.main.once('camerafadeoutcomplete', () => {
-            // Emit battle start event
-            if (this.eventSystem) {
-                this.eventSystem.emit(EVENTS.BATTLE_START);
-            }
+    updateFieldAbilities() {
+        const abilities = [];
 
-            // Start battle scene
-            this.scene.pause();
-            this.scene.launch(SCENES.BATTLE, {
-                location: this.currentMapId,
-                playerPosition: {
-                    x: this.entities.player.x,
-                    y: this.entities.player.y
+        (this.playerData.party || []).forEach(monster => {
+            (monster.abilities || []).forEach(abilityId => {
+                if (!abilities.includes(abilityId)) {
+                    abilities.push(abilityId);
                 }
             });
-
-            // Listen for battle end
-            this.eventSystem.once(EVENTS.BATTLE_END, this.handleBattleEnd, this);
         });
+
+        this.entities.player.fieldAbilities = abilities;
     }
 
     /**
-     * Handle battle end
-     * @param {Object} result - Battle result data
+     * Hide the lower half of the player and NPCs standing in tall grass
      * @private
      */
-    handleBattleEnd(result) {
-        // Resume scene
-        this.scene.resume();
+    updateGrassCovers() {
+        const tileSize = GAME_CONFIG.TILE_SIZE;
 
-        // Fade in camera
-        this.cameras.main.fadeIn(500);
+        [this.entities.player].concat(this.entities.npcs).forEach(entity => {
+            if (!entity || !entity.sprite) {
+                return;
+            }
 
-        // Re-enable input after fade in
-        this.cameras.main.once('camerafadeincomplete', () => {
-            this.inputEnabled = true;
-        });
+            const hidden = !!this.gridMovement.getTileRules(entity.x, entity.y).hidesLowerHalf;
 
-        if (this.debug) {
-            console.log('WorldScene: Battle ended', result);
-        }
+            if (!entity.grassCover) {
+                if (!hidden) {
+                    return;
+                }
+
+                // A patch of grass drawn over the lower half of the sprite
+                entity.grassCover = this.add.rectangle(0, 0, tileSize, tileSize / 2, COLORS.TILE.GRASS);
+                entity.grassCover.setDepth(2);
+            }
+
+            entity.grassCover.setVisible(hidden);
+            entity.grassCover.setPosition(entity.sprite.x, entity.sprite.y + tileSize / 4);
+        });
     }
 
     /**
-     * Update loop called every frame
-     * @param {number} time - Current time
-     * @param {number} delta - Time elapsed since last update
+     * Find the connection that leads off the current map from a tile
+     * @param {number} x - Tile X position
+     * @param {number} y - Tile Y position
+     * @param {Object} direction - Direction the player walks in (from DIRECTIONS)
+     * @returns {Object|null} Connection data or null if the tile has no connection that way
+     * @private
      */
-    update(time, delta) {
-        // Handle player input
-        this.handleInput();
-
-        // Update NPCs
-        this.updateNPCs(delta);
-
-        // Add slight animation to grass/water tiles
-        this.animateTerrainElements(time);
+    getConnection(x, y, direction) {
+        return (this.currentMap.connections || []).find(connection =>
+            connection.x === x && connection.y === y && MAP_DIRECTIONS[connection.direction] === direction
+        ) || null;
     }
 
     /**
-     * Animate terrain elements like grass and water
-     * @param {number} time - Current time
+     * Find the warp (e.g. a door) on a tile of the current map
+     * @param {number} x - Tile X position
+     * @param {number} y - Tile Y position
+     * @returns {Object|null} Warp data or null if the tile has no warp
      * @private
      */
-    animateTerrainElements(time) {
-        // Check if decorations exist before accessing list property
-        if (!this.decorations || !this.decorations.list) {
-            return;
-        }
-
-        // Simple pulsing effect for grass and water elements
-        this.decorations.list.forEach(decoration => {
-            if (decoration.type === 'grass' || decoration.type === 'water') {
-                decoration.alpha = 0.7 + Math.sin(time / 500) * 0.3;
-            }
-        });
+    getWarpAt(x, y) {
+        return (this.currentMap.warps || []).find(warp => warp.x === x && warp.y === y) || null;
     }
 
     /**
-     * Handle player input
+     * Scroll over to the map on the other side of a connection
+     * The connected map is built next to the current one and the player walks across onto its target tile
+     * @param {Object} connection - Connection data
+     * @param {Object} direction - Direction the player walks in (from DIRECTIONS)
+     * @returns {boolean} True if the player is moving to the connected map
      * @private
      */
-    handleInput() {
-        // Skip if input is not enabled
-        if (!this.inputEnabled) {
-            return;
+    scrollToConnectedMap(connection, direction) {
+        const mapData = dataManager.get('maps', connection.targetMap);
+
+        if (!mapData) {
+            console.error(`Map not found: ${connection.targetMap}`);
+            return false;
+        }
+
+        this.inputEnabled = false;
+
+        const tileSize = GAME_CONFIG.TILE_SIZE;
+        const player = this.entities.player;
+        const previousMap = this.currentMap;
+        const previousMapId = this.currentMapId;
+        const previous = this.detachMap();
+
+        // Line the connected map up so the player's next step lands on the target tile
+        const origin = {
+            x: (player.x + direction.x - connection.targetX) * tileSize,
+            y: (player.y + direction.y - connection.targetY) * tileSize
+        };
+
+        this.loadMap(connection.targetMap, origin);
+        this.createNPCs(origin);
+
+        // The camera can show both maps while the player walks across
+        const left = Math.min(0, origin.x);
+        const top = Math.min(0, origin.y);
+
+        this.cameras.main.setBounds(
+            left,
+            top,
+            Math.max(previousMap.width * tileSize, origin.x + mapData.width * tileSize) - left,
+            Math.max(previousMap.height * tileSize, origin.y + mapData.height * tileSize) - top
+        );
+
+        this.tweens.add({
+            targets: [player.sprite, player.face, player.outline].filter(object => object),
+            x: `+=${direction.x * tileSize}`,
+            y: `+=${direction.y * tileSize}`,
+            duration: 200,
+            ease: 'Linear',
+            onComplete: () => {
+                this.destroyMap(previous);
+
+                // Move the new map and its NPCs to the origin along with the player
+                this.mapContainer.setPosition(0, 0);
+
+                this.entities.npcs.forEach(npc => {
+                    npc.sprite.x -= origin.x;
+                    npc.sprite.y -= origin.y;
+                });
+
+                this.cameras.main.setBounds(0, 0, mapData.width * tileSize, mapData.height * tileSize);
+                this.placePlayer(connection.targetX, connection.targetY);
+                this.handleMapChange(previousMapId);
+
+                this.inputEnabled = true;
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Fade over to the map a warp leads to (e.g. through a door)
+     * @param {Object} warp - Warp data
+     * @private
+     */
+    warpPlayer(warp) {
+        if (!dataManager.get('maps', warp.targetMap)) {
+            console.error(`Map not found: ${warp.targetMap}`);
+            this.inputEnabled = true;
+            return;
+        }
+
+        this.inputEnabled = false;
+
+        const camera = this.cameras.main;
+        camera.fadeOut(300);
+
+        camera.once('camerafadeoutcomplete', () => {
+            const previousMapId = this.currentMapId;
+
+            // Rebuild the scene around the target map while the screen is dark
+            this.destroyMap(this.detachMap());
+            this.loadMap(warp.targetMap);
+            this.createNPCs();
+            this.placePlayer(warp.targetX, warp.targetY);
+            this.handleMapChange(previousMapId);
+
+            camera.fadeIn(300);
+            camera.once('camerafadeincomplete', () => {
+                this.inputEnabled = true;
+            });
+        });
+    }
+
+    /**
+     * Stop the current map's NPCs and take the map's objects out of the scene state
+     * @returns {Object} Detached map ({ container, decorations, npcs }) for destroyMap
+     * @private
+     */
+    detachMap() {
+        Object.values(this.npcMovementTimers).forEach(timer => {
+            if (timer) {
+                timer.remove();
+            }
+        });
+        this.npcMovementTimers = {};
+
+        const map = {
+            container: this.mapContainer,
+            decorations: this.decorations,
+            npcs: this.entities.npcs
+        };
+
+        this.entities.npcs = [];
+
+        return map;
+    }
+
+    /**
+     * Destroy the tiles and NPCs of a detached map
+     * @param {Object} map - Detached map from detachMap
+     * @private
+     */
+    destroyMap(map) {
+        if (map.decorations) {
+            this.tweens.killTweensOf(map.decorations.list);
+        }
+
+        map.npcs.forEach(npc => {
+            this.tweens.killTweensOf(npc.sprite);
+            npc.sprite.destroy();
+
+            if (npc.grassCover) {
+                npc.grassCover.destroy();
+            }
+        });
+
+        map.container.destroy();
+    }
+
+    /**
+     * Put the player on a tile of the current map
+     * @param {number} x - Tile X position
+     * @param {number} y - Tile Y position
+     * @private
+     */
+    placePlayer(x, y) {
+        const player = this.entities.player;
+        const tileSize = GAME_CONFIG.TILE_SIZE;
+        const objects = [player.sprite, player.face, player.outline].filter(object => object);
+
+        this.tweens.killTweensOf(objects);
+
+        objects.forEach(object => {
+            object.setPosition(x * tileSize + tileSize / 2, y * tileSize + tileSize / 2);
+        });
+
+        player.x = x;
+        player.y = y;
+        player.moving = false;
+        this.gridMovement.addEntity(player);
+
+        // Update player data
+        this.playerData.position.map = this.currentMapId;
+        this.playerData.position.x = x;
+        this.playerData.position.y = y;
+    }
+
+    /**
+     * Announce that the player has moved to another map
+     * @param {string} previousMapId - ID of the map the player left
+     * @private
+     */
+    handleMapChange(previousMapId) {
+        if (this.eventSystem) {
+            this.eventSystem.emit(EVENTS.PLAYER_ZONE_CHANGE, { from: previousMapId, to: this.currentMapId });
+        }
+
+        if (this.debug) {
+            console.log(`WorldScene: Moved from ${previousMapId} to ${this.currentMapId}`);
+        }
+    }
+
+    /**
+     * Check for random encounter
+     * @private
+     */
+    checkRandomEncounter() {
+        const player = this.entities.player;
+
+        // Check for encounter with the table of the player's tile
+        const table = this.gridMovement.checkEncounter(player.x, player.y, this.getTimeOfDay());
+
+        if (table) {
+            this.startWildBattle(table);
+        }
+    }
+
+    /**
+     * Check for a bite when the player fishes in the water they face
+     * @returns {boolean} True if the player faces water they can fish in
+     * @private
+     */
+    tryFishing() {
+        const player = this.entities.player;
+        const facing = player.facing || DIRECTIONS.DOWN;
+
+        // Fishing needs a fishing table and water on the tile the player faces
+        const table = this.gridMovement.getEncounterTable(ENCOUNTER_METHODS.FISHING, this.getTimeOfDay());
+        const facingWater = this.gridMovement.getTileAt(player.x + facing.x, player.y + facing.y) === TILE_TYPES.WATER;
+
+        if (!table || !facingWater) {
+            return false;
+        }
+
+        this.inputEnabled = false;
+
+        if (table.monsters.length > 0 && this.monsterSystem.getRandom().next() < table.rate) {
+            this.showWorldDialog([{ speaker: this.playerData.name, text: 'Oh! A bite!' }], () => {
+                this.startWildBattle(table);
+            });
+        } else {
+            this.showWorldDialog([{ speaker: this.playerData.name, text: 'Not even a nibble...' }], () => {
+                this.inputEnabled = true;
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * Start a battle against wild monsters from an encounter table
+     * @param {Object} table - Encounter table ({ method, rate, doubleRate, monsters }) from GridMovement
+     * @private
+     */
+    startWildBattle(table) {
+        // Some encounter tables pair wild monsters up, if the player has two monsters that can fight
+        const healthy = (this.playerData.party || []).filter(monster => monster.currentHp > 0);
+        const double = healthy.length >= 2 && this.monsterSystem.getRandom().next() < (table.doubleRate || 0);
+        const format = double ? BATTLE_FORMATS.DOUBLE : BATTLE_FORMATS.SINGLE;
+
+        // Roll a monster for each slot
+        const enemy = [];
+
+        for (let slot = 0; slot < BATTLE_SLOTS[format]; slot++) {
+            const monster = this.monsterSystem.createWildMonster(table.monsters);
+
+            if (monster) {
+                enemy.push(monster);
+            }
+        }
+
+        if (enemy.length === 0) {
+            this.inputEnabled = true;
+            return;
+        }
+
+        // Trigger battle
+        this.startBattle({
+            format: enemy.length > 1 ? BATTLE_FORMATS.DOUBLE : BATTLE_FORMATS.SINGLE,
+            enemy: enemy
+        });
+    }
+
+    /**
+     * Get the current time of day
+     * A time of day set in the player data (`playerData.timeOfDay`, e.g. by an event or for testing) comes first,
+     * otherwise it follows the local clock
+     * @returns {string} Time of day (from TIMES_OF_DAY)
+     * @private
+     */
+    getTimeOfDay() {
+        if (this.playerData.timeOfDay) {
+            return this.playerData.timeOfDay;
+        }
+
+        const hour = new Date().getHours();
+
+        if (hour >= TIME_OF_DAY_HOURS.morning && hour < TIME_OF_DAY_HOURS.day) {
+            return TIMES_OF_DAY.MORNING;
+        }
+
+        if (hour >= TIME_OF_DAY_HOURS.day && hour < TIME_OF_DAY_HOURS.night) {
+            return TIMES_OF_DAY.DAY;
+        }
+
+        return TIMES_OF_DAY.NIGHT;
+    }
+
+    /**
+     * Start a battle
+     * @param {Object} battleData - Extra battle scene data (e.g. battleType, trainer and enemy for trainer battles, format)
+     * @private
+     */
+    startBattle(battleData = {}) {
+        if (this.debug) {
+            console.log('WorldScene: Starting battle', battleData);
+        }
+
+        // Disable input
+        this.inputEnabled = false;
+
+        // Fade out camera
+        this.cameras.main.fadeOut(500);
+
+        // Wait for fade out
+        this.cameras.main.once('camerafadeoutcomplete', () => {
+            // Emit battle start event
+            if (this.eventSystem) {
+                this.eventSystem.emit(EVENTS.BATTLE_START);
+            }
+
+            // Start battle scene
+            this.scene.pause();
+            this.scene.launch(SCENES.BATTLE, Object.assign({
+                location: this.currentMapId,
+                weather: this.currentMap.weather || null,
+                playerPosition: {
+                    x: this.entities.player.x,
+                    y: this.entities.player.y
+                }
+            }, battleData));
+
+            // The battle scene resumes this scene with the result once it has closed
+            this.events.once('resume', (sys, data) => {
+                this.handleBattleEnd(data ? data.battleResult : null);
+            });
+        });
+    }
+
+    /**
+     * Handle battle end
+     * @param {Object} result - Battle result data
+     * @private
+     */
+    handleBattleEnd(result) {
+        const trainerNPC = this.activeTrainer;
+        this.activeTrainer = null;
+
+        // Fade in camera
+        this.cameras.main.fadeIn(500);
+
+        // Re-enable input after fade in (after the trainer's defeat, if any)
+        this.cameras.main.once('camerafadeincomplete', () => {
+            if (trainerNPC && result && result.winner === 'player') {
+                this.handleTrainerDefeat(trainerNPC, () => {
+                    this.inputEnabled = true;
+                });
+                return;
+            }
+
+            this.inputEnabled = true;
+        });
+
+        if (this.debug) {
+            console.log('WorldScene: Battle ended', result);
+        }
+    }
+
+    /**
+     * Update loop called every frame
+     * @param {number} time - Current time
+     * @param {number} delta - Time elapsed since last update
+     */
+    update(time, delta) {
+        // Handle player input
+        this.handleInput();
+
+        // Update NPCs
+        this.updateNPCs(delta);
+
+        // Hide feet in tall grass
+        this.updateGrassCovers();
+
+        // Add slight animation to grass/water tiles
+        this.animateTerrainElements(time);
+    }
+
+    /**
+     * Animate terrain elements like grass and water
+     * @param {number} time - Current time
+     * @private
+     */
+    animateTerrainElements(time) {
+        // Check if decorations exist before accessing list property
+        if (!this.decorations || !this.decorations.list) {
+            return;
+        }
+
+        // Simple pulsing effect for grass and water elements
+        this.decorations.list.forEach(decoration => {
+            if (decoration.type === 'grass' || decoration.type === 'water') {
+                decoration.alpha = 0.7 + Math.sin(time / 500) * 0.3;
+            }
+        });
+    }
+
+    /**
+     * Handle player input
+     * @private
+     */
+    handleInput() {
+        // Skip if input is not enabled
+        if (!this.inputEnabled) {
+            return;
         }
 
         // Handle movement input
+        let direction = null;
+
         if (this.cursors.up.isDown) {
-            this.movePlayer(DIRECTIONS.UP);
+            direction = DIRECTIONS.UP;
         } else if (this.cursors.down.isDown) {
-            this.movePlayer(DIRECTIONS.DOWN);
+            direction = DIRECTIONS.DOWN;
         } else if (this.cursors.left.isDown) {
-            this.movePlayer(DIRECTIONS.LEFT);
+            direction = DIRECTIONS.LEFT;
         } else if (this.cursors.right.isDown) {
-            this.movePlayer(DIRECTIONS.RIGHT);
+            direction = DIRECTIONS.RIGHT;
+        }
+
+        // Arrow keys take over from a clicked path
+        if (direction) {
+            this.playerPath = [];
+            this.movePlayer(direction);
+        } else if (this.playerPath.length > 0) {
+            this.followPlayerPath();
         }
 
         // Handle interaction input
@@ -836,6 +1598,69 @@ class WorldScene extends Phaser.Scene {
         }
     }
 
+    /**
+     * Walk the player to the tile that was clicked
+     * Clicking a wall or someone walks up next to it
+     * @param {Phaser.Input.Pointer} pointer - Pointer that was pressed
+     * @private
+     */
+    handlePointerDown(pointer) {
+        if (!this.inputEnabled) {
+            return;
+        }
+
+        const tileSize = GAME_CONFIG.TILE_SIZE;
+        const player = this.entities.player;
+        const target = {
+            x: Math.floor(pointer.worldX / tileSize),
+            y: Math.floor(pointer.worldY / tileSize)
+        };
+
+        this.updateFieldAbilities();
+
+        const blocked = !this.gridMovement.isWalkable(target.x, target.y, player) ||
+            this.gridMovement.isOccupied(target.x, target.y, player);
+
+        this.playerPath = this.gridMovement.findPath(player, target, { entity: player, adjacent: blocked }) || [];
+
+        if (this.debug) {
+            console.log(`WorldScene: Walking to ${target.x},${target.y} in ${this.playerPath.length} steps`);
+        }
+    }
+
+    /**
+     * Take the next step of the path the player clicked
+     * @private
+     */
+    followPlayerPath() {
+        const player = this.entities.player;
+
+        // Wait until the last step (or slide or hop) is over
+        if (this.inputCooldown || player.moving) {
+            return;
+        }
+
+        const step = this.playerPath[0];
+
+        // Someone stepped into the way: look for a way around them
+        if (!this.gridMovement.canMove(player.x, player.y, step.direction, player)) {
+            const goal = this.playerPath[this.playerPath.length - 1];
+
+            this.playerPath = this.gridMovement.findPath(player, goal, { entity: player }) || [];
+            return;
+        }
+
+        // Keep the step until the player actually takes it
+        if (this.movePlayer(step.direction)) {
+            this.playerPath.shift();
+        }
+
+        // Warps, trainers and wild battles end the walk
+        if (!this.inputEnabled) {
+            this.playerPath = [];
+        }
+    }
+
     /**
      * Update NPCs
      * @param {number} delta - Time elapsed since last update
@@ -880,7 +1705,20 @@ class WorldScene extends Phaser.Scene {
                         {x: 0, y: 0} // Stay still
                     ];
 
-                    const randomDirection = directions[Math.floor(Math.random() * directions.length)];
+                    let randomDirection = directions[Math.floor(Math.random() * directions.length)];
+
+                    // Walk another free way if that one is blocked, or stay put if there is none
+                    if ((randomDirection.x !== 0 || randomDirection.y !== 0) &&
+                        !this.gridMovement.canMove(npc.x, npc.y, randomDirection, npc)) {
+                        const freeDirections = directions.filter(direction =>
+                            (direction.x !== 0 || direction.y !== 0) && this.gridMovement.canMove(npc.x, npc.y, direction, npc)
+                        );
+
+                        randomDirection = freeDirections.length > 0 ?
+                            freeDirections[Math.floor(Math.random() * freeDirections.length)] :
+                            {x: 0, y: 0};
+                    }
+
                     npc.movementDirection = randomDirection;
 
                     // Try to move in that direction
@@ -911,28 +1749,47 @@ class WorldScene extends Phaser.Scene {
             this.npcMovementTimers[npc.id] = this.time.addEvent({
                 delay: 1500,
                 callback: () => {
-                    // Get current patrol point
-                    const targetPoint = npc.patrolPoints[npc.patrolIndex];
-
-                    // Calculate direction to move
-                    if (npc.x < targetPoint.x) {
-                        this.moveNPC(npc, DIRECTIONS.RIGHT);
-                    } else if (npc.x > targetPoint.x) {
-                        this.moveNPC(npc, DIRECTIONS.LEFT);
-                    } else if (npc.y < targetPoint.y) {
-                        this.moveNPC(npc, DIRECTIONS.DOWN);
-                    } else if (npc.y > targetPoint.y) {
-                        this.moveNPC(npc, DIRECTIONS.UP);
-                    } else {
-                        // Reached point, go to next one
-                        npc.patrolIndex = (npc.patrolIndex + 1) % npc.patrolPoints.length;
-                    }
+                    this.stepPatrollingNPC(npc);
                 },
                 loop: true
             });
         }
     }
 
+    /**
+     * Take a patrolling NPC one step along the path to its current patrol point
+     * An NPC with no way through waits, and gives up on the point after a few tries
+     * @param {Object} npc - NPC entity
+     * @private
+     */
+    stepPatrollingNPC(npc) {
+        // Get current patrol point
+        const targetPoint = npc.patrolPoints[npc.patrolIndex];
+
+        if (npc.x === targetPoint.x && npc.y === targetPoint.y) {
+            // Reached point, go to next one
+            npc.patrolIndex = (npc.patrolIndex + 1) % npc.patrolPoints.length;
+            npc.blockedSteps = 0;
+            return;
+        }
+
+        // Take the first step of the way around anything in between
+        const path = this.gridMovement.findPath(npc, targetPoint, { entity: npc });
+
+        if (path && this.moveNPC(npc, path[0].direction)) {
+            npc.blockedSteps = 0;
+            return;
+        }
+
+        // Wait for the way to clear, but don't stall behind something that stays put (e.g. the player)
+        npc.blockedSteps++;
+
+        if (npc.blockedSteps >= this.npcMaxBlockedSteps) {
+            npc.patrolIndex = (npc.patrolIndex + 1) % npc.patrolPoints.length;
+            npc.blockedSteps = 0;
+        }
+    }
+
     /**
      * Move an NPC in a direction
      * @param {Object} npc - NPC entity
@@ -941,10 +1798,275 @@ class WorldScene extends Phaser.Scene {
      * @private
      */
     moveNPC(npc, direction) {
+        // NPCs face the way they walk
+        npc.facing = direction;
+
         // Try to move using grid movement system
         return this.gridMovement.moveEntity(npc, direction);
     }
 
+    /**
+     * Stop an NPC's movement pattern
+     * @param {Object} npc - NPC entity
+     * @private
+     */
+    stopNPCMovement(npc) {
+        if (this.npcMovementTimers[npc.id]) {
+            this.npcMovementTimers[npc.id].remove();
+            delete this.npcMovementTimers[npc.id];
+        }
+
+        npc.movement = 'static';
+    }
+
+    /**
+     * Get the key a trainer's defeat is recorded under
+     * @param {Object} npc - Trainer NPC entity
+     * @returns {string} Trainer key (map ID and NPC ID)
+     * @private
+     */
+    getTrainerKey(npc) {
+        return `${this.currentMapId}:${npc.id}`;
+    }
+
+    /**
+     * Check if the player has defeated a trainer
+     * @param {Object} npc - Trainer NPC entity
+     * @returns {boolean} True if the trainer was defeated
+     * @private
+     */
+    isTrainerDefeated(npc) {
+        const trainers = this.playerData.progress.trainers || {};
+
+        return !!trainers[this.getTrainerKey(npc)];
+    }
+
+    /**
+     * Find an undefeated trainer that can see the player
+     * Trainers look straight ahead up to their sight range; walls and other solid entities block the view, while
+     * they see across water and ledges
+     * @returns {Object|null} Trainer NPC entity
+     * @private
+     */
+    getTrainerInSight() {
+        const player = this.entities.player;
+
+        return this.entities.npcs.find(npc => {
+            if (!npc.trainer || npc === this.activeTrainer || this.isTrainerDefeated(npc)) {
+                return false;
+            }
+
+            const facing = npc.facing;
+            const range = npc.trainer.sightRange || 0;
+            const distance = facing.x !== 0 ? (player.x - npc.x) * facing.x : (player.y - npc.y) * facing.y;
+
+            // The player has to be straight ahead and within range
+            const inLine = facing.x !== 0 ? player.y === npc.y : player.x === npc.x;
+
+            if (!inLine || distance < 1 || distance > range) {
+                return false;
+            }
+
+            // Check the tiles in between
+            for (let step = 1; step < distance; step++) {
+                if (this.gridMovement.blocksSight(npc.x + facing.x * step, npc.y + facing.y * step)) {
+                    return false;
+                }
+            }
+
+            return true;
+        }) || null;
+    }
+
+    /**
+     * Have a trainer challenge the player
+     * A trainer that spotted the player shows an exclamation mark and walks up first
+     * @param {Object} npc - Trainer NPC entity
+     * @param {boolean} spotted - Whether the trainer spotted the player (rather than being talked to)
+     * @private
+     */
+    challengePlayer(npc, spotted = false) {
+        const trainer = npc.trainer;
+
+        this.inputEnabled = false;
+        this.activeTrainer = npc;
+        this.stopNPCMovement(npc);
+
+        const startChallenge = () => {
+            // Pre-battle dialog, then the battle
+            const launchBattle = () => {
+                this.startBattle({
+                    battleType: 'trainer',
+                    trainer: {
+                        id: npc.id,
+                        name: trainer.name || npc.id,
+                        ai: trainer.ai,
+                        items: trainer.items,
+                        prizeMoney: trainer.prizeMoney || 0
+                    },
+                    enemy: this.createTrainerParty(trainer),
+                    format: trainer.format || BATTLE_FORMATS.SINGLE
+                });
+            };
+
+            if (trainer.beforeDialog) {
+                this.showWorldDialog({ dialogId: trainer.beforeDialog, npcId: npc.id }, launchBattle);
+            } else {
+                launchBattle();
+            }
+        };
+
+        if (!spotted) {
+            startChallenge();
+            return;
+        }
+
+        // Exclamation mark, then walk up to the player
+        this.showExclamation(npc, () => {
+            this.walkToPlayer(npc, startChallenge);
+        });
+    }
+
+    /**
+     * Create the monsters of a trainer's party
+     * @param {Object} trainer - Trainer data from the map
+     * @returns {Array} Monster instances
+     * @private
+     */
+    createTrainerParty(trainer) {
+        return (trainer.party || [])
+            .map(entry => this.monsterSystem.createMonster(entry.id, entry.level, {
+                abilities: entry.abilities ? entry.abilities.slice() : null,
+                heldItem: entry.heldItem || null
+            }))
+            .filter(monster => monster);
+    }
+
+    /**
+     * Show an exclamation mark above an NPC
+     * @param {Object} npc - NPC entity
+     * @param {function} callback - Callback when the mark disappears
+     * @private
+     */
+    showExclamation(npc, callback) {
+        const tileSize = GAME_CONFIG.TILE_SIZE;
+
+        const mark = this.add.text(npc.sprite.x, npc.sprite.y - tileSize, '!', {
+            font: 'bold 24px Arial',
+            fill: '#ff0000',
+            stroke: '#ffffff',
+            strokeThickness: 4
+        }).setOrigin(0.5).setDepth(10).setScale(0);
+
+        // Pop in, hold, then remove
+        this.tweens.add({
+            targets: mark,
+            scale: 1,
+            duration: 150,
+            ease: 'Back.easeOut',
+            onComplete: () => {
+                this.time.delayedCall(600, () => {
+                    mark.destroy();
+                    callback();
+                });
+            }
+        });
+    }
+
+    /**
+     * Walk an NPC along a path to a position, e.g. in a scripted scene
+     * The NPC looks for a way around anyone who steps into its path, and stops if there is none or it stays blocked
+     * @param {Object} npc - NPC entity
+     * @param {Object} target - Position to walk to ({ x, y })
+     * @param {function} callback - Callback with true once the NPC has arrived, or false if it couldn't get there
+     * @param {Object} options - Path search options (see GridMovement.findPath, e.g. adjacent to stop next to the target)
+     */
+    walkNPCTo(npc, target, callback, options = {}) {
+        const searchOptions = Object.assign({}, options, { entity: npc });
+        let path = this.gridMovement.findPath(npc, target, searchOptions);
+        let blockedSteps = 0;
+
+        const step = () => {
+            if (!path || blockedSteps >= this.npcMaxBlockedSteps) {
+                callback(false);
+                return;
+            }
+
+            // The last step has finished
+            if (path.length === 0) {
+                callback(true);
+                return;
+            }
+
+            if (this.moveNPC(npc, path[0].direction)) {
+                path.shift();
+                blockedSteps = 0;
+            } else {
+                path = this.gridMovement.findPath(npc, target, searchOptions);
+                blockedSteps++;
+            }
+
+            this.time.delayedCall(250, step);
+        };
+
+        step();
+    }
+
+    /**
+     * Walk an NPC up to the player
+     * @param {Object} npc - NPC entity
+     * @param {function} callback - Callback when the NPC has arrived
+     * @private
+     */
+    walkToPlayer(npc, callback) {
+        const player = this.entities.player;
+
+        this.walkNPCTo(npc, player, () => {
+            // Face the player, whichever way the NPC came from
+            npc.facing = Object.values(DIRECTIONS).find(direction =>
+                direction.x === Math.sign(player.x - npc.x) && direction.y === Math.sign(player.y - npc.y)
+            ) || npc.facing;
+
+            callback();
+        }, { adjacent: true });
+    }
+
+    /**
+     * Record a trainer's defeat, pay out the prize money and show the post-battle dialog
+     * @param {Object} npc - Trainer NPC entity
+     * @param {function} callback - Callback when the dialog has ended
+     * @private
+     */
+    handleTrainerDefeat(npc, callback) {
+        const trainer = npc.trainer;
+        const prizeMoney = trainer.prizeMoney || 0;
+
+        // Defeated trainers don't challenge the player again
+        this.playerData.progress.trainers = this.playerData.progress.trainers || {};
+        this.playerData.progress.trainers[this.getTrainerKey(npc)] = true;
+
+        this.playerData.money = (this.playerData.money || 0) + prizeMoney;
+
+        if (this.eventSystem) {
+            this.eventSystem.emit(EVENTS.TRAINER_DEFEATED, { npcId: npc.id, mapId: this.currentMapId, prizeMoney: prizeMoney });
+        }
+
+        const showPrize = () => {
+            if (prizeMoney <= 0) {
+                callback();
+                return;
+            }
+
+            this.showWorldDialog([{ speaker: this.playerData.name, text: `${this.playerData.name} got $${prizeMoney} for winning!` }], callback);
+        };
+
+        if (trainer.afterDialog) {
+            this.showWorldDialog({ dialogId: trainer.afterDialog, npcId: npc.id }, showPrize);
+        } else {
+            showPrize();
+        }
+    }
+
     /**
      * Cleanup when scene is shutdown
      * @private
@@ -964,7 +2086,6 @@ class WorldScene extends Phaser.Scene {
 
         if (this.eventSystem) {
             this.eventSystem.off(EVENTS.DIALOG_END, this.handleDialogEnd);
-            this.eventSystem.off(EVENTS.BATTLE_END, this.handleBattleEnd);
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,536 @@
+/**
+ * BattleAI Class
+ * Chooses actions for enemy monsters in battle
+ * Works on a plain battle state so it can be used (and tested) without a running battle
+ */
+class BattleAI {
+    /**
+     * Create a new BattleAI
+     * @param {MonsterSystem} monsterSystem - Monster system used for ability, type and PP lookups
+     * @param {Object} options - AI options
+     * @param {string} options.profile - Difficulty profile (see AI_PROFILES, default: random)
+     * @param {SeededRandom} options.random - Random number generator (default: the monster system's)
+     * @param {DataManager} options.dataManager - Game data for item lookups (default: the monster system's)
+     */
+    constructor(monsterSystem, options = {}) {
+        /**
+         * Reference to MonsterSystem
+         * @type {MonsterSystem}
+         * @private
+         */
+        this._monsterSystem = monsterSystem;
+
+        /**
+         * Random number generator for the random profile's choices
+         * @type {SeededRandom}
+         * @private
+         */
+        this._random = options.random || monsterSystem.getRandom();
+
+        /**
+         * Game data for the trainer's items
+         * @type {DataManager}
+         * @private
+         */
+        this._data = options.dataManager || monsterSystem.getDataManager();
+
+        /**
+         * Current difficulty profile
+         * @type {string}
+         * @private
+         */
+        this._profile = AI_PROFILES.RANDOM;
+
+        /**
+         * HP share at or below which the smart profile heals with an item
+         * @type {number}
+         * @private
+         */
+        this._healThreshold = 0.25;
+
+        /**
+         * HP share the opponent needs for the smart profile to spend a turn on a status ability
+         * @type {number}
+         * @private
+         */
+        this._statusThreshold = 0.5;
+
+        /**
+         * Stat stage the smart profile stops raising (or lowering) a stat at
+         * @type {number}
+         * @private
+         */
+        this._statStageGoal = 2;
+
+        /**
+         * Debug mode flag
+         * @type {boolean}
+         * @private
+         */
+        this._debug = GAME_CONFIG.DEBUG;
+
+        this.setProfile(options.profile || AI_PROFILES.RANDOM);
+    }
+
+    /**
+     * Set the difficulty profile
+     * @param {string} profile - Profile name (see AI_PROFILES)
+     * @returns {boolean} True if the profile was set
+     */
+    setProfile(profile) {
+        if (!Object.values(AI_PROFILES).includes(profile)) {
+            console.error(`Unknown AI profile: ${profile}`);
+            return false;
+        }
+
+        this._profile = profile;
+        return true;
+    }
+
+    /**
+     * Get the difficulty profile
+     * @returns {string} Profile name
+     */
+    getProfile() {
+        return this._profile;
+    }
+
+    /**
+     * Choose an action for the active monster
+     * @param {Object} state - Battle state seen by the AI
+     * @param {Object} state.monster - Monster the AI controls
+     * @param {Object} state.opponent - Opposing monster
+     * @param {Array} state.opponents - Opposing monsters by slot in a double battle (optional, the AI picks the opponent)
+     * @param {Array} state.team - The AI's whole team (including the active monster)
+     * @param {Array} state.unavailable - Team members that can't be switched to, like the active ones (optional)
+     * @param {Array} state.items - Items the AI can use ({ id, quantity })
+     * @param {Object} state.statStages - Stat stages ({ monster, opponent, opponents }, optional)
+     * @returns {Object|null} Action data (with the opponent's `targetSlot` when it picked one) or null if the monster has no usable ability
+     */
+    chooseAction(state) {
+        const abilities = this._getUsableAbilities(state.monster);
+
+        if (abilities.length === 0) {
+            return null;
+        }
+
+        // Pick which opponent to go after when there is more than one
+        const targetSlot = this._chooseTargetSlot(state, abilities);
+
+        if (targetSlot !== -1) {
+            state = Object.assign({}, state, {
+                opponent: state.opponents[targetSlot],
+                statStages: Object.assign({}, state.statStages, {
+                    opponent: state.statStages && state.statStages.opponents ? state.statStages.opponents[targetSlot] : undefined
+                })
+            });
+        }
+
+        let action;
+
+        switch (this._profile) {
+            case AI_PROFILES.GREEDY:
+                action = this._chooseGreedyAction(state, abilities);
+                break;
+
+            case AI_PROFILES.SMART:
+                action = this._chooseSmartAction(state, abilities);
+                break;
+
+            default:
+                action = this._chooseRandomAction(abilities);
+        }
+
+        if (targetSlot !== -1 && action.type === 'ability') {
+            action.targetSlot = targetSlot;
+        }
+
+        if (this._debug) {
+            console.log(`BattleAI: ${state.monster.name} (${this._profile}) chose`, action);
+        }
+
+        return action;
+    }
+
+    /**
+     * Choose which opponent to target when there is more than one standing
+     * The random profile picks any of them, the others go after the one
+     * they can take the largest share of HP from
+     * @param {Object} state - Battle state seen by the AI
+     * @param {Array} abilities - Usable ability data
+     * @returns {number} Opponent slot, or -1 if there is no choice to make
+     * @private
+     */
+    _chooseTargetSlot(state, abilities) {
+        const slots = [];
+
+        (state.opponents || []).forEach((opponent, slot) => {
+            if (opponent && opponent.currentHp > 0) {
+                slots.push(slot);
+            }
+        });
+
+        if (slots.length < 2) {
+            return -1;
+        }
+
+        if (this._profile === AI_PROFILES.RANDOM) {
+            return this._random.pick(slots);
+        }
+
+        let bestSlot = slots[0];
+        let bestShare = -1;
+
+        slots.forEach(slot => {
+            const opponent = state.opponents[slot];
+            const damage = abilities.reduce((best, ability) => Math.max(best, this.getExpectedDamage(state.monster, opponent, ability)), 0);
+            const share = Math.min(1, damage / opponent.currentHp);
+
+            if (share > bestShare) {
+                bestSlot = slot;
+                bestShare = share;
+            }
+        });
+
+        return bestSlot;
+    }
+
+    /**
+     * Get the expected damage of an ability, counting its hit chance
+     * @param {Object} user - Monster using the ability
+     * @param {Object} target - Target monster
+     * @param {Object} ability - Ability data
+     * @returns {number} Expected damage
+     */
+    getExpectedDamage(user, target, ability) {
+        return this._estimateDamage(user, target, ability) * this._getHitChance(ability);
+    }
+
+    /**
+     * Random profile: any ability with PP left
+     * @param {Array} abilities - Usable ability data
+     * @returns {Object} Action data
+     * @private
+     */
+    _chooseRandomAction(abilities) {
+        const ability = this._random.pick(abilities);
+
+        return { type: 'ability', abilityId: ability.id };
+    }
+
+    /**
+     * Greedy profile: the ability with the highest expected damage
+     * Falls back to a random ability when none of them deal damage
+     * @param {Object} state - Battle state seen by the AI
+     * @param {Array} abilities - Usable ability data
+     * @returns {Object} Action data
+     * @private
+     */
+    _chooseGreedyAction(state, abilities) {
+        let best = null;
+        let bestDamage = 0;
+
+        abilities.forEach(ability => {
+            const damage = this.getExpectedDamage(state.monster, state.opponent, ability);
+
+            if (damage > bestDamage) {
+                best = ability;
+                bestDamage = damage;
+            }
+        });
+
+        return best ? { type: 'ability', abilityId: best.id } : this._chooseRandomAction(abilities);
+    }
+
+    /**
+     * Smart profile
+     * Finishes off a low-HP opponent, heals when in danger, switches out of bad matchups,
+     * sets up with status abilities, then falls back to the greedy choice
+     * @param {Object} state - Battle state seen by the AI
+     * @param {Array} abilities - Usable ability data
+     * @returns {Object} Action data
+     * @private
+     */
+    _chooseSmartAction(state, abilities) {
+        const monster = state.monster;
+        const opponent = state.opponent;
+
+        // Finish off the opponent with the surest knockout
+        const knockout = this._getKnockoutAbility(state, abilities);
+
+        if (knockout) {
+            return { type: 'ability', abilityId: knockout.id };
+        }
+
+        // Heal when low on HP
+        if (monster.currentHp / monster.stats.hp <= this._healThreshold) {
+            const healItem = this._getHealItem(state);
+
+            if (healItem) {
+                return { type: 'item', itemId: healItem.id };
+            }
+        }
+
+        // Switch out of a bad matchup
+        const switchIndex = this._getSwitchIndex(state, abilities);
+
+        if (switchIndex !== -1) {
+            return { type: 'switch', switchIndex: switchIndex };
+        }
+
+        // Set up with a status ability while the opponent is healthy (major status first, then stat changes)
+        if (opponent.currentHp / opponent.stats.hp > this._statusThreshold) {
+            const statusAbility = abilities.find(ability => this._isUsefulStatusAbility(state, ability, 'status')) ||
+                abilities.find(ability => this._isUsefulStatusAbility(state, ability, 'stat'));
+
+            if (statusAbility) {
+                return { type: 'ability', abilityId: statusAbility.id };
+            }
+        }
+
+        return this._chooseGreedyAction(state, abilities);
+    }
+
+    /**
+     * Find the ability most likely to knock out the opponent this turn
+     * Prefers higher priority, then higher accuracy
+     * @param {Object} state - Battle state seen by the AI
+     * @param {Array} abilities - Usable ability data
+     * @returns {Object|null} Ability data
+     * @private
+     */
+    _getKnockoutAbility(state, abilities) {
+        const knockouts = abilities.filter(ability => this._estimateDamage(state.monster, state.opponent, ability) >= state.opponent.currentHp);
+
+        knockouts.sort((a, b) =>
+            ((b.priority || 0) - (a.priority || 0)) ||
+            (this._getHitChance(b) - this._getHitChance(a))
+        );
+
+        return knockouts[0] || null;
+    }
+
+    /**
+     * Find the healing item that restores the most HP
+     * @param {Object} state - Battle state seen by the AI
+     * @returns {Object|null} Item data
+     * @private
+     */
+    _getHealItem(state) {
+        let best = null;
+
+        (state.items || []).forEach(entry => {
+            const item = entry.quantity > 0 ? this._data.get('items', entry.id) : null;
+
+            if (!item || item.type !== ITEM_TYPES.POTION || !item.effect || !item.effect.amount) {
+                return;
+            }
+
+            if (!best || item.effect.amount > best.effect.amount) {
+                best = item;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Find a benched monster to switch to when the active one is in a bad matchup
+     * A bad matchup is one where the opponent's types hit super effectively and
+     * none of the active monster's abilities do
+     * @param {Object} state - Battle state seen by the AI
+     * @param {Array} abilities - Usable ability data
+     * @returns {number} Team index to switch to, or -1 to stay in
+     * @private
+     */
+    _getSwitchIndex(state, abilities) {
+        const threat = this._getTypeThreat(state.opponent, state.monster);
+
+        if (threat < 2) {
+            return -1;
+        }
+
+        const bestEffectiveness = abilities.reduce((best, ability) => {
+            if (!ability.power) {
+                return best;
+            }
+
+            return Math.max(best, this._monsterSystem.getTypeEffectiveness(ability.type, this._monsterSystem.getTypes(state.opponent)));
+        }, 0);
+
+        if (bestEffectiveness > 1) {
+            return -1;
+        }
+
+        // Pick the benched monster that takes the least from the opponent's types
+        let bestIndex = -1;
+        let bestThreat = threat;
+
+        (state.team || []).forEach((monster, index) => {
+            if (monster === state.monster || monster.currentHp <= 0 || (state.unavailable || []).includes(monster)) {
+                return;
+            }
+
+            const benchThreat = this._getTypeThreat(state.opponent, monster);
+
+            if (benchThreat <= 1 && benchThreat < bestThreat) {
+                bestIndex = index;
+                bestThreat = benchThreat;
+            }
+        });
+
+        return bestIndex;
+    }
+
+    /**
+     * Get how effective an attacker's own types are against a defender
+     * @param {Object} attacker - Attacking monster
+     * @param {Object} defender - Defending monster
+     * @returns {number} Highest type effectiveness of the attacker's types
+     * @private
+     */
+    _getTypeThreat(attacker, defender) {
+        const defenderTypes = this._monsterSystem.getTypes(defender);
+
+        return Math.max(...this._monsterSystem.getTypes(attacker).map(type =>
+            this._monsterSystem.getTypeEffectiveness(type, defenderTypes)
+        ));
+    }
+
+    /**
+     * Check if a status ability would do something useful right now
+     * Major status only on an opponent without one, and stat changes until the goal stage
+     * @param {Object} state - Battle state seen by the AI
+     * @param {Object} ability - Ability data
+     * @param {string} effectType - Effect type to look for ('status' or 'stat')
+     * @returns {boolean} True if the ability is worth using
+     * @private
+     */
+    _isUsefulStatusAbility(state, ability, effectType) {
+        if (ability.power || !ability.effects) {
+            return false;
+        }
+
+        // Abilities the opponent's type is immune to do nothing
+        if (this._monsterSystem.getTypeEffectiveness(ability.type, this._monsterSystem.getTypes(state.opponent)) === 0) {
+            return false;
+        }
+
+        const stages = state.statStages || {};
+
+        return ability.effects.some(effect => {
+            if (effect.type !== effectType) {
+                return false;
+            }
+
+            switch (effect.type) {
+                case 'status':
+                    return !state.opponent.status && !this._monsterSystem.isStatusImmune(state.opponent, effect.status);
+
+                case 'stat':
+                    const onUser = effect.target === 'user';
+                    const stage = ((onUser ? stages.monster : stages.opponent) || {})[effect.stat] || 0;
+
+                    return effect.stages > 0
+                        ? stage < this._statStageGoal
+                        : stage > -this._statStageGoal;
+            }
+
+            return false;
+        });
+    }
+
+    /**
+     * Estimate the average damage of an ability when it hits
+     * Uses the damage formula with an average random factor and no critical hits
+     * @param {Object} user - Monster using the ability
+     * @param {Object} target - Target monster
+     * @param {Object} ability - Ability data
+     * @returns {number} Estimated damage
+     * @private
+     */
+    _estimateDamage(user, target, ability) {
+        const typeEffectiveness = this._monsterSystem.getTypeEffectiveness(ability.type, this._monsterSystem.getTypes(target));
+
+        if (typeEffectiveness === 0) {
+            return 0;
+        }
+
+        // Set damage
+        const setDamage = this._getDamageEffect(ability, ['fixed', 'level', 'ohko']);
+
+        if (setDamage) {
+            switch (setDamage.kind) {
+                case 'fixed':
+                    return setDamage.amount;
+
+                case 'level':
+                    return user.level;
+
+                case 'ohko':
+                    return user.level >= target.level ? target.currentHp : 0;
+            }
+        }
+
+        if (!ability.power) {
+            return 0;
+        }
+
+        const physical = ability.category === 'physical';
+        const attackStat = physical ? user.stats.attack : user.stats.specialAttack;
+        const defenseStat = physical ? target.stats.defense : target.stats.specialDefense;
+
+        // Base formula: ((2 * Level / 5 + 2) * Power * Attack / Defense / 50) + 2
+        const baseDamage = ((2 * user.level / 5 + 2) * ability.power * attackStat / defenseStat / 50) + 2;
+
+        // STAB, average random factor and burn
+        const stab = this._monsterSystem.getTypes(user).includes(ability.type) ? 1.5 : 1;
+        const random = 0.925;
+        const burn = physical && user.status === STATUS_CONDITIONS.BURN ? 0.5 : 1;
+
+        // Average hit count for multi-hit abilities
+        const multiHit = this._getDamageEffect(ability, ['multi-hit']);
+        const hits = multiHit
+            ? (multiHit.hits || ((multiHit.minHits || 2) + (multiHit.maxHits || 5)) / 2)
+            : 1;
+
+        // Two-turn abilities deal their damage over two turns
+        const turns = this._getDamageEffect(ability, ['charge']) ? 2 : 1;
+
+        return baseDamage * stab * typeEffectiveness * random * burn * hits / turns;
+    }
+
+    /**
+     * Get the chance of an ability hitting (0-1)
+     * @param {Object} ability - Ability data
+     * @returns {number} Hit chance
+     * @private
+     */
+    _getHitChance(ability) {
+        return ability.accuracy ? Math.min(ability.accuracy, 100) / 100 : 1;
+    }
+
+    /**
+     * Find an ability's damage effect of one of the given kinds
+     * @param {Object} ability - Ability data
+     * @param {string[]} kinds - Damage effect kinds
+     * @returns {Object|null} Effect data
+     * @private
+     */
+    _getDamageEffect(ability, kinds) {
+        return (ability.effects || []).find(effect => effect.type === 'damage' && kinds.includes(effect.kind)) || null;
+    }
+
+    /**
+     * Get the data of every ability a monster has PP left for
+     * @param {Object} monster - Monster to check
+     * @returns {Array} Ability data
+     * @private
+     */
+    _getUsableAbilities(monster) {
+        return (monster.abilities || [])
+            .filter(abilityId => this._monsterSystem.hasPP(monster, abilityId))
+            .map(abilityId => this._monsterSystem.getAbility(abilityId))
+            .filter(ability => ability);
+    }
+}
\ No newline at end of file
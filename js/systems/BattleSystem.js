@@ -6,29 +6,69 @@
 class BattleSystem {
     /**
      * Create a new BattleSystem
-     * @param {Phaser.Scene} scene - The scene this system belongs to
+     * Without a scene (e.g. under Node) the system runs on its options alone
+     * @param {Phaser.Scene|null} scene - The scene this system belongs to
+     * @param {Object} options - System options
+     * @param {SeededRandom} options.random - Generator the seed of each battle is drawn from (default: the game's shared generator)
+     * @param {EventSystem} options.events - Event system (default: the game's, none without a scene)
+     * @param {DataManager} options.dataManager - Game data (default: the global dataManager)
      */
-    constructor(scene) {
+    constructor(scene, options = {}) {
+        const registry = scene ? scene.game.registry : null;
+
         /**
          * Reference to the scene
-         * @type {Phaser.Scene}
+         * @type {Phaser.Scene|null}
          * @private
          */
         this._scene = scene;
 
+        /**
+         * Generator the seed of each battle is drawn from, left to its own sequence otherwise
+         * @type {SeededRandom}
+         * @private
+         */
+        this._seedSource = options.random || (registry ? registry.get('random') : null) || new SeededRandom();
+
+        /**
+         * Random number generator for every roll in battle, owned by the battle system and restarted from each
+         * battle's seed, so battles never reseed the shared generator
+         * @type {SeededRandom}
+         * @private
+         */
+        this._random = new SeededRandom(this._seedSource.createSeed());
+
+        /**
+         * Game data (abilities and items)
+         * @type {DataManager}
+         * @private
+         */
+        this._data = options.dataManager || dataManager;
+
         /**
          * Reference to MonsterSystem
          * @type {MonsterSystem}
          * @private
          */
-        this._monsterSystem = new MonsterSystem(scene);
+        this._monsterSystem = new MonsterSystem(scene, {
+            random: this._random,
+            events: options.events,
+            dataManager: this._data
+        });
+
+        /**
+         * AI choosing the enemy's actions
+         * @type {BattleAI}
+         * @private
+         */
+        this._ai = new BattleAI(this._monsterSystem, { random: this._random });
 
         /**
          * The event system
-         * @type {EventSystem}
+         * @type {EventSystem|null}
          * @private
          */
-        this._events = scene.game.registry.get('eventSystem');
+        this._events = options.events || (registry ? registry.get('eventSystem') : null);
 
         /**
          * Current battle state
@@ -40,96 +80,197 @@ class BattleSystem {
             turn: 0,
             playerTeam: [],
             enemyTeam: [],
-            activePlayerMonster: null,
-            activeEnemyMonster: null,
+            activePlayerMonster: null, // Monster in the first player slot
+            activeEnemyMonster: null, // Monster in the first enemy slot
+            format: BATTLE_FORMATS.SINGLE, // 'single' or 'double'
+            activeMonsters: { player: [], enemy: [] }, // Active monsters by slot (fainted monsters stay until replaced)
             battleType: 'wild', // 'wild' or 'trainer'
             weather: null,
-            field: null
+            weatherTurns: null, // Turns of weather left (null = until the battle ends)
+            field: { player: {}, enemy: {} }, // Side conditions by side, keyed by condition ({ turns, layers })
+            trainerItems: [], // Copies of the trainer's items, used up by the enemy AI
+            pendingEnemySendOuts: [], // Enemy monsters to send out for fainted ones ({ slot, index })
+            forcedSwitchSlots: [], // Player slots whose fainted monster has to be replaced before the next turn
+            participants: new Map(), // Per-monster battle data, keyed by monster
+            expParticipants: new Map(), // Player monsters sent out against each enemy monster
+            expShare: 0, // Share of experience for benched monsters (percentage, 0 = no Exp Share)
+            pendingExperience: [], // Experience awarded during the current action
+            evolutions: [] // Player monsters ready to evolve after the battle
         };
 
         /**
-         * Type effectiveness chart for damage calculations
+         * Built-in ability used when a monster has no PP left for any of its abilities
+         * Typeless, never misses and costs the user a quarter of its max HP
          * @type {Object}
          * @private
          */
-        this._typeChart = {
-            normal: {
-                normal: 1, fire: 1, water: 1, grass: 1, electric: 1,
-                ice: 1, fighting: 1, poison: 1, ground: 1, flying: 1,
-                psychic: 1, bug: 1, rock: 0.5, ghost: 0, dragon: 1
-            },
-            fire: {
-                normal: 1, fire: 0.5, water: 0.5, grass: 2, electric: 1,
-                ice: 2, fighting: 1, poison: 1, ground: 1, flying: 1,
-                psychic: 1, bug: 2, rock: 0.5, ghost: 1, dragon: 0.5
-            },
-            water: {
-                normal: 1, fire: 2, water: 0.5, grass: 0.5, electric: 1,
-                ice: 1, fighting: 1, poison: 1, ground: 2, flying: 1,
-                psychic: 1, bug: 1, rock: 2, ghost: 1, dragon: 0.5
-            },
-            grass: {
-                normal: 1, fire: 0.5, water: 2, grass: 0.5, electric: 1,
-                ice: 1, fighting: 1, poison: 0.5, ground: 2, flying: 0.5,
-                psychic: 1, bug: 0.5, rock: 2, ghost: 1, dragon: 0.5
-            },
-            electric: {
-                normal: 1, fire: 1, water: 2, grass: 0.5, electric: 0.5,
-                ice: 1, fighting: 1, poison: 1, ground: 0, flying: 2,
-                psychic: 1, bug: 1, rock: 1, ghost: 1, dragon: 0.5
-            },
-            ice: {
-                normal: 1, fire: 0.5, water: 0.5, grass: 2, electric: 1,
-                ice: 0.5, fighting: 1, poison: 1, ground: 2, flying: 2,
-                psychic: 1, bug: 1, rock: 1, ghost: 1, dragon: 2
-            },
-            fighting: {
-                normal: 2, fire: 1, water: A, grass: 1, electric: 1,
-                ice: 2, fighting: 1, poison: 0.5, ground: 1, flying: 0.5,
-                psychic: 0.5, bug: 0.5, rock: 2, ghost: 0, dragon: 1
-            },
-            poison: {
-                normal: 1, fire: 1, water: 1, grass: 2, electric: 1,
-                ice: 1, fighting: 1, poison: 0.5, ground: 0.5, flying: 1,
-                psychic: 1, bug: 1, rock: 0.5, ghost: 0.5, dragon: 1
+        this._struggleAbility = {
+            id: 'struggle',
+            name: 'Struggle',
+            type: null,
+            category: 'physical',
+            power: 50,
+            accuracy: 100,
+            pp: null,
+            target: 'opponent',
+            priority: 0,
+            effects: [
+                {
+                    type: 'damage',
+                    kind: 'recoil',
+                    basis: 'maxHp',
+                    target: 'user',
+                    percentage: 25
+                }
+            ]
+        };
+
+        /**
+         * Weather effects: damage multipliers by ability type, end-of-turn chip damage
+         * and battle messages
+         * @type {Object}
+         * @private
+         */
+        this._weatherEffects = {
+            rain: {
+                multipliers: { water: 1.5, fire: 0.5 },
+                continueMessage: 'Rain continues to fall.',
+                endMessage: 'The rain stopped.'
             },
-            ground: {
-                normal: 1, fire: 2, water: 1, grass: 0.5, electric: 2,
-                ice: 1, fighting: 1, poison: 2, ground: 1, flying: 0,
-                psychic: 1, bug: 0.5, rock: 2, ghost: 1, dragon: 1
+            sun: {
+                multipliers: { fire: 1.5, water: 0.5 },
+                continueMessage: 'The sunlight is strong.',
+                endMessage: 'The harsh sunlight faded.'
             },
-            flying: {
-                normal: 1, fire: 1, water: 1, grass: 2, electric: 0.5,
-                ice: 1, fighting: 2, poison: 1, ground: 1, flying: 1,
-                psychic: 1, bug: 2, rock: 0.5, ghost: 1, dragon: 1
+            hail: {
+                multipliers: {},
+                chipDamage: 1 / 16,
+                immuneTypes: ['ice'],
+                continueMessage: 'Hail continues to fall.',
+                endMessage: 'The hail stopped.'
+            }
+        };
+
+        /**
+         * Side conditions: turns they last (null = until the battle ends), layers, effects
+         * and battle messages (`{team}` is replaced with the side's name)
+         * @type {Object}
+         * @private
+         */
+        this._sideConditions = {
+            'spikes': {
+                turns: null,
+                maxLayers: 3,
+                entryDamage: [1 / 8, 1 / 6, 1 / 4], // Share of max HP by layer count
+                immuneTypes: ['flying'],
+                startMessage: 'Spikes were scattered around {team}\'s feet!',
+                entryMessage: '{monster} is hurt by the spikes!'
             },
-            psychic: {
-                normal: 1, fire: 1, water: 1, grass: 1, electric: 1,
-                ice: 1, fighting: 2, poison: 2, ground: 1, flying: 1,
-                psychic: 0.5, bug: 1, rock: 1, ghost: 1, dragon: 1
+            'toxic-spikes': {
+                turns: null,
+                maxLayers: 2,
+                entryStatus: [STATUS_CONDITIONS.POISON, STATUS_CONDITIONS.BADLY_POISONED], // By layer count
+                immuneTypes: ['flying'],
+                absorbTypes: ['poison'], // Monsters of these types clear the spikes as they come in
+                startMessage: 'Poison spikes were scattered around {team}\'s feet!',
+                endMessage: 'The poison spikes disappeared from around {team}\'s feet!'
             },
-            bug: {
-                normal: 1, fire: 0.5, water: 1, grass: 2, electric: 1,
-                ice: 1, fighting: 0.5, poison: 0.5, ground: 1, flying: 0.5,
-                psychic: 2, bug: 1, rock: 1, ghost: 0.5, dragon: 1
+            'reflect': {
+                turns: 5,
+                screenCategory: 'physical',
+                damageMultiplier: 0.5,
+                startMessage: 'Reflect made {team} stronger against physical moves!',
+                endMessage: '{team}\'s Reflect wore off!'
             },
-            rock: {
-                normal: 1, fire: 2, water: 1, grass: 1, electric: 1,
-                ice: 2, fighting: 0.5, poison: 1, ground: 0.5, flying: 2,
-                psychic: 1, bug: 2, rock: 1, ghost: 1, dragon: 1
+            'light-screen': {
+                turns: 5,
+                screenCategory: 'special',
+                damageMultiplier: 0.5,
+                startMessage: 'Light Screen made {team} stronger against special moves!',
+                endMessage: '{team}\'s Light Screen wore off!'
             },
-            ghost: {
-                normal: 0, fire: 1, water: 1, grass: 1, electric: 1,
-                ice: 1, fighting: 1, poison: 1, ground: 1, flying: 1,
-                psychic: 2, bug: 1, rock: 1, ghost: 2, dragon: 1
+            'mist': {
+                turns: 5,
+                preventsStatDrops: true,
+                startMessage: '{team} became shrouded in mist!',
+                endMessage: '{team} is no longer protected by mist!'
             },
-            dragon: {
-                normal: 1, fire: 1, water: 1, grass: 1, electric: 1,
-                ice: 1, fighting: 1, poison: 1, ground: 1, flying: 1,
-                psychic: 1, bug: 1, rock: 1, ghost: 1, dragon: 2
+            'tailwind': {
+                turns: 4,
+                speedMultiplier: 2,
+                startMessage: 'The Tailwind blew from behind {team}!',
+                endMessage: '{team}\'s Tailwind petered out!'
             }
         };
 
+        /**
+         * Critical hit chance for each crit stage (stage 3 and above always crits)
+         * @type {number[]}
+         * @private
+         */
+        this._critChances = [1 / 24, 1 / 8, 1 / 2, 1];
+
+        /**
+         * Damage multiplier for critical hits
+         * @type {number}
+         * @private
+         */
+        this._critMultiplier = 1.5;
+
+        /**
+         * Damage multiplier for abilities that hit more than one target
+         * @type {number}
+         * @private
+         */
+        this._spreadMultiplier = 0.75;
+
+        /**
+         * Resolution order of action classes (higher acts first)
+         * @type {Object}
+         * @private
+         */
+        this._actionOrder = {
+            run: 3,
+            switch: 2,
+            item: 1,
+            ability: 0
+        };
+
+        /**
+         * Log of the current battle: its seed, starting teams and every command with its results
+         * @type {Object|null}
+         * @private
+         */
+        this._battleLog = null;
+
+        /**
+         * Format version of battle logs, checked before a log is replayed
+         * @type {number}
+         * @private
+         */
+        this._logVersion = 1;
+
+        /**
+         * Log being replayed and the index of its next entry ({ log, next })
+         * @type {Object|null}
+         * @private
+         */
+        this._replay = null;
+
+        /**
+         * Handlers subscribed to each battle hook (see BATTLE_HOOKS)
+         * @type {Object}
+         * @private
+         */
+        this._hooks = {};
+
+        // Side conditions, then traits, then held items, react at every hook point
+        Object.values(BATTLE_HOOKS).forEach(hook => {
+            this.addHook(hook, context => this._applySideConditions(hook, context));
+            this.addHook(hook, context => this._applyTraits(hook, context));
+            this.addHook(hook, context => this._applyHeldItem(hook, context));
+        });
+
         /**
          * Debug mode flag
          * @type {boolean}
@@ -148,7 +289,12 @@ class BattleSystem {
      * @param {Array} options.playerTeam - Player's monster team
      * @param {Array|Object} options.enemyTeam - Enemy's monster team or single monster
      * @param {string} options.battleType - Battle type ('wild' or 'trainer')
-     * @param {Object} options.trainer - Trainer data (if trainer battle)
+     * @param {Object} options.trainer - Trainer data (if trainer battle): name, AI profile (`ai`) and usable items (`items`)
+     * @param {string} options.weather - Weather for the whole battle (e.g. the map's weather)
+     * @param {number} options.expShare - Share of experience for benched monsters (percentage, from an Exp Share)
+     * @param {string} options.format - Battle format ('single' or 'double', see BATTLE_FORMATS)
+     * @param {number} options.seed - Seed for the battle's random rolls (default: a new seed from the seed source)
+     * @param {boolean} options.experience - Whether the player's monsters gain experience (default true)
      * @returns {Object} Battle state
      */
     startBattle(options) {
@@ -161,20 +307,79 @@ class BattleSystem {
             enemyTeam = [enemyTeam];
         }
 
+        // Each battle rolls from its own seed, so it can be replayed
+        const seed = options.seed !== undefined && options.seed !== null ? options.seed : this._seedSource.createSeed();
+        this._random.setSeed(seed);
+
+        // A new battle stops any replay
+        this._replay = null;
+
+        // Record the starting teams before the battle changes them
+        this._battleLog = {
+            version: this._logVersion,
+            seed: this._random.getSeed(),
+            options: this._copyForLog({
+                battleType: options.battleType || 'wild',
+                format: options.format || BATTLE_FORMATS.SINGLE,
+                trainer: options.trainer || null,
+                weather: options.weather || null,
+                expShare: options.expShare || 0,
+                experience: options.experience !== false
+            }),
+            playerTeam: this._copyForLog(playerTeam),
+            enemyTeam: this._copyForLog(enemyTeam),
+            entries: [],
+            result: null
+        };
+
+        // Each side sends out one monster per slot
+        const format = options.format === BATTLE_FORMATS.DOUBLE ? BATTLE_FORMATS.DOUBLE : BATTLE_FORMATS.SINGLE;
+        const activeMonsters = {
+            player: this._getStartingMonsters(playerTeam, BATTLE_SLOTS[format]),
+            enemy: this._getStartingMonsters(enemyTeam, BATTLE_SLOTS[format])
+        };
+
         // Set up battle state
         this._battleState = {
             active: true,
             turn: 0,
             playerTeam: playerTeam,
             enemyTeam: enemyTeam,
-            activePlayerMonster: playerTeam.length > 0 ? playerTeam[0] : null,
-            activeEnemyMonster: enemyTeam.length > 0 ? enemyTeam[0] : null,
+            activePlayerMonster: activeMonsters.player.length > 0 ? activeMonsters.player[0] : null,
+            activeEnemyMonster: activeMonsters.enemy.length > 0 ? activeMonsters.enemy[0] : null,
+            format: format,
+            activeMonsters: activeMonsters,
             battleType: options.battleType || 'wild',
-            weather: null,
-            field: null,
-            trainer: options.trainer || null
+            weather: this._weatherEffects[options.weather] ? options.weather : null,
+            weatherTurns: null,
+            field: { player: {}, enemy: {} },
+            trainer: options.trainer || null,
+            trainerItems: options.trainer && options.trainer.items ? options.trainer.items.map(entry => Object.assign({}, entry)) : [],
+            pendingEnemySendOuts: [],
+            forcedSwitchSlots: [],
+            participants: new Map(),
+            expParticipants: new Map(),
+            expShare: options.expShare || 0,
+            experience: options.experience !== false,
+            pendingExperience: [],
+            evolutions: [],
+            entryEffects: [] // Hook results for the starting monsters (see BATTLE_HOOKS.ON_SWITCH)
         };
 
+        // Trainers pick their AI profile (greedy by default), wild monsters act randomly
+        const trainer = this._battleState.trainer;
+        this._ai.setProfile(trainer ? trainer.ai || AI_PROFILES.GREEDY : AI_PROFILES.RANDOM);
+
+        // The starting monsters face each other
+        this._markParticipation();
+
+        // Hooks for the starting monsters as they come in, fastest first (e.g. traits that start weather)
+        activeMonsters.player.concat(activeMonsters.enemy)
+            .sort((a, b) => this._getEffectiveStat(b, 'speed') - this._getEffectiveStat(a, 'speed'))
+            .forEach(monster => {
+                this._battleState.entryEffects.push(...this._runHooks(BATTLE_HOOKS.ON_SWITCH, { monster: monster }));
+            });
+
         // Log battle start
         if (this._debug) {
             console.log('BattleSystem: Battle started', this._battleState);
@@ -188,6 +393,20 @@ class BattleSystem {
         return this._battleState;
     }
 
+    /**
+     * Get the monsters that start the battle for a team
+     * The first monsters that can still battle lead, one per slot
+     * @param {Array} team - Team of monsters
+     * @param {number} count - Number of slots
+     * @returns {Array} Starting monsters
+     * @private
+     */
+    _getStartingMonsters(team, count) {
+        const healthy = team.filter(monster => monster.currentHp > 0);
+
+        return (healthy.length > 0 ? healthy : team).slice(0, count);
+    }
+
     /**
      * End the current battle
      * @param {Object} result - Battle result
@@ -197,9 +416,20 @@ class BattleSystem {
         // Set battle as inactive
         this._battleState.active = false;
 
+        // Stat stages and other battle data don't outlast the battle
+        this._battleState.participants.clear();
+
         // Set result
         this._battleState.result = result;
 
+        if (this._battleLog) {
+            this._battleLog.result = {
+                winner: result.winner || null,
+                escaped: !!result.escaped,
+                caught: !!result.caught
+            };
+        }
+
         // Log battle end
         if (this._debug) {
             console.log('BattleSystem: Battle ended', result);
@@ -223,13 +453,19 @@ class BattleSystem {
 
     /**
      * Execute a player action
-     * @param {Object} action - Action data
+     * The enemy chooses its action, then both actions resolve in turn order
+     * A monster charging a two-turn ability uses it instead of the chosen action
+     * An enemy monster waiting to be sent out is sent out before the turn starts
+     * In a double battle, pass one action per active player monster (with its `slot`)
+     * @param {Object|Array} action - Action data, or a list of actions in a double battle
      * @param {string} action.type - Action type ('ability', 'item', 'switch', 'run')
-     * @param {string} action.targetId - Target monster ID (for ability actions)
-     * @param {string} action.abilityId - Ability ID (for ability actions)
+     * @param {number} action.slot - Player slot taking the action (default 0)
+     * @param {number} action.targetSlot - Opposing slot to target (for single-target abilities, default: first standing opponent)
+     * @param {string} action.targetId - Target monster ID (for item actions)
+     * @param {string} action.abilityId - Ability ID (for ability actions, and PP items)
      * @param {string} action.itemId - Item ID (for item actions)
      * @param {number} action.switchIndex - Index of monster to switch to (for switch actions)
-     * @returns {Object} Action result
+     * @returns {Object} Turn result with the resolved actions in order
      */
     executePlayerAction(action) {
         // Skip if battle is not active
@@ -242,623 +478,3396 @@ class BattleSystem {
             return { success: false, message: 'No active player monster' };
         }
 
-        // Execute action based on type
-        let result;
+        // A fainted monster has to be replaced first (see replaceFaintedMonster)
+        if (this.isForcedSwitch()) {
+            const fainted = this._getActiveMonster('player', this._battleState.forcedSwitchSlots[0]);
+            return { success: false, message: `Choose a monster to replace ${fainted.name}!` };
+        }
 
-        switch (action.type) {
-            case 'ability':
-                result = this._executeAbility(this._battleState.activePlayerMonster, this._battleState.activeEnemyMonster, action.abilityId);
-                break;
+        // Every standing player monster needs an action, unless the side tries to run away
+        const actions = Array.isArray(action) ? action : [action];
+        const running = actions.some(entry => entry.type === 'run');
+        const choices = [];
+        const switchIndexes = [];
 
-            case 'item':
-                result = this._useItem(action.itemId, action.targetId);
-                break;
+        for (let slot = 0; slot < this._battleState.activeMonsters.player.length; slot++) {
+            const monster = this._getActiveMonster('player', slot);
 
-            case 'switch':
-                result = this._switchMonster('player', action.switchIndex);
-                break;
+            if (monster.currentHp <= 0) {
+                continue;
+            }
 
-            case 'run':
-                result = this._attemptRun();
-                break;
+            let slotAction = actions.find(entry => (entry.slot || 0) === slot);
 
-            default:
-                result = { success: false, message: 'Invalid action type' };
-        }
+            // A monster charging a two-turn ability has to use it this turn
+            const chargingAbility = this.getChargingAbility(monster);
 
-        // Log action
-        if (this._debug) {
-            console.log(`BattleSystem: Player action ${action.type}`, result);
-        }
+            if (chargingAbility) {
+                slotAction = { type: 'ability', abilityId: chargingAbility, slot: slot, targetSlot: slotAction ? slotAction.targetSlot : undefined };
+            } else {
+                if (!slotAction && running) {
+                    continue;
+                }
 
-        // If action was successful, execute enemy action
-        if (result.success && !result.battleEnded) {
-            // Execute enemy action
-            const enemyResult = this._executeEnemyAction();
+                if (!slotAction) {
+                    return { success: false, message: `Choose an action for ${monster.name}!` };
+                }
 
-            // Combine results
-            result.enemyAction = enemyResult;
-        }
+                // Reject invalid actions before the turn starts
+                const validation = this._validateAction('player', slotAction, slot);
 
-        // Start new turn if battle continues
-        if (result.success && !result.battleEnded) {
-            this._startNewTurn();
-        }
+                if (!validation.success) {
+                    return validation;
+                }
 
-        return result;
-    }
+                // Two monsters can't switch to the same one
+                if (slotAction.type === 'switch') {
+                    if (switchIndexes.includes(slotAction.switchIndex)) {
+                        return { success: false, message: 'That monster is already being sent out' };
+                    }
 
-    /**
-     * Execute an ability
-     * @param {Object} user - Monster using the ability
-     * @param {Object} target - Target monster
-     * @param {string} abilityId - Ability ID
-     * @returns {Object} Ability result
-     * @private
-     */
-    _executeAbility(user, target, abilityId) {
-        // Get ability data
-        const ability = this._monsterSystem.getAbility(abilityId);
+                    switchIndexes.push(slotAction.switchIndex);
+                }
+            }
 
-        if (!ability) {
-            return { success: false, message: 'Ability not found' };
+            choices.push({ side: 'player', slot: slot, monster: monster, action: slotAction });
         }
 
-        // Check if ability has PP left
-        const abilityIndex = user.abilities.indexOf(abilityId);
+        // The next enemy monsters have to be on the field before the turn starts
+        const sendOuts = [];
 
-        if (abilityIndex === -1) {
-            return { success: false, message: 'Monster does not know this ability' };
+        while (this._battleState.pendingEnemySendOuts.length > 0) {
+            sendOuts.push(this._sendOutNextEnemy().enemySwitch);
         }
 
-        // Calculate hit success
-        const accuracy = ability.accuracy;
-        const hitSuccess = Math.random() * 100 <= accuracy;
-
-        if (!hitSuccess) {
-            return {
-                success: true,
-                hit: false,
-                message: `${user.name}'s ${ability.name} missed!`
-            };
-        }
+        // The enemies choose their actions too, without switching to the same monster
+        const claimed = [];
 
-        // Calculate damage for damaging moves
-        let damage = 0;
-        let typeEffectiveness = 1;
+        this._battleState.activeMonsters.enemy.forEach((monster, slot) => {
+            const enemyAction = monster.currentHp > 0 ? this._chooseAIAction('enemy', slot, claimed) : null;
 
-        if (ability.category === 'physical' || ability.category === 'special') {
-            // Calculate base damage
-            const attackStat = ability.category === 'physical' ? user.stats.attack : user.stats.specialAttack;
-            const defenseStat = ability.category === 'physical' ? target.stats.defense : target.stats.specialDefense;
+            if (enemyAction) {
+                if (enemyAction.type === 'switch') {
+                    claimed.push(this._battleState.enemyTeam[enemyAction.switchIndex]);
+                }
 
-            // Base formula: ((2 * Level / 5 + 2) * Power * Attack / Defense / 50) + 2
-            const baseDamage = ((2 * user.level / 5 + 2) * ability.power * attackStat / defenseStat / 50) + 2;
+                choices.push({ side: 'enemy', slot: slot, monster: monster, action: enemyAction });
+            }
+        });
 
-            // Apply STAB (Same Type Attack Bonus)
-            const stab = ability.type === user.type ? 1.5 : 1;
+        // Resolve actions in turn order
+        const turnResult = this._resolveTurn(this._getTurnOrder(choices));
 
-            // Calculate type effectiveness
-            typeEffectiveness = this._calculateTypeEffectiveness(ability.type, target.type);
+        turnResult.actions.unshift(...sendOuts);
 
-            // Calculate random factor (0.85 to 1.0)
-            const random = 0.85 + Math.random() * 0.15;
+        // Entry hazards can knock out the last enemy monster as it is sent out
+        sendOuts.forEach(sendOut => {
+            if (sendOut.battleEnded) {
+                turnResult.battleEnded = true;
+                turnResult.battleResult = sendOut.battleResult;
+            }
+        });
 
-            // Calculate final damage
-            damage = Math.floor(baseDamage * stab * typeEffectiveness * random);
+        // Apply end-of-turn effects if the battle continues
+        if (this._battleState.active) {
+            this._applyWeatherEffects(turnResult);
+            this._applySideConditionTurns(turnResult);
+            this._applyStatusEffects(turnResult);
+            this._applyEndOfTurnHooks(turnResult);
         }
 
-        // Apply damage
-        let damageResult = null;
-
-        if (damage > 0) {
-            damageResult = this._monsterSystem.applyDamage(target, damage);
+        // Log turn
+        if (this._debug) {
+            console.log(`BattleSystem: Turn ${this._battleState.turn} resolved`, turnResult);
         }
 
-        // Apply ability effects
-        const effectResults = [];
+        // Start new turn if battle continues
+        if (!turnResult.battleEnded) {
+            this._startNewTurn();
+        }
 
-        if (ability.effects && ability.effects.length > 0) {
-            ability.effects.forEach(effect => {
-                // Check effect chance
-                const effectChance = effect.chance || 100;
-                const effectSuccess = Math.random() * 100 <= effectChance;
+        // Announce the enemy monster that replaces a fainted one
+        const pendingEnemy = this.getPendingEnemyMonster();
 
-                if (effectSuccess) {
-                    let effectResult;
+        if (pendingEnemy && this._battleState.active) {
+            const sendOut = this._battleState.pendingEnemySendOuts[0];
 
-                    switch (effect.type) {
-                        case 'stat':
-                            // Determine target monster
-                            const statTarget = effect.target === 'user' ? user : target;
+            turnResult.enemySendOut = {
+                trainer: this._getTrainerName(),
+                monster: pendingEnemy,
+                index: sendOut.index,
+                slot: sendOut.slot
+            };
+        }
 
-                            // Apply stat change
-                            // Note: In a full implementation, we would track and apply stat stages
-                            effectResult = {
-                                type: 'stat',
-                                target: statTarget.name,
-                                stat: effect.stat,
-                                stages: effect.stages
-                            };
-                            break;
+        // Record the turn for replays
+        this._logEntry({ type: 'turn', turn: turnResult.turn, actions: actions }, turnResult.actions);
 
-                        case 'status':
-                            // Determine target monster
-                            const statusTarget = effect.target === 'user' ? user : target;
+        return turnResult;
+    }
 
-                            // Apply status effect
-                            const statusApplied = this._monsterSystem.applyStatus(statusTarget, effect.status);
+    /**
+     * Get the battle format
+     * @returns {string} Battle format ('single' or 'double')
+     */
+    getFormat() {
+        return this._battleState.format;
+    }
 
-                            effectResult = {
-                                type: 'status',
-                                target: statusTarget.name,
-                                status: effect.status,
-                                applied: statusApplied
-                            };
-                            break;
+    /**
+     * Get a side's active monsters by slot
+     * Fainted monsters stay in their slot until they are replaced
+     * @param {string} side - Side ('player' or 'enemy')
+     * @returns {Array} Active monsters
+     */
+    getActiveMonsters(side) {
+        return this._battleState.activeMonsters[side].slice();
+    }
 
-                        case 'healing':
-                            // Determine target monster
-                            const healingTarget = effect.target === 'user' ? user : target;
+    /**
+     * Check whether the player has to replace a fainted active monster
+     * @returns {boolean} True until every fainted slot has been refilled with replaceFaintedMonster
+     */
+    isForcedSwitch() {
+        return this._battleState.forcedSwitchSlots.length > 0;
+    }
 
-                            // Calculate heal amount (percentage of max HP)
-                            const healAmount = Math.floor(healingTarget.stats.hp * (effect.percentage / 100));
+    /**
+     * Get the player slots whose fainted monster has to be replaced
+     * @returns {number[]} Slots in the order they have to be filled
+     */
+    getForcedSwitchSlots() {
+        return this._battleState.forcedSwitchSlots.slice();
+    }
 
-                            // Apply healing
-                            const healResult = this._monsterSystem.healMonster(healingTarget, healAmount);
+    /**
+     * Replace the player's fainted active monster
+     * Doesn't use up a turn and can't be skipped while the battle goes on
+     * @param {number} index - Index of the player monster to send out
+     * @param {number} slot - Slot to fill (default: the first slot waiting for a replacement)
+     * @returns {Object} Switch result with a snapshot
+     */
+    replaceFaintedMonster(index, slot = null) {
+        const forcedSlots = this._battleState.forcedSwitchSlots;
 
-                            effectResult = {
-                                type: 'healing',
-                                target: healingTarget.name,
-                                amount: healResult.healAmount
-                            };
-                            break;
-                    }
+        if (slot === null) {
+            slot = forcedSlots[0];
+        }
 
-                    if (effectResult) {
-                        effectResults.push(effectResult);
-                    }
-                }
-            });
+        // Skip if there is nothing to replace
+        if (!this._battleState.active || !forcedSlots.includes(slot)) {
+            return { success: false, message: 'No fainted monster to replace' };
         }
 
-        // Check if battle has ended
-        let battleEnded = false;
-        let battleResult = null;
+        const result = this._switchMonster('player', index, slot);
 
-        if (damageResult && damageResult.fainted) {
-            if (target === this._battleState.activeEnemyMonster) {
-                // Enemy monster fainted
-                const nextEnemyMonster = this._getNextMonster('enemy');
+        if (!result.success) {
+            return result;
+        }
 
-                if (nextEnemyMonster) {
-                    // Switch to next enemy monster
-                    this._battleState.activeEnemyMonster = nextEnemyMonster;
-                } else {
-                    // All enemy monsters fainted, battle won
-                    battleEnded = true;
-                    battleResult = { winner: 'player' };
-
-                    // Award experience
-                    const expYield = this._monsterSystem.getExperienceYield(target);
-                    const expResult = this._monsterSystem.awardExperience(user, expYield);
-
-                    // Check for evolution
-                    if (expResult.canEvolve) {
-                        battleResult.canEvolve = true;
-                        battleResult.evolutionData = {
-                            monster: user,
-                            evolutionId: expResult.evolutionId
-                        };
-                    }
+        forcedSlots.splice(forcedSlots.indexOf(slot), 1);
 
-                    this.endBattle(battleResult);
-                }
-            } else if (target === this._battleState.activePlayerMonster) {
-                // Player monster fainted
-                const nextPlayerMonster = this._getNextMonster('player');
+        result.side = 'player';
+        result.slot = slot;
+        result.actionType = 'switch';
+        result.forced = true;
+        this._captureResult(result);
 
-                if (nextPlayerMonster) {
-                    // Ask player to switch (handled by BattleScene)
-                    battleResult = { needSwitch: true };
-                } else {
-                    // All player monsters fainted, battle lost
-                    battleEnded = true;
-                    battleResult = { winner: 'enemy' };
-                    this.endBattle(battleResult);
-                }
-            }
-        }
+        this._logEntry({ type: 'replace', index: index, slot: slot }, [result]);
 
-        // Create ability result
-        const abilityResult = {
-            success: true,
-            hit: true,
-            user: user.name,
-            target: target.name,
-            ability: ability.name,
-            damage: damage,
-            typeEffectiveness: typeEffectiveness,
-            effects: effectResults,
-            damageResult: damageResult,
-            battleEnded: battleEnded,
-            battleResult: battleResult,
-            message: `${user.name} used ${ability.name}!`
-        };
+        return result;
+    }
 
-        // Add type effectiveness message
-        if (typeEffectiveness > 1) {
-            abilityResult.message += " It's super effective!";
-        } else if (typeEffectiveness < 1 && typeEffectiveness > 0) {
-            abilityResult.message += " It's not very effective...";
-        } else if (typeEffectiveness === 0) {
-            abilityResult.message += " It has no effect!";
-        }
+    /**
+     * Get the enemy monster waiting to replace a fainted one
+     * @returns {Object|null} Next monster to be sent out or null if none
+     */
+    getPendingEnemyMonster() {
+        const sendOut = this._battleState.pendingEnemySendOuts[0];
 
-        return abilityResult;
+        return sendOut ? this._battleState.enemyTeam[sendOut.index] : null;
     }
 
     /**
-     * Use an item
-     * @param {string} itemId - Item ID
-     * @param {string} targetId - Target monster ID
-     * @returns {Object} Item use result
-     * @private
+     * Send out the next enemy monster that replaces a fainted one
+     * In a single battle the player can switch first in response, without using up a turn
+     * @param {number|null} playerSwitchIndex - Index of the player monster to switch to first (null = no switch)
+     * @returns {Object} Result with success, the playerSwitch and enemySwitch results, and a snapshot
      */
-    _useItem(itemId, targetId) {
-        // Get item data
-        const item = dataManager.get('items', itemId);
+    sendOutNextEnemy(playerSwitchIndex = null) {
+        const result = this._sendOutNextEnemy(playerSwitchIndex);
 
-        if (!item) {
-            return { success: false, message: 'Item not found' };
+        if (result.success) {
+            this._logEntry({ type: 'send-out', playerSwitchIndex: playerSwitchIndex }, [result.playerSwitch, result.enemySwitch]);
         }
 
-        // Find target monster
+        return result;
+    }
+
+    /**
+     * Teach a player monster an ability it was offered at a level-up during the battle
+     * Recorded in the battle log, so replays learn the same abilities
+     * @param {Object} monster - Player monster
+     * @param {string} abilityId - Ability to learn
+     * @param {string|null} forgetAbilityId - Known ability to forget for it
+     * @returns {Object} Result from MonsterSystem.learnAbility
+     */
+    learnAbility(monster, abilityId, forgetAbilityId = null) {
+        const result = this._monsterSystem.learnAbility(monster, abilityId, forgetAbilityId);
+
+        if (result.success) {
+            this._logEntry({
+                type: 'learn',
+                index: this._battleState.playerTeam.indexOf(monster),
+                abilityId: abilityId,
+                forgetAbilityId: forgetAbilityId
+            }, []);
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the log of the current (or last) battle
+     * The log holds the seed, the starting teams and every command, which is enough to replay the battle
+     * @returns {Object|null} Battle log, or null before the first battle
+     */
+    getBattleLog() {
+        return this._battleLog;
+    }
+
+    /**
+     * Export the log of the current (or last) battle
+     * @returns {string|null} Battle log as JSON, or null before the first battle
+     */
+    exportBattleLog() {
+        return this._battleLog ? JSON.stringify(this._battleLog) : null;
+    }
+
+    /**
+     * Start replaying a logged battle
+     * The battle restarts from copies of the logged teams with the logged seed
+     * Call replayNextEntry to run each logged command in turn
+     * @param {Object|string} log - Battle log, or its JSON from exportBattleLog
+     * @returns {Object} Result with success, the battle state and a message
+     */
+    startReplay(log) {
+        let data = log;
+
+        if (typeof log === 'string') {
+            try {
+                data = JSON.parse(log);
+            } catch (error) {
+                return { success: false, message: 'Battle log is not valid JSON' };
+            }
+        }
+
+        if (!data || !Array.isArray(data.entries)) {
+            return { success: false, message: 'Not a battle log' };
+        }
+
+        if (data.version !== this._logVersion) {
+            return { success: false, message: `Unsupported battle log version ${data.version}` };
+        }
+
+        const battleState = this.startBattle(Object.assign(this._copyForLog(data.options), {
+            playerTeam: this._copyForLog(data.playerTeam),
+            enemyTeam: this._copyForLog(data.enemyTeam),
+            seed: data.seed
+        }));
+
+        this._replay = { log: data, next: 0 };
+
+        return { success: true, battleState: battleState, message: 'Replay started' };
+    }
+
+    /**
+     * Check whether a logged battle is being replayed
+     * @returns {boolean} True while replaying
+     */
+    isReplaying() {
+        return this._replay !== null;
+    }
+
+    /**
+     * Run the next command of the replayed battle
+     * The outcome is compared with the logged one, so a replay that drifts from the original can be spotted
+     * @returns {Object} Result with success, the logged entry, the command's result,
+     * whether the outcome matches the log, and whether the replay is done
+     */
+    replayNextEntry() {
+        if (!this._replay || this._replay.next >= this._replay.log.entries.length) {
+            return { success: false, done: true, message: 'Nothing left to replay' };
+        }
+
+        const entry = this._replay.log.entries[this._replay.next];
+        const logged = this._battleLog.entries.length;
+        let result;
+
+        this._replay.next++;
+
+        switch (entry.type) {
+            case 'turn':
+                result = this.executePlayerAction(this._copyForLog(entry.actions));
+                break;
+
+            case 'replace':
+                result = this.replaceFaintedMonster(entry.index, entry.slot);
+                break;
+
+            case 'send-out':
+                result = this.sendOutNextEnemy(entry.playerSwitchIndex);
+                break;
+
+            case 'learn':
+                result = this.learnAbility(this._battleState.playerTeam[entry.index], entry.abilityId, entry.forgetAbilityId);
+                break;
+
+            default:
+                result = { success: false, message: `Unknown battle log entry '${entry.type}'` };
+        }
+
+        // The command records a new entry when it succeeds
+        const replayed = this._battleLog.entries.length > logged ? this._battleLog.entries[logged] : null;
+        const matches = !!replayed && JSON.stringify(replayed.results) === JSON.stringify(entry.results);
+
+        if (this._debug && !matches) {
+            console.warn(`BattleSystem: Replay of entry ${this._replay.next - 1} doesn't match the log`, entry, replayed);
+        }
+
+        return {
+            success: !!result.success,
+            entry: entry,
+            result: result,
+            matches: matches,
+            done: this._replay.next >= this._replay.log.entries.length
+        };
+    }
+
+    /**
+     * Copy data for the battle log
+     * Monsters and teams are copied as plain data, so later changes don't alter the log
+     * @param {*} value - Value to copy
+     * @returns {*} Copied value
+     * @private
+     */
+    _copyForLog(value) {
+        return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Record a command in the battle log
+     * @param {Object} data - Command data (type and the command's arguments)
+     * @param {Array} results - Results of the command
+     * @private
+     */
+    _logEntry(data, results) {
+        if (!this._battleLog) {
+            return;
+        }
+
+        this._battleLog.entries.push(Object.assign({ turn: this._battleState.turn }, this._copyForLog(data), {
+            results: this._summarizeResults(results)
+        }));
+    }
+
+    /**
+     * Summarize command results for the battle log
+     * Keeps what a replay has to reproduce: who acted, the messages, damage and the HP of both teams
+     * @param {Array} results - Results of the command
+     * @returns {Object} Summary with the actions and the HP of each team
+     * @private
+     */
+    _summarizeResults(results) {
+        return {
+            actions: results.filter(result => result).map(result => ({
+                side: result.side || null,
+                slot: result.slot !== undefined ? result.slot : null,
+                actionType: result.actionType || null,
+                message: result.message || null,
+                user: result.user || null,
+                target: result.target || null,
+                damage: result.damage || 0,
+                hit: !!result.hit,
+                critical: !!result.critical
+            })),
+            hp: {
+                player: this._battleState.playerTeam.map(monster => monster.currentHp),
+                enemy: this._battleState.enemyTeam.map(monster => monster.currentHp)
+            }
+        };
+    }
+
+    /**
+     * Send out the next enemy monster that replaces a fainted one, without recording it
+     * Also used at the start of a turn for monsters that weren't sent out yet
+     * @param {number|null} playerSwitchIndex - Index of the player monster to switch to first (null = no switch)
+     * @returns {Object} Result with success, the playerSwitch and enemySwitch results, and a snapshot
+     * @private
+     */
+    _sendOutNextEnemy(playerSwitchIndex = null) {
+        // Skip if there is no monster to send out
+        if (!this._battleState.active || this._battleState.pendingEnemySendOuts.length === 0) {
+            return { success: false, message: 'No enemy monster to send out' };
+        }
+
+        let playerSwitch = null;
+
+        // The player switches before the new enemy monster appears
+        if (playerSwitchIndex !== null) {
+            if (this._battleState.format !== BATTLE_FORMATS.SINGLE) {
+                return { success: false, message: "Can't switch in response in a double battle" };
+            }
+
+            playerSwitch = this._switchMonster('player', playerSwitchIndex);
+
+            if (!playerSwitch.success) {
+                return playerSwitch;
+            }
+
+            playerSwitch.side = 'player';
+            playerSwitch.slot = 0;
+            playerSwitch.actionType = 'switch';
+            this._captureResult(playerSwitch);
+        }
+
+        // Send out the next enemy monster
+        const sendOut = this._battleState.pendingEnemySendOuts.shift();
+        const enemySwitch = this._switchMonster('enemy', sendOut.index, sendOut.slot);
+
+        enemySwitch.side = 'enemy';
+        enemySwitch.slot = sendOut.slot;
+        enemySwitch.actionType = 'switch';
+        enemySwitch.sendOut = true;
+        this._captureResult(enemySwitch);
+
+        return {
+            success: enemySwitch.success,
+            playerSwitch: playerSwitch,
+            enemySwitch: enemySwitch,
+            snapshot: enemySwitch.snapshot
+        };
+    }
+
+    /**
+     * Check that an action can be taken before the turn starts
+     * @param {string} side - Acting side ('player' or 'enemy')
+     * @param {Object} action - Action data
+     * @param {number} slot - Acting slot (default 0)
+     * @returns {Object} Object with success and an error message if invalid
+     * @private
+     */
+    _validateAction(side, action, slot = 0) {
+        const monster = this._getActiveMonster(side, slot);
+
+        switch (action.type) {
+            case 'ability':
+                const ability = this._getAbilityData(action.abilityId);
+
+                if (!ability) {
+                    return { success: false, message: 'Ability not found' };
+                }
+
+                // Struggle is only available once every ability is out of PP
+                if (ability === this._struggleAbility) {
+                    if (this.canUseAbilities(monster)) {
+                        return { success: false, message: `${monster.name} can still use its abilities!` };
+                    }
+                    break;
+                }
+
+                if (monster.abilities.indexOf(action.abilityId) === -1) {
+                    return { success: false, message: 'Monster does not know this ability' };
+                }
+
+                // A choice item only lets the monster use the ability it's locked into
+                const lockedAbility = this.getLockedAbility(monster);
+
+                if (lockedAbility && lockedAbility !== action.abilityId) {
+                    return { success: false, message: `${monster.name} can only use ${this._getAbilityData(lockedAbility).name}!` };
+                }
+
+                if (!this._monsterSystem.hasPP(monster, action.abilityId)) {
+                    return { success: false, message: "There's no PP left for this move!" };
+                }
+                break;
+
+            case 'item':
+                const item = this._data.get('items', action.itemId);
+
+                if (!item) {
+                    return { success: false, message: 'Item not found' };
+                }
+
+                if (item.type === ITEM_TYPES.BALL && this._battleState.battleType !== 'wild') {
+                    return { success: false, message: "Can't use this on a trainer's monster!" };
+                }
+                break;
+
+            case 'switch':
+                const team = side === 'player' ? this._battleState.playerTeam : this._battleState.enemyTeam;
+                const switchTarget = team[action.switchIndex];
+
+                if (!switchTarget) {
+                    return { success: false, message: 'Invalid monster index' };
+                }
+
+                if (this._isActive(switchTarget)) {
+                    return { success: false, message: 'Monster is already active' };
+                }
+
+                if (switchTarget.currentHp <= 0) {
+                    return { success: false, message: 'Cannot switch to fainted monster' };
+                }
+                break;
+
+            case 'run':
+                if (this._battleState.battleType !== 'wild') {
+                    return { success: false, message: "Can't run from a trainer battle!" };
+                }
+                break;
+
+            default:
+                return { success: false, message: 'Invalid action type' };
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Choose an AI-controlled monster's action for this turn
+     * @param {string} side - Side of the monster ('player' or 'enemy')
+     * @param {number} slot - Slot of the monster (default 0)
+     * @param {Array} claimed - Benched monsters another slot of the side is already switching to
+     * @param {BattleAI} ai - AI making the choice (default: the enemy AI)
+     * @returns {Object|null} Action data or null if the monster can't act
+     * @private
+     */
+    _chooseAIAction(side, slot = 0, claimed = [], ai = this._ai) {
+        // Get the active monster
+        const monster = this._getActiveMonster(side, slot);
+
+        if (!monster || !monster.abilities || monster.abilities.length === 0) {
+            return null;
+        }
+
+        // Finish charging a two-turn ability
+        const chargingAbility = this.getChargingAbility(monster);
+
+        if (chargingAbility) {
+            return { type: 'ability', abilityId: chargingAbility };
+        }
+
+        // Out of PP for every ability (or the one a choice item locks it into)
+        if (!this.canUseAbilities(monster)) {
+            return { type: 'ability', abilityId: this._struggleAbility.id };
+        }
+
+        // Keep using the ability a choice item locks the monster into
+        const lockedAbility = this.getLockedAbility(monster);
+
+        if (lockedAbility) {
+            return { type: 'ability', abilityId: lockedAbility };
+        }
+
+        // Let the AI choose from the side's point of view
+        return ai.chooseAction(this._getAIState(side, slot, claimed));
+    }
+
+    /**
+     * Let an AI choose the actions of every standing player monster
+     * Used to play the player's side without input, e.g. by the battle simulator
+     * @param {BattleAI} ai - AI making the choices
+     * @returns {Array} Actions with their `slot`, ready for executePlayerAction
+     */
+    choosePlayerActions(ai) {
+        const actions = [];
+        const claimed = [];
+
+        this._battleState.activeMonsters.player.forEach((monster, slot) => {
+            const action = monster.currentHp > 0 ? this._chooseAIAction('player', slot, claimed, ai) : null;
+
+            if (action) {
+                if (action.type === 'switch') {
+                    claimed.push(this._battleState.playerTeam[action.switchIndex]);
+                }
+
+                actions.push(Object.assign({ slot: slot }, action));
+            }
+        });
+
+        return actions;
+    }
+
+    /**
+     * Get the battle state seen by an AI
+     * Only the enemy side brings a trainer's items
+     * @param {string} side - Side the AI chooses for ('player' or 'enemy')
+     * @param {number} slot - Slot the AI chooses for (default 0)
+     * @param {Array} claimed - Benched monsters another slot of the side is already switching to
+     * @returns {Object} AI state (see BattleAI.chooseAction)
+     * @private
+     */
+    _getAIState(side, slot = 0, claimed = []) {
+        const opponentSide = side === 'enemy' ? 'player' : 'enemy';
+        const monster = this._getActiveMonster(side, slot);
+        const opponents = this._battleState.activeMonsters[opponentSide];
+        const opponent = this._getTargetMonster(side, null) || this._getActiveMonster(opponentSide, 0);
+
+        return {
+            monster: monster,
+            opponent: opponent,
+            opponents: opponents.slice(),
+            team: side === 'enemy' ? this._battleState.enemyTeam : this._battleState.playerTeam,
+            unavailable: this._battleState.activeMonsters[side].concat(claimed),
+            items: side === 'enemy' ? this._battleState.trainerItems : [],
+            statStages: {
+                monster: this.getStatStages(monster),
+                opponent: this.getStatStages(opponent),
+                opponents: opponents.map(entry => this.getStatStages(entry))
+            }
+        };
+    }
+
+    /**
+     * Sort chosen actions into turn order
+     * Action class first (run, switch, item, ability), then ability priority,
+     * then effective speed, with random tie-breaks
+     * @param {Array} choices - Chosen actions ({ side, slot, monster, action })
+     * @returns {Array} Chosen actions in resolution order
+     * @private
+     */
+    _getTurnOrder(choices) {
+        const entries = choices.map(choice => {
+            const ability = choice.action.type === 'ability' ? this._getAbilityData(choice.action.abilityId) : null;
+
+            return Object.assign({}, choice, {
+                actionOrder: this._actionOrder[choice.action.type] || 0,
+                priority: ability ? ability.priority || 0 : 0,
+                speed: this._getEffectiveStat(choice.monster, 'speed'),
+                tieBreaker: this._random.next()
+            });
+        });
+
+        return entries.sort((a, b) =>
+            (b.actionOrder - a.actionOrder) ||
+            (b.priority - a.priority) ||
+            (b.speed - a.speed) ||
+            (a.tieBreaker - b.tieBreaker)
+        );
+    }
+
+    /**
+     * Resolve ordered actions
+     * Monsters that fainted or left the field before their turn don't act
+     * @param {Array} queue - Chosen actions in resolution order
+     * @returns {Object} Turn result
+     * @private
+     */
+    _resolveTurn(queue) {
+        const turnResult = {
+            success: true,
+            turn: this._battleState.turn,
+            actions: [],
+            battleEnded: false,
+            battleResult: null
+        };
+
+        queue.forEach(entry => {
+            // Stop once the battle is over
+            if (!this._battleState.active) {
+                return;
+            }
+
+            // Skip monsters that fainted or were switched out
+            if (entry.monster.currentHp <= 0 || entry.monster !== this._getActiveMonster(entry.side, entry.slot)) {
+                return;
+            }
+
+            // Abilities that hit several targets give one result per target
+            [].concat(this._executeAction(entry)).forEach(result => {
+                result.side = entry.side;
+                result.slot = entry.slot;
+                result.actionType = entry.action.type;
+                this._addTurnResult(turnResult, result);
+            });
+        });
+
+        return turnResult;
+    }
+
+    /**
+     * Add an action result to the turn result
+     * @param {Object} turnResult - Turn result
+     * @param {Object} result - Action result
+     * @private
+     */
+    _addTurnResult(turnResult, result) {
+        // Results for several targets are captured as each target is hit
+        if (!result.snapshot) {
+            this._captureResult(result);
+        }
+
+        turnResult.actions.push(result);
+
+        if (result.battleEnded) {
+            turnResult.battleEnded = true;
+        }
+
+        if (result.battleResult) {
+            turnResult.battleResult = result.battleResult;
+        }
+    }
+
+    /**
+     * Attach the battle snapshot and the experience awarded so far to an action result
+     * @param {Object} result - Action result
+     * @private
+     */
+    _captureResult(result) {
+        result.snapshot = this._getBattleSnapshot();
+
+        // Experience from enemies that fainted during the action
+        if (this._battleState.pendingExperience.length > 0) {
+            result.experience = this._battleState.pendingExperience;
+            this._battleState.pendingExperience = [];
+        }
+    }
+
+    /**
+     * Execute a single chosen action
+     * @param {Object} entry - Chosen action ({ side, slot, monster, action })
+     * @returns {Object|Array} Action result, or one result per target for abilities that hit several
+     * @private
+     */
+    _executeAction(entry) {
+        const action = entry.action;
+
+        switch (action.type) {
+            case 'ability':
+                return this._executeAbility(entry.monster, this._getAbilityTargets(entry), action.abilityId);
+
+            case 'item':
+                return this._useItem(action.itemId, action.targetId, action.abilityId, entry.side, entry.slot);
+
+            case 'switch':
+                return this._switchMonster(entry.side, action.switchIndex, entry.slot);
+
+            case 'run':
+                return this._attemptRun();
+        }
+
+        return { success: false, message: 'Invalid action type' };
+    }
+
+    /**
+     * Get the monsters an ability hits, from its `target` field
+     * Single-target abilities hit the chosen opponent, or the other one if it has fainted
+     * @param {Object} entry - Chosen action ({ side, slot, monster, action })
+     * @returns {Array} Target monsters (empty if no one is left to hit)
+     * @private
+     */
+    _getAbilityTargets(entry) {
+        const ability = this._getAbilityData(entry.action.abilityId);
+        const opposingSide = entry.side === 'player' ? 'enemy' : 'player';
+        const opponents = this._getStandingMonsters(opposingSide);
+        const allies = this._getStandingMonsters(entry.side).filter(monster => monster !== entry.monster);
+
+        switch (ability ? ability.target : null) {
+            case ABILITY_TARGETS.ALL_OPPONENTS:
+                return opponents;
+
+            case ABILITY_TARGETS.ALL:
+                return allies.concat(opponents);
+
+            case ABILITY_TARGETS.ALLY:
+                return allies.slice(0, 1);
+
+            case ABILITY_TARGETS.SELF:
+            case ABILITY_TARGETS.FIELD:
+                // Effects pick their own target; the opponent is only named in results
+                return [this._getTargetMonster(entry.side, entry.action.targetSlot) || entry.monster];
+        }
+
+        const target = this._getTargetMonster(entry.side, entry.action.targetSlot);
+
+        return target ? [target] : [];
+    }
+
+    /**
+     * Get the opponent a single-target action hits
+     * @param {string} side - Acting side ('player' or 'enemy')
+     * @param {number|null} targetSlot - Chosen opposing slot (null or undefined = first standing opponent)
+     * @returns {Object|null} Target monster or null if every opponent has fainted
+     * @private
+     */
+    _getTargetMonster(side, targetSlot) {
+        const opposingSide = side === 'player' ? 'enemy' : 'player';
+        const chosen = targetSlot !== null && targetSlot !== undefined ? this._getActiveMonster(opposingSide, targetSlot) : null;
+
+        if (chosen && chosen.currentHp > 0) {
+            return chosen;
+        }
+
+        return this._getStandingMonsters(opposingSide)[0] || null;
+    }
+
+    /**
+     * Get a side's active monster
+     * @param {string} side - Side ('player' or 'enemy')
+     * @param {number} slot - Slot (default 0)
+     * @returns {Object|null} Active monster
+     * @private
+     */
+    _getActiveMonster(side, slot = 0) {
+        return this._battleState.activeMonsters[side][slot] || null;
+    }
+
+    /**
+     * Get a side's active monsters that haven't fainted
+     * @param {string} side - Side ('player' or 'enemy')
+     * @returns {Array} Standing active monsters in slot order
+     * @private
+     */
+    _getStandingMonsters(side) {
+        return this._battleState.activeMonsters[side].filter(monster => monster.currentHp > 0);
+    }
+
+    /**
+     * Put a monster into an active slot
+     * The first slot is mirrored in activePlayerMonster and activeEnemyMonster
+     * @param {string} side - Side ('player' or 'enemy')
+     * @param {number} slot - Slot
+     * @param {Object} monster - Monster to put in the slot
+     * @private
+     */
+    _setActiveMonster(side, slot, monster) {
+        this._battleState.activeMonsters[side][slot] = monster;
+
+        if (slot === 0) {
+            this._battleState[side === 'player' ? 'activePlayerMonster' : 'activeEnemyMonster'] = monster;
+        }
+    }
+
+    /**
+     * Get the slot a monster is active in
+     * @param {Object} monster - Monster in battle
+     * @returns {number} Slot or -1 if the monster isn't active
+     * @private
+     */
+    _getSlot(monster) {
+        return this._battleState.activeMonsters[this._getSide(monster)].indexOf(monster);
+    }
+
+    /**
+     * Check whether a monster is active on either side
+     * @param {Object} monster - Monster in battle
+     * @returns {boolean} True if the monster is in an active slot
+     * @private
+     */
+    _isActive(monster) {
+        return this._getSlot(monster) !== -1;
+    }
+
+    /**
+     * Get the side a monster belongs to
+     * @param {Object} monster - Monster in battle
+     * @returns {string} Side ('player' or 'enemy')
+     * @private
+     */
+    _getSide(monster) {
+        return this._battleState.playerTeam.includes(monster) ? 'player' : 'enemy';
+    }
+
+    /**
+     * Capture the active monsters, their HP and status, the weather and the side conditions after an action
+     * Lets the UI play back a turn one action at a time
+     * @returns {Object} Object with the first active monsters (player, enemy), the active monsters by slot
+     * (active), HP and status maps keyed by monster, the weather and a copy of the side conditions (field)
+     * @private
+     */
+    _getBattleSnapshot() {
+        const hp = new Map();
+        const status = new Map();
+
+        this._battleState.playerTeam.concat(this._battleState.enemyTeam).forEach(monster => {
+            hp.set(monster, monster.currentHp);
+            status.set(monster, monster.status);
+        });
+
+        return {
+            player: this._battleState.activePlayerMonster,
+            enemy: this._battleState.activeEnemyMonster,
+            active: {
+                player: this._battleState.activeMonsters.player.slice(),
+                enemy: this._battleState.activeMonsters.enemy.slice()
+            },
+            hp: hp,
+            status: status,
+            weather: this._battleState.weather,
+            field: this._copyForLog(this._battleState.field)
+        };
+    }
+
+    /**
+     * Execute an ability
+     * An ability that hits several targets gives a result announcing it, then one result per target
+     * @param {Object} user - Monster using the ability
+     * @param {Array} targets - Target monsters (see _getAbilityTargets)
+     * @param {string} abilityId - Ability ID
+     * @returns {Object|Array} Ability result, or a list of results for several targets
+     * @private
+     */
+    _executeAbility(user, targets, abilityId) {
+        // Get ability data
+        const ability = this._getAbilityData(abilityId);
+
+        if (!ability) {
+            return { success: false, message: 'Ability not found' };
+        }
+
+        if (ability === this._struggleAbility) {
+            // Struggle is only available once every ability is out of PP
+            if (this.canUseAbilities(user)) {
+                return { success: false, message: `${user.name} can still use its abilities!` };
+            }
+        } else if (user.abilities.indexOf(abilityId) === -1) {
+            // Check if monster knows the ability
+            return { success: false, message: 'Monster does not know this ability' };
+        }
+
+        // A charged two-turn ability is released this turn (or cancelled if the user can't act)
+        const participant = this._getParticipant(user);
+        const charged = participant.charging === abilityId;
+
+        delete participant.charging;
+
+        // Status conditions can stop the user from acting
+        const target = targets.length > 0 ? targets[0] : null;
+        const actCheck = this._checkCanAct(user, target);
+
+        if (!actCheck.canAct) {
+            return {
+                success: true,
+                hit: false,
+                acted: false,
+                user: user.name,
+                target: target ? target.name : null,
+                ability: ability.name,
+                conditions: actCheck.conditions,
+                battleEnded: actCheck.battleEnded,
+                battleResult: actCheck.battleResult,
+                message: null
+            };
+        }
+
+        // Check if ability has PP left (released charges were paid for when charging)
+        if (ability !== this._struggleAbility && !charged && !this._monsterSystem.usePP(user, abilityId)) {
+            return { success: false, message: "There's no PP left for this move!" };
+        }
+
+        // Hooks run as the ability is used; their results are shown with the status conditions
+        actCheck.conditions.push(...this._runHooks(BATTLE_HOOKS.BEFORE_MOVE, { monster: user, ability: ability, targets: targets }));
+
+        // Two-turn abilities charge on the first turn, unless the weather lets them skip it
+        const chargeEffect = this._getDamageEffect(ability, ['charge']);
+
+        if (chargeEffect && !charged && !(chargeEffect.weather && chargeEffect.weather === this._battleState.weather)) {
+            participant.charging = abilityId;
+
+            return {
+                success: true,
+                hit: false,
+                charging: true,
+                user: user.name,
+                target: target ? target.name : null,
+                ability: ability.name,
+                effects: [{ type: 'damage', kind: 'charge', target: user.name, text: chargeEffect.text || null }],
+                conditions: actCheck.conditions,
+                message: `${user.name} used ${ability.name}!`
+            };
+        }
+
+        // Every target fainted before the ability was used
+        if (!target) {
+            return {
+                success: true,
+                hit: false,
+                user: user.name,
+                target: null,
+                ability: ability.name,
+                conditions: actCheck.conditions,
+                message: `${user.name} used ${ability.name}! But there was no target...`
+            };
+        }
+
+        if (targets.length === 1) {
+            return this._executeAbilityOnTarget(user, target, ability, { conditions: actCheck.conditions });
+        }
+
+        // Announce the ability once, then hit each target in turn
+        const results = [{
+            success: true,
+            hit: false,
+            spread: true,
+            user: user.name,
+            target: null,
+            ability: ability.name,
+            conditions: actCheck.conditions,
+            message: `${user.name} used ${ability.name}!`
+        }];
+
+        targets.forEach(spreadTarget => {
+            // Stop once the battle is over, and skip targets that fainted along the way
+            if (!this._battleState.active || spreadTarget.currentHp <= 0) {
+                return;
+            }
+
+            const result = this._executeAbilityOnTarget(user, spreadTarget, ability, { spread: true });
+
+            this._captureResult(result);
+            results.push(result);
+        });
+
+        return results;
+    }
+
+    /**
+     * Hit a single target with an ability
+     * Rolls accuracy, deals damage and applies the ability's effects
+     * @param {Object} user - Monster using the ability
+     * @param {Object} target - Target monster
+     * @param {Object} ability - Ability data
+     * @param {Object} options - Hit options
+     * @param {Array} options.conditions - Status condition events from before the ability was used
+     * @param {boolean} options.spread - Whether the ability hits several targets (reduced damage, no announcement)
+     * @returns {Object} Ability result
+     * @private
+     */
+    _executeAbilityOnTarget(user, target, ability, options = {}) {
+        const spread = options.spread || false;
+        const conditions = options.conditions || [];
+
+        // Recoil and self-KO only knock out the user once
+        const userStanding = user.currentHp > 0;
+
+        // Calculate hit success
+        // One-hit KO abilities fail against higher-level targets, and their accuracy
+        // rises with the level difference instead of accuracy and evasion stages
+        const ohkoEffect = this._getDamageEffect(ability, ['ohko']);
+        const ohkoFailed = ohkoEffect !== null && target.level > user.level;
+        let hitSuccess;
+
+        if (ohkoEffect) {
+            hitSuccess = !ohkoFailed && this._random.next() * 100 <= ability.accuracy + user.level - target.level;
+        } else {
+            // User accuracy stage against target evasion stage
+            const accuracy = ability.accuracy * this._getAccuracyMultiplier(user, target);
+            hitSuccess = this._random.next() * 100 <= accuracy;
+        }
+
+        if (!hitSuccess) {
+            const missEffects = [];
+
+            if (ohkoFailed) {
+                missEffects.push({ type: 'damage', kind: 'ohko', target: target.name, applied: false });
+            }
+
+            // Self-KO abilities knock out the user even when they miss
+            const selfKnockout = this._getDamageEffect(ability, ['self-ko']);
+
+            if (selfKnockout) {
+                missEffects.push(this._applyDamageEffect(selfKnockout, user, target, { damage: 0, hits: 0 }));
+            }
+
+            let missMessage = ohkoFailed ? `${user.name} used ${ability.name}!` : `${user.name}'s ${ability.name} missed!`;
+
+            if (spread) {
+                missMessage = ohkoFailed ? null : `${target.name} avoided the attack!`;
+            }
+
+            const missResult = {
+                success: true,
+                hit: false,
+                user: user.name,
+                target: target.name,
+                ability: ability.name,
+                effects: missEffects,
+                conditions: conditions,
+                battleEnded: false,
+                battleResult: null,
+                message: missMessage
+            };
+
+            if (userStanding && user.currentHp <= 0) {
+                Object.assign(missResult, this._handleFaint(user, target));
+            }
+
+            return missResult;
+        }
+
+        // Deal damage for damaging moves, once per hit for multi-hit abilities
+        let damage = 0;
+        let hits = 0;
+        let typeEffectiveness = 1;
+        let critical = false;
+        let damageResult = null;
+        let absorbed = false;
+        const effectResults = [];
+
+        if (ability.category === 'physical' || ability.category === 'special') {
+            const multiHit = this._getDamageEffect(ability, ['multi-hit']);
+            const hitCount = multiHit ? this._getHitCount(multiHit) : 1;
+
+            // Stop hitting once the target faints
+            while (hits < hitCount && target.currentHp > 0) {
+                const hit = this._calculateDamage(user, target, ability, { spread: spread });
+
+                typeEffectiveness = hit.typeEffectiveness;
+
+                if (hit.damage <= 0) {
+                    break;
+                }
+
+                // Hooks for the user, then the target, can change the damage (e.g. type boosters, screens, focus items)
+                // or absorb the hit (e.g. type-absorbing traits)
+                const damageContext = {
+                    user: user,
+                    target: target,
+                    ability: ability,
+                    damage: hit.damage,
+                    typeEffectiveness: hit.typeEffectiveness,
+                    critical: hit.critical,
+                    absorbed: false
+                };
+
+                [user, target].forEach(monster => {
+                    damageContext.monster = monster;
+                    effectResults.push(...this._runHooks(BATTLE_HOOKS.MODIFY_DAMAGE, damageContext));
+                });
+
+                typeEffectiveness = damageContext.typeEffectiveness;
+
+                if (damageContext.absorbed) {
+                    absorbed = true;
+                    break;
+                }
+
+                damageResult = this._monsterSystem.applyDamage(target, damageContext.damage);
+                damage += damageResult.previousHp - damageResult.currentHp;
+                critical = critical || hit.critical;
+                hits++;
+            }
+
+            // Fire attacks thaw a frozen target
+            if (damage > 0 && ability.type === 'fire' && target.status === STATUS_CONDITIONS.FREEZE && !damageResult.fainted) {
+                this._monsterSystem.clearStatus(target);
+                effectResults.push({ type: 'cure', target: target.name, status: STATUS_CONDITIONS.FREEZE });
+            }
+        }
+
+        // Apply ability effects (an absorbed ability has none)
+
+        if (!absorbed && ability.effects && ability.effects.length > 0) {
+            ability.effects.forEach(effect => {
+                // Check effect chance
+                const effectChance = effect.chance || 100;
+                const effectSuccess = this._random.next() * 100 <= effectChance;
+
+                if (effectSuccess) {
+                    let effectResult;
+
+                    switch (effect.type) {
+                        case 'stat':
+                            // Determine target monster
+                            const statTarget = effect.target === 'user' ? user : target;
+
+                            // Fainted monsters can't have their stats changed
+                            if (statTarget.currentHp <= 0) {
+                                break;
+                            }
+
+                            // Apply stat stage change
+                            effectResult = this._applyStatChange(user, statTarget, effect.stat, effect.stages);
+                            break;
+
+                        case 'status':
+                            effectResult = this._applyStatusEffect(effect, ability, user, target);
+                            break;
+
+                        case 'volatile':
+                            effectResult = this._applyVolatileEffect(effect, ability, user, target);
+                            break;
+
+                        case 'healing':
+                            // Determine target monster
+                            const healingTarget = effect.target === 'user' ? user : target;
+
+                            // Calculate heal amount (percentage of max HP)
+                            const healAmount = Math.floor(healingTarget.stats.hp * (effect.percentage / 100));
+
+                            // Apply healing
+                            const healResult = this._monsterSystem.healMonster(healingTarget, healAmount);
+
+                            effectResult = {
+                                type: 'healing',
+                                target: healingTarget.name,
+                                amount: healResult.healAmount
+                            };
+                            break;
+
+                        case 'damage':
+                            effectResult = this._applyDamageEffect(effect, user, target, { damage: damage, hits: hits });
+                            break;
+
+                        case 'field':
+                            effectResult = this._applyFieldEffect(effect, user);
+                            break;
+
+                        case 'critical':
+                            effectResult = this._applyCriticalEffect(effect, user, target);
+                            break;
+                    }
+
+                    if (effectResult) {
+                        effectResults.push(...[].concat(effectResult));
+                    }
+                }
+            });
+        }
+
+        // Hooks for a target that was hit and is still standing (e.g. berries)
+        if (!absorbed && target !== user && target.currentHp > 0 && ability.target !== ABILITY_TARGETS.SELF && ability.target !== ABILITY_TARGETS.FIELD) {
+            effectResults.push(...this._runHooks(BATTLE_HOOKS.ON_HIT, { monster: target, user: user, ability: ability, damage: damage }));
+        }
+
+        // Check if battle has ended
+        let battleEnded = false;
+        let battleResult = null;
+
+        if (damageResult && damageResult.fainted) {
+            ({ battleEnded, battleResult } = this._handleFaint(target, user));
+        }
+
+        // The user can faint from its own recoil or a self-KO ability
+        if (!battleEnded && userStanding && user.currentHp <= 0) {
+            const userFaint = this._handleFaint(user, target);
+            battleEnded = userFaint.battleEnded;
+            battleResult = userFaint.battleResult || battleResult;
+        }
+
+        // Create ability result
+        const abilityResult = {
+            success: true,
+            hit: true,
+            user: user.name,
+            target: target.name,
+            targetSide: this._getSide(target),
+            targetSlot: this._getSlot(target),
+            ability: ability.name,
+            damage: damage,
+            critical: critical,
+            typeEffectiveness: typeEffectiveness,
+            effects: effectResults,
+            damageResult: damageResult,
+            conditions: conditions,
+            battleEnded: battleEnded,
+            battleResult: battleResult,
+            message: spread ? null : `${user.name} used ${ability.name}!`
+        };
+
+        return abilityResult;
+    }
+
+    /**
+     * Calculate the damage of a single hit
+     * Fixed, level-based and one-hit KO damage ignore stats and only respect type immunities
+     * @param {Object} user - Monster using the ability
+     * @param {Object} target - Target monster
+     * @param {Object} ability - Ability data
+     * @param {Object} options - Damage options
+     * @param {boolean} options.spread - Whether the ability hits several targets (reduced damage)
+     * @returns {Object} Object with damage, typeEffectiveness and critical
+     * @private
+     */
+    _calculateDamage(user, target, ability, options = {}) {
+        // Calculate type effectiveness against both of the target's types
+        const typeEffectiveness = this._calculateTypeEffectiveness(ability.type, this._monsterSystem.getTypes(target));
+
+        // Set damage
+        const setDamage = this._getDamageEffect(ability, ['fixed', 'level', 'ohko']);
+
+        if (setDamage) {
+            if (typeEffectiveness === 0) {
+                return { damage: 0, typeEffectiveness: 0, critical: false };
+            }
+
+            let damage = 0;
+
+            switch (setDamage.kind) {
+                case 'fixed':
+                    damage = setDamage.amount;
+                    break;
+
+                case 'level':
+                    damage = user.level;
+                    break;
+
+                case 'ohko':
+                    damage = target.currentHp;
+                    break;
+            }
+
+            return { damage: damage, typeEffectiveness: 1, critical: false };
+        }
+
+        // Roll for a critical hit
+        let critical = this._random.next() < this._critChances[this._getCritStage(user, ability)];
+
+        // Calculate base damage using stats modified by stat stages
+        // Critical hits ignore the user's stat drops and the target's stat boosts
+        const attackStat = this._getEffectiveStat(user, ability.category === 'physical' ? 'attack' : 'specialAttack', { ignoreNegative: critical });
+        const defenseStat = this._getEffectiveStat(target, ability.category === 'physical' ? 'defense' : 'specialDefense', { ignorePositive: critical });
+
+        // Base formula: ((2 * Level / 5 + 2) * Power * Attack / Defense / 50) + 2
+        const baseDamage = ((2 * user.level / 5 + 2) * ability.power * attackStat / defenseStat / 50) + 2;
+
+        // Apply STAB (Same Type Attack Bonus) for either of the user's types
+        const stab = this._monsterSystem.getTypes(user).includes(ability.type) ? 1.5 : 1;
+
+        // Calculate random factor (0.85 to 1.0)
+        const random = 0.85 + this._random.next() * 0.15;
+
+        // Burned attackers deal half physical damage
+        const burn = ability.category === 'physical' && user.status === STATUS_CONDITIONS.BURN ? 0.5 : 1;
+
+        // Apply weather modifier
+        const weather = this._getWeatherMultiplier(ability.type);
+
+        // Apply critical hit multiplier
+        const crit = critical ? this._critMultiplier : 1;
+
+        // Abilities that hit several targets deal less damage to each
+        const spread = options.spread ? this._spreadMultiplier : 1;
+
+        // Calculate final damage
+        const damage = Math.floor(baseDamage * stab * typeEffectiveness * random * burn * weather * crit * spread);
+
+        // Attacks with no effect can't be critical hits
+        critical = critical && damage > 0;
+
+        return { damage: damage, typeEffectiveness: typeEffectiveness, critical: critical };
+    }
+
+    /**
+     * Find an ability's damage effect of one of the given kinds
+     * @param {Object} ability - Ability data
+     * @param {string[]} kinds - Damage effect kinds (e.g. 'multi-hit', 'charge')
+     * @returns {Object|null} Effect data
+     * @private
+     */
+    _getDamageEffect(ability, kinds) {
+        if (!ability.effects) {
+            return null;
+        }
+
+        return ability.effects.find(effect => effect.type === 'damage' && kinds.includes(effect.kind)) || null;
+    }
+
+    /**
+     * Roll the number of hits for a multi-hit effect
+     * @param {Object} effect - Multi-hit effect data
+     * @returns {number} Number of hits
+     * @private
+     */
+    _getHitCount(effect) {
+        // A fixed number of hits
+        if (effect.hits) {
+            return effect.hits;
+        }
+
+        // Random number of hits between minHits and maxHits (2-5 by default)
+        const minHits = effect.minHits || 2;
+        const maxHits = Math.max(minHits, effect.maxHits || 5);
+
+        return this._random.integer(minHits, maxHits);
+    }
+
+    /**
+     * Get the two-turn ability a monster is charging
+     * @param {Object} monster - Monster in battle
+     * @returns {string|null} Ability ID or null if not charging
+     */
+    getChargingAbility(monster) {
+        const participant = this._battleState.participants.get(monster);
+
+        return participant && participant.charging ? participant.charging : null;
+    }
+
+    /**
+     * Get the ability a choice item locks a monster into
+     * The lock lasts until the monster leaves the field or stops holding the item
+     * @param {Object} monster - Monster in battle
+     * @returns {string|null} Ability ID or null if not locked
+     */
+    getLockedAbility(monster) {
+        const participant = this._battleState.participants.get(monster);
+        const item = this._getHeldItem(monster);
+
+        if (!participant || !participant.choiceLock || !item || !item.effect.choiceLock) {
+            return null;
+        }
+
+        return monster.abilities.includes(participant.choiceLock) ? participant.choiceLock : null;
+    }
+
+    /**
+     * Check whether a monster can use any of its abilities instead of Struggle
+     * A monster locked into an ability can only use that one
+     * @param {Object} monster - Monster in battle
+     * @returns {boolean} True if an ability can be used
+     */
+    canUseAbilities(monster) {
+        const lockedAbility = this.getLockedAbility(monster);
+
+        if (lockedAbility) {
+            return this._monsterSystem.hasPP(monster, lockedAbility);
+        }
+
+        return this._monsterSystem.hasUsableAbilities(monster);
+    }
+
+    /**
+     * Subscribe a handler to a battle hook
+     * Handlers get a context with the `monster` the hook runs for (see BATTLE_HOOKS for the other fields)
+     * and may return an effect result ({ type, target, message }), or a list of them, to show in battle
+     * @param {string} hook - Hook name (see BATTLE_HOOKS)
+     * @param {function} handler - Handler called with the hook context
+     */
+    addHook(hook, handler) {
+        if (!this._hooks[hook]) {
+            this._hooks[hook] = [];
+        }
+
+        this._hooks[hook].push(handler);
+    }
+
+    /**
+     * Unsubscribe a handler from a battle hook
+     * @param {string} hook - Hook name (see BATTLE_HOOKS)
+     * @param {function} handler - Handler passed to addHook
+     */
+    removeHook(hook, handler) {
+        const handlers = this._hooks[hook] || [];
+        const index = handlers.indexOf(handler);
+
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    /**
+     * Run every handler subscribed to a hook
+     * @param {string} hook - Hook name (see BATTLE_HOOKS)
+     * @param {Object} context - Hook context, which handlers may change (e.g. `damage`)
+     * @returns {Array} Effect results returned by the handlers
+     * @private
+     */
+    _runHooks(hook, context) {
+        const results = [];
+
+        (this._hooks[hook] || []).forEach(handler => {
+            results.push(...[].concat(handler(context) || []));
+        });
+
+        return results;
+    }
+
+    /**
+     * Get the battle participant record for a monster
+     * Holds battle-only data that is reset when the monster leaves the field
+     * @param {Object} monster - Monster in battle
+     * @returns {Object} Participant record
+     * @private
+     */
+    _getParticipant(monster) {
+        if (!this._battleState.participants.has(monster)) {
+            this._battleState.participants.set(monster, this._createParticipant());
+        }
+
+        return this._battleState.participants.get(monster);
+    }
+
+    /**
+     * Create an empty participant record
+     * @returns {Object} Participant record
+     * @private
+     */
+    _createParticipant() {
+        const statStages = {};
+
+        Object.values(BATTLE_STATS).forEach(stat => {
+            statStages[stat] = 0;
+        });
+
+        return {
+            statStages: statStages,
+            critStage: 0,
+            volatiles: {},
+            toxicCounter: 0,
+            choiceLock: null // Ability a choice item locks the monster into
+        };
+    }
+
+    /**
+     * Reset a monster's participant record (switch-out, faint)
+     * @param {Object} monster - Monster leaving the field
+     * @private
+     */
+    _resetParticipant(monster) {
+        if (monster) {
+            this._battleState.participants.delete(monster);
+        }
+    }
+
+    /**
+     * Get a monster's current stat stages
+     * @param {Object} monster - Monster in battle
+     * @returns {Object} Stat stages keyed by stat name (-6 to +6)
+     */
+    getStatStages(monster) {
+        return Object.assign({}, this._getParticipant(monster).statStages);
+    }
+
+    /**
+     * Raise or lower a stat stage
+     * @param {Object} monster - Monster to modify
+     * @param {string} stat - Stat name (see BATTLE_STATS)
+     * @param {number} stages - Number of stages to add (negative to lower)
+     * @returns {Object} Object with previous and current stage and the applied change
+     * @private
+     */
+    _modifyStatStage(monster, stat, stages) {
+        const statStages = this._getParticipant(monster).statStages;
+        const previous = statStages[stat] || 0;
+        const current = Math.max(-STAT_STAGE_LIMIT, Math.min(STAT_STAGE_LIMIT, previous + stages));
+
+        statStages[stat] = current;
+
+        return {
+            stat: stat,
+            previous: previous,
+            current: current,
+            change: current - previous
+        };
+    }
+
+    /**
+     * Change a monster's stat stage with an effect from another monster (or itself)
+     * Side conditions like mist keep opponents from lowering the side's stats
+     * @param {Object} source - Monster whose ability or trait changes the stat
+     * @param {Object} target - Monster whose stat changes
+     * @param {string} stat - Stat name (see BATTLE_STATS)
+     * @param {number} stages - Number of stages to add (negative to lower)
+     * @returns {Object} Stat effect result (protectedBy names the condition that stopped the change)
+     * @private
+     */
+    _applyStatChange(source, target, stat, stages) {
+        const side = this._getSide(target);
+        const result = {
+            type: 'stat',
+            target: target.name,
+            stat: stat,
+            stages: stages
+        };
+
+        if (stages < 0 && source !== target && this._getSide(source) !== side) {
+            const protectedBy = Object.keys(this._battleState.field[side]).find(condition => this._sideConditions[condition].preventsStatDrops);
+
+            if (protectedBy) {
+                return Object.assign(result, {
+                    change: 0,
+                    stage: this._getParticipant(target).statStages[stat] || 0,
+                    protectedBy: protectedBy
+                });
+            }
+        }
+
+        const stageResult = this._modifyStatStage(target, stat, stages);
+
+        return Object.assign(result, {
+            change: stageResult.change,
+            stage: stageResult.current
+        });
+    }
+
+    /**
+     * Get the multiplier for a stat stage
+     * Accuracy and evasion use thirds, all other stats use halves
+     * @param {string} stat - Stat name
+     * @param {number} stage - Stat stage (-6 to +6)
+     * @returns {number} Stat multiplier
+     * @private
+     */
+    _getStageMultiplier(stat, stage) {
+        const base = stat === 'accuracy' || stat === 'evasion' ? 3 : 2;
+
+        return stage >= 0 ? (base + stage) / base : base / (base - stage);
+    }
+
+    /**
+     * Get a stat modified by the monster's stat stage
+     * @param {Object} monster - Monster in battle
+     * @param {string} stat - Stat name (attack, defense, specialAttack, specialDefense, speed)
+     * @param {Object} options - Stage options
+     * @param {boolean} options.ignoreNegative - Ignore a lowered stage (critical hits)
+     * @param {boolean} options.ignorePositive - Ignore a raised stage (critical hits)
+     * @returns {number} Effective stat value
+     * @private
+     */
+    _getEffectiveStat(monster, stat, options = {}) {
+        let stage = this._getParticipant(monster).statStages[stat] || 0;
+
+        if ((options.ignoreNegative && stage < 0) || (options.ignorePositive && stage > 0)) {
+            stage = 0;
+        }
+        let value = monster.stats[stat] * this._getStageMultiplier(stat, stage);
+
+        // Paralysis halves speed
+        if (stat === 'speed' && monster.status === STATUS_CONDITIONS.PARALYSIS) {
+            value *= 0.5;
+        }
+
+        // Side conditions can multiply speed (e.g. tailwind)
+        if (stat === 'speed') {
+            this._getSideConditions(this._getSide(monster)).forEach(condition => {
+                value *= condition.speedMultiplier || 1;
+            });
+        }
+
+        return Math.max(1, Math.floor(value));
+    }
+
+    /**
+     * Get the crit stage for an ability
+     * Adds the ability's crit stage (high-crit abilities count as one) to the user's
+     * @param {Object} user - Monster using the ability
+     * @param {Object} ability - Ability data
+     * @returns {number} Crit stage (0-3)
+     * @private
+     */
+    _getCritStage(user, ability) {
+        const abilityStage = (ability.critStage || 0) + (ability.highCrit ? 1 : 0);
+        const stage = this._getParticipant(user).critStage + abilityStage;
+
+        return Math.max(0, Math.min(this._critChances.length - 1, stage));
+    }
+
+    /**
+     * Apply a crit stage effect (e.g. Focus Energy)
+     * @param {Object} effect - Effect data
+     * @param {Object} user - Monster using the ability
+     * @param {Object} target - Target monster
+     * @returns {Object|null} Effect result
+     * @private
+     */
+    _applyCriticalEffect(effect, user, target) {
+        // Determine target monster
+        const critTarget = effect.target === 'target' ? target : user;
+
+        if (critTarget.currentHp <= 0) {
+            return null;
+        }
+
+        const participant = this._getParticipant(critTarget);
+
+        // Can only be raised once until the monster leaves the field
+        const applied = participant.critStage === 0;
+
+        if (applied) {
+            participant.critStage = effect.stages || 1;
+        }
+
+        return {
+            type: 'critical',
+            target: critTarget.name,
+            stages: participant.critStage,
+            applied: applied
+        };
+    }
+
+    /**
+     * Get the hit chance multiplier from the user's accuracy and the target's evasion
+     * @param {Object} user - Monster using the ability
+     * @param {Object} target - Target monster
+     * @returns {number} Accuracy multiplier
+     * @private
+     */
+    _getAccuracyMultiplier(user, target) {
+        const accuracyStage = this._getParticipant(user).statStages.accuracy;
+        const evasionStage = target === user ? 0 : this._getParticipant(target).statStages.evasion;
+        const stage = Math.max(-STAT_STAGE_LIMIT, Math.min(STAT_STAGE_LIMIT, accuracyStage - evasionStage));
+
+        return this._getStageMultiplier('accuracy', stage);
+    }
+
+    /**
+     * Get ability data, including built-in abilities
+     * @param {string} abilityId - Ability ID
+     * @returns {Object|null} Ability data
+     * @private
+     */
+    _getAbilityData(abilityId) {
+        if (abilityId === this._struggleAbility.id) {
+            return this._struggleAbility;
+        }
+
+        return this._monsterSystem.getAbility(abilityId);
+    }
+
+    /**
+     * Apply a damage effect (recoil, drain, multi-hit, fixed/level damage, one-hit KO, self-KO)
+     * Multi-hit, set damage and one-hit KO effects already changed the damage dealt,
+     * so they only report the outcome
+     * @param {Object} effect - Effect data
+     * @param {Object} user - Monster using the ability
+     * @param {Object} target - Target monster
+     * @param {Object} hit - Outcome of the attack
+     * @param {number} hit.damage - Damage dealt by the ability
+     * @param {number} hit.hits - Number of hits that landed
+     * @returns {Object|null} Effect result
+     * @private
+     */
+    _applyDamageEffect(effect, user, target, hit) {
+        switch (effect.kind) {
+            case 'recoil':
+                // Recoil is based on damage dealt unless the effect uses the user's max HP
+                const recoilBase = effect.basis === 'maxHp' ? user.stats.hp : hit.damage;
+
+                if (recoilBase <= 0) {
+                    return null;
+                }
+
+                const recoilDamage = Math.max(1, Math.floor(recoilBase * (effect.percentage / 100)));
+
+                const recoilResult = this._monsterSystem.applyDamage(user, recoilDamage);
+
+                return {
+                    type: 'damage',
+                    kind: 'recoil',
+                    target: user.name,
+                    amount: recoilResult.damage,
+                    fainted: recoilResult.fainted
+                };
+
+            case 'drain':
+                // Heal the user by a percentage of the damage dealt
+                if (hit.damage <= 0 || user.currentHp <= 0) {
+                    return null;
+                }
+
+                const drainAmount = Math.max(1, Math.floor(hit.damage * ((effect.percentage || 50) / 100)));
+                const drainResult = this._monsterSystem.healMonster(user, drainAmount);
+
+                return {
+                    type: 'damage',
+                    kind: 'drain',
+                    target: target.name,
+                    user: user.name,
+                    amount: drainResult.healAmount
+                };
+
+            case 'multi-hit':
+                if (hit.hits <= 0) {
+                    return null;
+                }
+
+                return {
+                    type: 'damage',
+                    kind: 'multi-hit',
+                    target: target.name,
+                    hits: hit.hits
+                };
+
+            case 'fixed':
+            case 'level':
+                if (hit.damage <= 0) {
+                    return null;
+                }
+
+                return {
+                    type: 'damage',
+                    kind: effect.kind,
+                    target: target.name,
+                    amount: hit.damage
+                };
+
+            case 'ohko':
+                if (hit.damage <= 0 || target.currentHp > 0) {
+                    return null;
+                }
+
+                return {
+                    type: 'damage',
+                    kind: 'ohko',
+                    target: target.name,
+                    applied: true
+                };
+
+            case 'self-ko':
+                // The user faints whether or not the ability hit
+                if (user.currentHp <= 0) {
+                    return null;
+                }
+
+                const selfKnockoutResult = this._monsterSystem.applyDamage(user, user.currentHp);
+
+                return {
+                    type: 'damage',
+                    kind: 'self-ko',
+                    target: user.name,
+                    amount: selfKnockoutResult.damage,
+                    fainted: selfKnockoutResult.fainted
+                };
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether status conditions let a monster act this turn
+     * Counts down sleep and confusion, and rolls thaw, confusion and paralysis chances
+     * @param {Object} monster - Monster about to act
+     * @param {Object} opponent - Monster on the other side
+     * @returns {Object} Object with canAct, the condition events, battleEnded and battleResult
+     * @private
+     */
+    _checkCanAct(monster, opponent) {
+        const volatiles = this._getParticipant(monster).volatiles;
+        const result = { canAct: true, conditions: [], battleEnded: false, battleResult: null };
+
+        const addCondition = (condition, event, message) => {
+            const conditionResult = { condition: condition, event: event, target: monster.name, message: message };
+            result.conditions.push(conditionResult);
+            return conditionResult;
+        };
+
+        const block = (condition, message) => {
+            addCondition(condition, 'blocked', message);
+            result.canAct = false;
+            return result;
+        };
+
+        switch (monster.status) {
+            case STATUS_CONDITIONS.SLEEP:
+                if (monster.statusTurns > 0) {
+                    monster.statusTurns--;
+                    return block(STATUS_CONDITIONS.SLEEP, `${monster.name} is fast asleep.`);
+                }
+
+                this._monsterSystem.clearStatus(monster);
+                addCondition(STATUS_CONDITIONS.SLEEP, 'ended', `${monster.name} woke up!`);
+                break;
+
+            case STATUS_CONDITIONS.FREEZE:
+                // 20% chance to thaw each turn
+                if (this._random.next() * 100 >= 20) {
+                    return block(STATUS_CONDITIONS.FREEZE, `${monster.name} is frozen solid!`);
+                }
+
+                this._monsterSystem.clearStatus(monster);
+                addCondition(STATUS_CONDITIONS.FREEZE, 'ended', `${monster.name} thawed out!`);
+                break;
+        }
+
+        // Flinching
+        if (volatiles.flinch) {
+            return block(VOLATILE_STATUSES.FLINCH, `${monster.name} flinched and couldn't move!`);
+        }
+
+        // Confusion
+        if (volatiles.confusion !== undefined) {
+            if (volatiles.confusion > 0) {
+                volatiles.confusion--;
+                addCondition(VOLATILE_STATUSES.CONFUSION, 'active', `${monster.name} is confused!`);
+
+                // 1 in 3 chance to hit itself
+                if (this._random.next() * 3 < 1) {
+                    const damageResult = this._monsterSystem.applyDamage(monster, this._getConfusionDamage(monster));
+                    const selfHit = addCondition(VOLATILE_STATUSES.CONFUSION, 'self-hit', 'It hurt itself in its confusion!');
+                    selfHit.damage = damageResult.damage;
+                    selfHit.fainted = damageResult.fainted;
+                    result.canAct = false;
+
+                    if (damageResult.fainted) {
+                        Object.assign(result, this._handleFaint(monster, opponent));
+                    }
+
+                    return result;
+                }
+            } else {
+                delete volatiles.confusion;
+                addCondition(VOLATILE_STATUSES.CONFUSION, 'ended', `${monster.name} snapped out of its confusion!`);
+            }
+        }
+
+        // 25% chance to be fully paralyzed
+        if (monster.status === STATUS_CONDITIONS.PARALYSIS && this._random.next() * 100 < 25) {
+            return block(STATUS_CONDITIONS.PARALYSIS, `${monster.name} is paralyzed! It can't move!`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Calculate the damage a confused monster deals to itself
+     * A typeless 40 power physical attack using the monster's own stats
+     * @param {Object} monster - Confused monster
+     * @returns {number} Damage
+     * @private
+     */
+    _getConfusionDamage(monster) {
+        const attackStat = this._getEffectiveStat(monster, 'attack');
+        const defenseStat = this._getEffectiveStat(monster, 'defense');
+        const baseDamage = ((2 * monster.level / 5 + 2) * 40 * attackStat / defenseStat / 50) + 2;
+
+        return Math.max(1, Math.floor(baseDamage * (0.85 + this._random.next() * 0.15)));
+    }
+
+    /**
+     * Apply a major status condition effect
+     * Secondary effects of damaging abilities fail silently
+     * @param {Object} effect - Effect data
+     * @param {Object} ability - Ability data
+     * @param {Object} user - Monster using the ability
+     * @param {Object} target - Target monster
+     * @returns {Object|null} Effect result
+     * @private
+     */
+    _applyStatusEffect(effect, ability, user, target) {
+        // Determine target monster
+        const statusTarget = effect.target === 'user' ? user : target;
+
+        if (statusTarget.currentHp <= 0) {
+            return null;
+        }
+
+        // Hooks can prevent a status condition that would be applied (e.g. traits)
+        if (!statusTarget.status && !this._monsterSystem.isStatusImmune(statusTarget, effect.status)) {
+            const statusContext = { monster: statusTarget, user: user, status: effect.status, prevented: false };
+            const hookEffects = this._runHooks(BATTLE_HOOKS.BEFORE_STATUS, statusContext);
+
+            if (statusContext.prevented) {
+                return ability.category === 'status' ? hookEffects : null;
+            }
+        }
+
+        // Apply status effect
+        const applied = this._monsterSystem.applyStatus(statusTarget, effect.status, { turns: effect.duration });
+
+        if (!applied && ability.category !== 'status') {
+            return null;
+        }
+
+        // Badly poisoned damage starts over
+        if (applied && effect.status === STATUS_CONDITIONS.BADLY_POISONED) {
+            this._getParticipant(statusTarget).toxicCounter = 0;
+        }
+
+        return {
+            type: 'status',
+            target: statusTarget.name,
+            status: effect.status,
+            applied: applied,
+            reason: applied ? null : (this._monsterSystem.isStatusImmune(statusTarget, effect.status) ? 'immune' : 'failed')
+        };
+    }
+
+    /**
+     * Apply a volatile status effect (confusion, flinch, seeded)
+     * Secondary effects of damaging abilities fail silently
+     * @param {Object} effect - Effect data
+     * @param {Object} ability - Ability data
+     * @param {Object} user - Monster using the ability
+     * @param {Object} target - Target monster
+     * @returns {Object|null} Effect result
+     * @private
+     */
+    _applyVolatileEffect(effect, ability, user, target) {
+        // Determine target monster
+        const volatileTarget = effect.target === 'user' ? user : target;
+
+        if (volatileTarget.currentHp <= 0 || !Object.values(VOLATILE_STATUSES).includes(effect.status)) {
+            return null;
+        }
+
+        const volatiles = this._getParticipant(volatileTarget).volatiles;
+        let reason = null;
+
+        if (this._monsterSystem.isStatusImmune(volatileTarget, effect.status)) {
+            reason = 'immune';
+        } else if (volatiles[effect.status] !== undefined) {
+            reason = 'failed';
+        }
+
+        // Hooks can prevent a volatile status that would be applied (e.g. traits)
+        if (!reason) {
+            const statusContext = { monster: volatileTarget, user: user, status: effect.status, prevented: false };
+            const hookEffects = this._runHooks(BATTLE_HOOKS.BEFORE_STATUS, statusContext);
+
+            if (statusContext.prevented) {
+                return ability.category === 'status' ? hookEffects : null;
+            }
+        }
+
+        if (reason && ability.category !== 'status') {
+            return null;
+        }
+
+        if (!reason) {
+            switch (effect.status) {
+                case VOLATILE_STATUSES.CONFUSION:
+                    // Confusion lasts 1-4 turns
+                    volatiles.confusion = effect.duration || this._random.integer(1, 4);
+                    break;
+
+                case VOLATILE_STATUSES.FLINCH:
+                    // Cleared at the end of the turn
+                    volatiles.flinch = true;
+                    break;
+
+                case VOLATILE_STATUSES.SEEDED:
+                    volatiles.seeded = true;
+                    break;
+            }
+        }
+
+        return {
+            type: 'volatile',
+            target: volatileTarget.name,
+            status: effect.status,
+            applied: !reason,
+            reason: reason
+        };
+    }
+
+    /**
+     * Apply a field effect (weather or a side condition)
+     * @param {Object} effect - Effect data
+     * @param {Object} user - Monster using the ability (needed for side conditions)
+     * @returns {Object|null} Effect result
+     * @private
+     */
+    _applyFieldEffect(effect, user = null) {
+        if (effect.condition) {
+            return user ? this._applySideCondition(effect, user) : null;
+        }
+
+        if (!this._weatherEffects[effect.weather]) {
+            return null;
+        }
+
+        // The same weather can't be started again
+        if (this._battleState.weather === effect.weather) {
+            return { type: 'field', weather: effect.weather, applied: false };
+        }
+
+        // Weather lasts 5 turns unless the effect sets a duration
+        const previous = this._battleState.weather;
+
+        this._battleState.weather = effect.weather;
+        this._battleState.weatherTurns = effect.duration || 5;
+
+        return {
+            type: 'field',
+            weather: effect.weather,
+            previous: previous,
+            turns: this._battleState.weatherTurns,
+            applied: true
+        };
+    }
+
+    /**
+     * Set up a side condition on the user's side or the opposing side
+     * Entry hazards can be stacked up to their layer limit, other conditions can't be set up again while they last
+     * @param {Object} effect - Effect data (condition, side 'user' or 'opponent', optional duration)
+     * @param {Object} user - Monster using the ability
+     * @returns {Object|null} Effect result
+     * @private
+     */
+    _applySideCondition(effect, user) {
+        const definition = this._sideConditions[effect.condition];
+
+        if (!definition) {
+            return null;
+        }
+
+        const userSide = this._getSide(user);
+        const side = effect.side === 'user' ? userSide : (userSide === 'player' ? 'enemy' : 'player');
+        const field = this._battleState.field[side];
+        const current = field[effect.condition];
+
+        if (current && current.layers >= (definition.maxLayers || 1)) {
+            return { type: 'field', condition: effect.condition, side: side, applied: false, message: null };
+        }
+
+        // Another layer keeps the turns that are left
+        field[effect.condition] = {
+            turns: current ? current.turns : (effect.duration || definition.turns),
+            layers: current ? current.layers + 1 : 1
+        };
+
+        return {
+            type: 'field',
+            condition: effect.condition,
+            side: side,
+            turns: field[effect.condition].turns,
+            layers: field[effect.condition].layers,
+            applied: true,
+            message: this._formatSideMessage(definition.startMessage, side)
+        };
+    }
+
+    /**
+     * Get the damage multiplier from the current weather
+     * @param {string} abilityType - Type of the ability
+     * @returns {number} Weather multiplier
+     * @private
+     */
+    _getWeatherMultiplier(abilityType) {
+        const weather = this._weatherEffects[this._battleState.weather];
+
+        if (!weather || weather.multipliers[abilityType] === undefined) {
+            return 1;
+        }
+
+        return weather.multipliers[abilityType];
+    }
+
+    /**
+     * Handle a fainted monster
+     * Awards experience for fainted enemies, then picks the next enemy monster to send out
+     * (see sendOutNextEnemy), asks the player for a replacement or ends the battle
+     * A side is only beaten once every monster in its team has fainted
+     * @param {Object} fainted - Monster that fainted
+     * @param {Object} opponent - Monster on the other side
+     * @returns {Object} Object with battleEnded and battleResult
+     * @private
+     */
+    _handleFaint(fainted, opponent) {
+        let battleEnded = false;
+        let battleResult = null;
+
+        // Fainted monsters leave the field
+        this._resetParticipant(fainted);
+
+        const side = this._getSide(fainted);
+        const slot = this._getSlot(fainted);
+
+        if (slot === -1) {
+            return { battleEnded, battleResult };
+        }
+
+        if (side === 'enemy') {
+            // Enemy monster fainted, every player monster that faced it gains experience
+            if (this._battleState.experience) {
+                this._awardExperience(fainted);
+            }
+
+            const nextEnemyMonster = this._getNextMonster('enemy');
+
+            if (!this._hasMonstersLeft('enemy')) {
+                // All enemy monsters fainted, battle won
+                battleEnded = true;
+                battleResult = { winner: 'player', evolutions: this._battleState.evolutions };
+
+                this.endBattle(battleResult);
+            } else if (nextEnemyMonster) {
+                // The next enemy monster is sent out once the turn is over
+                this._battleState.pendingEnemySendOuts.push({ slot: slot, index: this._battleState.enemyTeam.indexOf(nextEnemyMonster) });
+            }
+        } else {
+            // Player monster fainted, it can only be replaced while there are benched monsters left for it
+            const benched = this._getBenchedMonsters('player');
+
+            if (!this._hasMonstersLeft('player')) {
+                // All player monsters fainted, battle lost
+                battleEnded = true;
+                battleResult = { winner: 'enemy' };
+                this.endBattle(battleResult);
+            } else if (benched.length > this._battleState.forcedSwitchSlots.length) {
+                // The player picks a replacement before the next turn (see replaceFaintedMonster)
+                this._battleState.forcedSwitchSlots.push(slot);
+                battleResult = { needSwitch: true };
+            }
+        }
+
+        return { battleEnded, battleResult };
+    }
+
+    /**
+     * Record that the active player monsters have faced the active enemy monsters
+     * @private
+     */
+    _markParticipation() {
+        const playerMonsters = this._getStandingMonsters('player');
+
+        // A fainted enemy waiting to be replaced has already given out its experience
+        this._getStandingMonsters('enemy').forEach(enemyMonster => {
+            if (!this._battleState.expParticipants.has(enemyMonster)) {
+                this._battleState.expParticipants.set(enemyMonster, new Set());
+            }
+
+            playerMonsters.forEach(playerMonster => {
+                this._battleState.expParticipants.get(enemyMonster).add(playerMonster);
+            });
+        });
+    }
+
+    /**
+     * Award experience and effort values for a defeated enemy monster
+     * Player monsters that faced it and are still standing (or fainted in the same turn) split the experience;
+     * with an Exp Share, benched monsters split their share of it
+     * @param {Object} defeated - Defeated enemy monster
+     * @private
+     */
+    _awardExperience(defeated) {
+        const expYield = this._monsterSystem.getExperienceYield(defeated);
+        const evYield = this._monsterSystem.getEffortYield(defeated);
+        const faced = this._battleState.expParticipants.get(defeated) || new Set();
+
+        this._battleState.expParticipants.delete(defeated);
+
+        // Active monsters keep their share if they went down in the same turn (recoil, self-KO, end-of-turn damage)
+        const participants = this._battleState.playerTeam.filter(monster => faced.has(monster) && (monster.currentHp > 0 || this._isActive(monster)));
+        const benched = this._battleState.expShare > 0 ?
+            this._battleState.playerTeam.filter(monster => !faced.has(monster) && monster.currentHp > 0) : [];
+
+        // Benched monsters only take a cut when there's someone to share with
+        const benchedShare = benched.length > 0 ? this._battleState.expShare / 100 : 0;
+
+        const award = (monsters, amount, shared) => {
+            monsters.forEach(monster => {
+                const experience = Math.max(1, Math.floor(amount / monsters.length));
+                const expResult = this._monsterSystem.awardExperience(monster, experience);
+                const evs = this._monsterSystem.addEffortValues(monster, evYield);
+
+                // Evolution waits until the battle is over
+                if (expResult.canEvolve && !this._battleState.evolutions.some(evolution => evolution.monster === monster)) {
+                    this._battleState.evolutions.push({ monster: monster, evolutionId: expResult.evolutionId });
+                }
+
+                this._battleState.pendingExperience.push({
+                    monster: monster,
+                    target: monster.name,
+                    amount: experience,
+                    shared: shared,
+                    evs: evs,
+                    leveledUp: expResult.leveledUp,
+                    level: monster.level,
+                    learnedAbilities: expResult.learnedAbilities || [],
+                    pendingAbilities: expResult.pendingAbilities || []
+                });
+            });
+        };
+
+        // If nobody who faced it is left standing, the benched monsters only get their cut
+        award(participants, expYield * (1 - benchedShare), false);
+        award(benched, expYield * benchedShare, true);
+    }
+
+    /**
+     * Use an item
+     * @param {string} itemId - Item ID
+     * @param {string} targetId - Target monster ID
+     * @param {string} abilityId - Ability to restore (for single-ability PP items)
+     * @param {string} side - Side using the item ('player' or 'enemy', default: player)
+     * @param {number} slot - Slot of the monster whose turn the item uses (default 0)
+     * @returns {Object} Item use result
+     * @private
+     */
+    _useItem(itemId, targetId, abilityId, side = 'player', slot = 0) {
+        // Get item data
+        const item = this._data.get('items', itemId);
+
+        if (!item) {
+            return { success: false, message: 'Item not found' };
+        }
+
+        // Find target monster
         let target = null;
 
-        if (targetId) {
-            // Check player team for target
-            this._battleState.playerTeam.forEach(monster => {
-                if (monster.id === targetId) {
-                    target = monster;
-                }
+        if (targetId) {
+            // Check the user's team for target
+            const team = side === 'player' ? this._battleState.playerTeam : this._battleState.enemyTeam;
+
+            team.forEach(monster => {
+                if (monster.id === targetId) {
+                    target = monster;
+                }
+            });
+        } else {
+            // Default to the user's active monster
+            target = this._getActiveMonster(side, slot);
+        }
+
+        if (!target) {
+            return { success: false, message: 'Target monster not found' };
+        }
+
+        // Apply item effect based on type
+        let result;
+
+        switch (item.type) {
+            case ITEM_TYPES.POTION:
+                result = this._useRestoreItem(item, target, abilityId, side === 'enemy' ? this._getTrainerName() : null);
+                break;
+
+            case ITEM_TYPES.BALL:
+                // Only usable by the player on wild monsters
+                if (side !== 'player' || this._battleState.battleType !== 'wild') {
+                    return { success: false, message: "Can't use this on a trainer's monster!" };
+                }
+
+                // Attempt to catch the first wild monster still standing
+                const wildMonster = this._getStandingMonsters('enemy')[0];
+                const ballBonus = item.effect.catchRate || 1;
+                const catchResult = this._monsterSystem.attemptCatch(wildMonster, {
+                    ballBonus: ballBonus,
+                    statusBonus: wildMonster.status !== null
+                });
+
+                if (catchResult) {
+                    // Monster caught, end battle
+                    const battleResult = {
+                        winner: 'player',
+                        caught: true,
+                        monster: wildMonster
+                    };
+
+                    this.endBattle(battleResult);
+
+                    result = {
+                        success: true,
+                        type: 'catch',
+                        caught: true,
+                        monster: wildMonster.name,
+                        battleEnded: true,
+                        battleResult: battleResult,
+                        message: `Caught ${wildMonster.name}!`
+                    };
+                } else {
+                    // Failed to catch, monster breaks free
+                    result = {
+                        success: true,
+                        type: 'catch',
+                        caught: false,
+                        monster: wildMonster.name,
+                        message: `${wildMonster.name} broke free!`
+                    };
+                }
+                break;
+
+            default:
+                result = { success: false, message: 'Item cannot be used in battle' };
+        }
+
+        // Trainers use up the items they brought
+        if (side === 'enemy' && result.success) {
+            const trainerItem = this._battleState.trainerItems.find(entry => entry.id === itemId);
+
+            if (trainerItem) {
+                trainerItem.quantity--;
+            }
+        }
+
+        // Log item use
+        if (this._debug) {
+            console.log(`BattleSystem: Used item ${item.name}`, result);
+        }
+
+        // Emit item use event
+        if (this._events) {
+            this._events.emit(EVENTS.ITEM_USED, item, target, result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Use a restoring item (HP and/or PP)
+     * @param {Object} item - Item data
+     * @param {Object} target - Target monster
+     * @param {string} abilityId - Ability to restore (for single-ability PP items)
+     * @param {string} userName - Name of the item's user for the message (null for the player)
+     * @returns {Object} Item use result
+     * @private
+     */
+    _useRestoreItem(item, target, abilityId, userName = null) {
+        const effect = item.effect || {};
+        const restoresPP = effect.pp !== undefined;
+        const messages = [userName ? `${userName} used ${item.name} on ${target.name}.` : `Used ${item.name} on ${target.name}.`];
+        let healAmount = 0;
+        let ppRestored = 0;
+
+        // Restore PP (null restores fully)
+        if (restoresPP) {
+            const ppAmount = effect.pp === null ? undefined : effect.pp;
+            const ppAbility = effect.allAbilities ? null : (abilityId || this._getLowestPPAbility(target));
+
+            if (effect.allAbilities || ppAbility) {
+                ppRestored = this._monsterSystem.restorePP(target, ppAbility, ppAmount);
+            }
+
+            if (ppRestored > 0) {
+                messages.push(ppAbility
+                    ? `Restored ${ppRestored} PP to ${this._getAbilityData(ppAbility).name}!`
+                    : `Restored ${target.name}'s PP!`);
+            }
+        }
+
+        // Heal HP (plain potions default to 20 HP)
+        if (effect.amount || !restoresPP) {
+            const healResult = this._monsterSystem.healMonster(target, effect.amount || 20);
+            healAmount = healResult.healAmount;
+            messages.push(`Restored ${healAmount} HP!`);
+        }
+
+        if (healAmount === 0 && ppRestored === 0) {
+            messages.push('It had no effect.');
+        }
+
+        return {
+            success: true,
+            type: 'heal',
+            target: target.name,
+            amount: healAmount,
+            ppRestored: ppRestored,
+            message: messages.join(' ')
+        };
+    }
+
+    /**
+     * Get the name of the opposing trainer
+     * @returns {string} Trainer name
+     * @private
+     */
+    _getTrainerName() {
+        const trainer = this._battleState.trainer;
+
+        return trainer && trainer.name ? trainer.name : 'Trainer';
+    }
+
+    /**
+     * Get the known ability with the lowest share of PP left
+     * @param {Object} monster - Monster to check
+     * @returns {string|null} Ability ID or null if no ability is missing PP
+     * @private
+     */
+    _getLowestPPAbility(monster) {
+        let lowestId = null;
+        let lowestRatio = 1;
+
+        monster.abilities.forEach(abilityId => {
+            const pp = this._monsterSystem.getPP(monster, abilityId);
+
+            if (pp && pp.max > 0 && pp.current / pp.max < lowestRatio) {
+                lowestRatio = pp.current / pp.max;
+                lowestId = abilityId;
+            }
+        });
+
+        return lowestId;
+    }
+
+    /**
+     * Switch active monster
+     * @param {string} team - Team to switch ('player' or 'enemy')
+     * @param {number} index - Index of monster to switch to
+     * @param {number} slot - Slot to switch in (default 0)
+     * @returns {Object} Switch result
+     * @private
+     */
+    _switchMonster(team, index, slot = 0) {
+        const teamArray = team === 'player' ? this._battleState.playerTeam : this._battleState.enemyTeam;
+
+        // Check if index is valid
+        if (index < 0 || index >= teamArray.length) {
+            return { success: false, message: 'Invalid monster index' };
+        }
+
+        // Check if monster is already active (in any slot)
+        const currentActive = this._getActiveMonster(team, slot);
+
+        if (this._isActive(teamArray[index])) {
+            return { success: false, message: 'Monster is already active' };
+        }
+
+        // Check if monster has fainted
+        if (teamArray[index].currentHp <= 0) {
+            return { success: false, message: 'Cannot switch to fainted monster' };
+        }
+
+        // Switching out resets the outgoing monster's stat stages
+        this._resetParticipant(currentActive);
+
+        // Switch monster
+        if (team === 'player') {
+            const previousMonster = currentActive;
+            this._setActiveMonster('player', slot, teamArray[index]);
+            this._markParticipation();
+
+            // Hooks for the monster coming in
+            const effects = this._runHooks(BATTLE_HOOKS.ON_SWITCH, { monster: teamArray[index] });
+
+            // Log switch
+            if (this._debug) {
+                console.log(`BattleSystem: Player switched from ${previousMonster.name} to ${teamArray[index].name}`);
+            }
+
+            return this._checkEntryFaint(teamArray[index], {
+                success: true,
+                team: 'player',
+                previous: previousMonster.name,
+                current: teamArray[index].name,
+                effects: effects,
+                message: `Go, ${teamArray[index].name}!`
+            });
+        } else {
+            const previousMonster = currentActive;
+            this._setActiveMonster('enemy', slot, teamArray[index]);
+            this._markParticipation();
+
+            // Hooks for the monster coming in
+            const effects = this._runHooks(BATTLE_HOOKS.ON_SWITCH, { monster: teamArray[index] });
+
+            // Log switch
+            if (this._debug) {
+                console.log(`BattleSystem: Enemy switched from ${previousMonster.name} to ${teamArray[index].name}`);
+            }
+
+            // Trainers withdraw a healthy monster, a fainted one is just replaced
+            const trainerName = this._getTrainerName();
+            const message = previousMonster.currentHp > 0
+                ? `${trainerName} withdrew ${previousMonster.name} and sent out ${teamArray[index].name}!`
+                : `${trainerName} sent out ${teamArray[index].name}!`;
+
+            return this._checkEntryFaint(teamArray[index], {
+                success: true,
+                team: 'enemy',
+                previous: previousMonster.name,
+                current: teamArray[index].name,
+                effects: effects,
+                message: message
             });
+        }
+    }
+
+    /**
+     * Handle a monster that fainted as it came in (e.g. from entry hazards)
+     * @param {Object} monster - Monster that came in
+     * @param {Object} result - Switch result
+     * @returns {Object} Switch result, with battleEnded and battleResult if the monster fainted
+     * @private
+     */
+    _checkEntryFaint(monster, result) {
+        if (monster.currentHp <= 0) {
+            const opponent = this._getActiveMonster(this._getSide(monster) === 'player' ? 'enemy' : 'player');
+
+            Object.assign(result, this._handleFaint(monster, opponent));
+        }
+
+        return result;
+    }
+
+    /**
+     * Attempt to run from battle
+     * @returns {Object} Run attempt result
+     * @private
+     */
+    _attemptRun() {
+        // Can only run from wild battles
+        if (this._battleState.battleType !== 'wild') {
+            return { success: false, message: "Can't run from a trainer battle!" };
+        }
+
+        // Calculate escape chance
+        // Formula: (Player Speed * 128 / Enemy Speed) + 30 * Attempts
+        const playerSpeed = this._getEffectiveStat(this._battleState.activePlayerMonster, 'speed');
+        const enemySpeed = this._getEffectiveStat(this._battleState.activeEnemyMonster, 'speed');
+
+        // Track run attempts
+        this._battleState.runAttempts = (this._battleState.runAttempts || 0) + 1;
+
+        const escapeChance = Math.floor((playerSpeed * 128 / enemySpeed) + 30 * this._battleState.runAttempts);
+
+        // Random number from 0-255
+        const randomValue = this._random.integer(0, 255);
+
+        // Success if random value is less than escape chance
+        const success = randomValue < escapeChance;
+
+        if (success) {
+            // End battle with escape result
+            const battleResult = { escaped: true };
+            this.endBattle(battleResult);
+
+            return {
+                success: true,
+                escaped: true,
+                battleEnded: true,
+                battleResult: battleResult,
+                message: 'Got away safely!'
+            };
         } else {
-            // Default to active player monster
-            target = this._battleState.activePlayerMonster;
+            return {
+                success: true,
+                escaped: false,
+                message: "Couldn't escape!"
+            };
+        }
+    }
+
+    /**
+     * Get next available monster
+     * @param {string} team - Team to check ('player' or 'enemy')
+     * @returns {Object|null} Next monster or null if none available
+     * @private
+     */
+    _getNextMonster(team) {
+        return this._getBenchedMonsters(team)[0] || null;
+    }
+
+    /**
+     * Get the monsters that can still be sent out
+     * Skips fainted and active monsters, and enemy monsters already waiting to be sent out
+     * @param {string} team - Team to check ('player' or 'enemy')
+     * @returns {Array} Benched monsters in team order
+     * @private
+     */
+    _getBenchedMonsters(team) {
+        const teamArray = team === 'player' ? this._battleState.playerTeam : this._battleState.enemyTeam;
+        const pending = team === 'enemy' ? this._battleState.pendingEnemySendOuts.map(sendOut => teamArray[sendOut.index]) : [];
+
+        return teamArray.filter(monster => monster.currentHp > 0 && !this._isActive(monster) && !pending.includes(monster));
+    }
+
+    /**
+     * Check whether a team has any monster left that hasn't fainted
+     * @param {string} team - Team to check ('player' or 'enemy')
+     * @returns {boolean} True if the team can still battle
+     * @private
+     */
+    _hasMonstersLeft(team) {
+        const teamArray = team === 'player' ? this._battleState.playerTeam : this._battleState.enemyTeam;
+
+        return teamArray.some(monster => monster.currentHp > 0);
+    }
+
+    /**
+     * Start a new turn
+     * @private
+     */
+    _startNewTurn() {
+        this._battleState.turn++;
+
+        // Flinching only lasts for the turn it happened in
+        this._battleState.participants.forEach(participant => {
+            delete participant.volatiles.flinch;
+        });
+
+        if (this._debug) {
+            console.log(`BattleSystem: Turn ${this._battleState.turn} started`);
+        }
+    }
+
+    /**
+     * Apply end-of-turn status damage (burn, poison, seeding)
+     * @param {Object} turnResult - Turn result to add the residual results to
+     * @private
+     */
+    _applyStatusEffects(turnResult) {
+        const activeMonsters = this._battleState.activeMonsters.player.concat(this._battleState.activeMonsters.enemy);
+
+        activeMonsters.forEach(monster => {
+            const side = this._getSide(monster);
+
+            // Skip if the battle is over or the monster has fainted
+            if (!this._battleState.active || monster.currentHp <= 0) {
+                return;
+            }
+
+            const participant = this._getParticipant(monster);
+            let result = null;
+
+            switch (monster.status) {
+                case STATUS_CONDITIONS.BURN:
+                    // Burn: Lose 1/16 of max HP
+                    result = this._applyResidualDamage(monster, STATUS_CONDITIONS.BURN, monster.stats.hp / 16, `${monster.name} is hurt by its burn!`);
+                    break;
+
+                case STATUS_CONDITIONS.POISON:
+                    // Poison: Lose 1/8 of max HP
+                    result = this._applyResidualDamage(monster, STATUS_CONDITIONS.POISON, monster.stats.hp / 8, `${monster.name} is hurt by poison!`);
+                    break;
+
+                case STATUS_CONDITIONS.BADLY_POISONED:
+                    // Badly poisoned: Lose 1/16 of max HP more each turn
+                    participant.toxicCounter++;
+                    result = this._applyResidualDamage(monster, STATUS_CONDITIONS.BADLY_POISONED, monster.stats.hp * participant.toxicCounter / 16, `${monster.name} is hurt by poison!`);
+                    break;
+            }
+
+            if (result) {
+                this._addTurnResult(turnResult, result);
+            }
+
+            // Seeded: Lose 1/8 of max HP to the first opposing monster still standing
+            if (participant.volatiles.seeded && monster.currentHp > 0 && this._battleState.active) {
+                const opponent = this._getTargetMonster(side, null);
+                const seedResult = this._applyResidualDamage(monster, VOLATILE_STATUSES.SEEDED, monster.stats.hp / 8, `${monster.name}'s health is sapped by the seed!`, false);
+
+                if (opponent && opponent.currentHp > 0) {
+                    seedResult.healAmount = this._monsterSystem.healMonster(opponent, seedResult.damage).healAmount;
+                }
+
+                if (seedResult.damageResult.fainted) {
+                    Object.assign(seedResult, this._handleFaint(monster, opponent));
+                }
+
+                this._addTurnResult(turnResult, seedResult);
+            }
+        });
+    }
+
+    /**
+     * Run the end-of-turn hooks for every standing active monster (e.g. Leftovers)
+     * @param {Object} turnResult - Turn result to add the hook results to
+     * @private
+     */
+    _applyEndOfTurnHooks(turnResult) {
+        const activeMonsters = this._battleState.activeMonsters.player.concat(this._battleState.activeMonsters.enemy);
+
+        activeMonsters.forEach(monster => {
+            // Skip if the battle is over or the monster has fainted
+            if (!this._battleState.active || monster.currentHp <= 0) {
+                return;
+            }
+
+            const effects = this._runHooks(BATTLE_HOOKS.END_OF_TURN, { monster: monster });
+
+            if (effects.length > 0) {
+                this._addTurnResult(turnResult, {
+                    success: true,
+                    side: this._getSide(monster),
+                    slot: this._getSlot(monster),
+                    actionType: 'hook',
+                    target: monster.name,
+                    effects: effects,
+                    message: null
+                });
+            }
+        });
+    }
+
+    /**
+     * Get the data of the item a monster holds
+     * @param {Object} monster - Monster
+     * @returns {Object|null} Item data or null if the monster holds no item with an effect
+     * @private
+     */
+    _getHeldItem(monster) {
+        const item = monster && monster.heldItem ? this._data.get('items', monster.heldItem) : null;
+
+        return item && item.effect ? item : null;
+    }
+
+    /**
+     * Hook handler for held items
+     * Items react at the hooks listed in their effect's `triggers`
+     * @param {string} hook - Hook name (see BATTLE_HOOKS)
+     * @param {Object} context - Hook context
+     * @returns {Object|null} Held item effect result
+     * @private
+     */
+    _applyHeldItem(hook, context) {
+        const monster = context.monster;
+        const item = this._getHeldItem(monster);
+
+        if (!item || !(item.effect.triggers || []).includes(hook) || monster.currentHp <= 0) {
+            return null;
+        }
+
+        switch (hook) {
+            case BATTLE_HOOKS.BEFORE_MOVE:
+                // Choice items lock the holder into the first ability it uses
+                const participant = this._getParticipant(monster);
+
+                if (item.effect.choiceLock && !participant.choiceLock && context.ability !== this._struggleAbility) {
+                    participant.choiceLock = context.ability.id;
+                }
+                return null;
+
+            case BATTLE_HOOKS.MODIFY_DAMAGE:
+                return this._applyHeldDamageModifier(item, context);
+
+            case BATTLE_HOOKS.BEFORE_STATUS:
+                // There's nothing to cure yet
+                return null;
         }
 
-        if (!target) {
-            return { success: false, message: 'Target monster not found' };
+        // On hit, at the end of the turn and on switching in, items heal or cure the holder
+        return this._applyHeldRecovery(monster, item);
+    }
+
+    /**
+     * Change the damage of a hit with a held item
+     * Boosters raise the holder's damage, focus items let the holder survive a hit at full HP
+     * @param {Object} item - Held item data
+     * @param {Object} context - Modify-damage hook context ({ monster, user, target, ability, damage })
+     * @returns {Object|null} Held item effect result
+     * @private
+     */
+    _applyHeldDamageModifier(item, context) {
+        const effect = item.effect;
+        const monster = context.monster;
+
+        if (monster === context.user) {
+            if (this._isBoosted(effect, context.ability)) {
+                context.damage = Math.floor(context.damage * (effect.multiplier || 1));
+            }
+
+            return null;
         }
 
-        // Apply item effect based on type
-        let result;
+        if (effect.survive && monster.currentHp === monster.stats.hp && context.damage >= monster.currentHp) {
+            context.damage = monster.currentHp - 1;
 
-        switch (item.type) {
-            case ITEM_TYPES.POTION:
-                // Heal monster
-                const healAmount = item.effect.amount || 20;
-                const healResult = this._monsterSystem.healMonster(target, healAmount);
+            return this._createHeldItemResult(monster, item, { kind: 'survive' }, `${monster.name} hung on using its ${item.name}!`);
+        }
 
-                result = {
-                    success: true,
-                    type: 'heal',
-                    target: target.name,
-                    amount: healResult.healAmount,
-                    message: `Used ${item.name} on ${target.name}. Restored ${healResult.healAmount} HP!`
-                };
-                break;
+        return null;
+    }
 
-            case ITEM_TYPES.BALL:
-                // Only usable on wild monsters
-                if (this._battleState.battleType !== 'wild') {
-                    return { success: false, message: "Can't use this on a trainer's monster!" };
-                }
+    /**
+     * Heal or cure a monster with its held item
+     * Healing waits until the holder's HP drops to `hpBelow` percent (no threshold = whenever it's hurt)
+     * @param {Object} monster - Holder
+     * @param {Object} item - Held item data
+     * @returns {Object|null} Held item effect result or null if the item had nothing to do
+     * @private
+     */
+    _applyHeldRecovery(monster, item) {
+        const effect = item.effect;
+        const hurt = monster.currentHp < monster.stats.hp;
+        const belowThreshold = this._isBelowHp(monster, effect.hpBelow);
 
-                // Attempt to catch monster
-                const ballBonus = item.effect.catchRate || 1;
-                const catchResult = this._monsterSystem.attemptCatch(this._battleState.activeEnemyMonster, {
-                    ballBonus: ballBonus,
-                    statusBonus: this._battleState.activeEnemyMonster.status !== null
-                });
+        // Cure the status conditions the item lists (true = any)
+        const cures = effect.cureStatus === true || (Array.isArray(effect.cureStatus) && effect.cureStatus.includes(monster.status));
 
-                if (catchResult) {
-                    // Monster caught, end battle
-                    const battleResult = {
-                        winner: 'player',
-                        caught: true,
-                        monster: this._battleState.activeEnemyMonster
-                    };
+        if (monster.status && cures) {
+            const status = this._monsterSystem.clearStatus(monster);
+            const statusName = status === STATUS_CONDITIONS.BADLY_POISONED ? STATUS_CONDITIONS.POISON : status;
 
-                    this.endBattle(battleResult);
+            return this._createHeldItemResult(monster, item, { kind: 'cure', status: status }, `${monster.name}'s ${item.name} cured its ${statusName}!`);
+        }
 
-                    result = {
-                        success: true,
-                        type: 'catch',
-                        caught: true,
-                        monster: this._battleState.activeEnemyMonster.name,
-                        battleEnded: true,
-                        battleResult: battleResult,
-                        message: `Caught ${this._battleState.activeEnemyMonster.name}!`
-                    };
-                } else {
-                    // Failed to catch, monster breaks free
-                    result = {
-                        success: true,
-                        type: 'catch',
-                        caught: false,
-                        monster: this._battleState.activeEnemyMonster.name,
-                        message: `${this._battleState.activeEnemyMonster.name} broke free!`
-                    };
-                }
-                break;
+        if ((effect.heal || effect.healPercent) && hurt && belowThreshold) {
+            const amount = effect.heal || Math.max(1, Math.floor(monster.stats.hp * effect.healPercent / 100));
+            const healResult = this._monsterSystem.healMonster(monster, amount);
+            const message = effect.consumable
+                ? `${monster.name} restored its health using its ${item.name}!`
+                : `${monster.name} restored a little HP using its ${item.name}!`;
 
-            default:
-                result = { success: false, message: 'Item cannot be used in battle' };
+            return this._createHeldItemResult(monster, item, { kind: 'heal', amount: healResult.healAmount }, message);
         }
 
-        // Log item use
-        if (this._debug) {
-            console.log(`BattleSystem: Used item ${item.name}`, result);
-        }
+        return null;
+    }
 
-        // Emit item use event
-        if (this._events) {
-            this._events.emit(EVENTS.ITEM_USED, item, target, result);
+    /**
+     * Create a held item effect result, using up consumable items
+     * @param {Object} monster - Holder
+     * @param {Object} item - Held item data
+     * @param {Object} data - Effect data (kind and its details)
+     * @param {string} message - Battle message
+     * @returns {Object} Held item effect result
+     * @private
+     */
+    _createHeldItemResult(monster, item, data, message) {
+        const consumed = !!item.effect.consumable;
+
+        if (consumed) {
+            monster.heldItem = null;
         }
 
-        return result;
+        return Object.assign({
+            type: 'held-item',
+            target: monster.name,
+            item: item.id,
+            consumed: consumed,
+            message: message
+        }, data);
     }
 
     /**
-     * Switch active monster
-     * @param {string} team - Team to switch ('player' or 'enemy')
-     * @param {number} index - Index of monster to switch to
-     * @returns {Object} Switch result
+     * Hook handler for passive traits
+     * Each of the monster's traits reacts at the hooks listed in its `triggers`
+     * @param {string} hook - Hook name (see BATTLE_HOOKS)
+     * @param {Object} context - Hook context
+     * @returns {Array} Trait effect results
      * @private
      */
-    _switchMonster(team, index) {
-        const teamArray = team === 'player' ? this._battleState.playerTeam : this._battleState.enemyTeam;
+    _applyTraits(hook, context) {
+        const monster = context.monster;
+        const results = [];
 
-        // Check if index is valid
-        if (index < 0 || index >= teamArray.length) {
-            return { success: false, message: 'Invalid monster index' };
+        if (!monster || monster.currentHp <= 0) {
+            return results;
         }
 
-        // Check if monster is already active
-        const currentActive = team === 'player' ? this._battleState.activePlayerMonster : this._battleState.activeEnemyMonster;
+        this._monsterSystem.getTraits(monster).forEach(trait => {
+            if ((trait.triggers || []).includes(hook)) {
+                results.push(...[].concat(this._applyTrait(trait, hook, context) || []));
+            }
+        });
 
-        if (currentActive === teamArray[index]) {
-            return { success: false, message: 'Monster is already active' };
-        }
+        return results;
+    }
 
-        // Check if monster has fainted
-        if (teamArray[index].currentHp <= 0) {
-            return { success: false, message: 'Cannot switch to fainted monster' };
+    /**
+     * Apply a single trait at a hook
+     * @param {Object} trait - Trait data
+     * @param {string} hook - Hook name (see BATTLE_HOOKS)
+     * @param {Object} context - Hook context
+     * @returns {Object|Array|null} Trait effect result(s)
+     * @private
+     */
+    _applyTrait(trait, hook, context) {
+        const monster = context.monster;
+
+        switch (hook) {
+            case BATTLE_HOOKS.ON_SWITCH:
+                return this._applyEntryTrait(trait, monster);
+
+            case BATTLE_HOOKS.MODIFY_DAMAGE:
+                return this._applyDamageTrait(trait, context);
+
+            case BATTLE_HOOKS.BEFORE_STATUS:
+                // Status immunities
+                if ((trait.effect.statusImmunity || []).includes(context.status)) {
+                    context.prevented = true;
+
+                    return this._createTraitResult(monster, trait, `It doesn't affect ${monster.name}...`);
+                }
+                return null;
         }
 
-        // Switch monster
-        if (team === 'player') {
-            const previousMonster = this._battleState.activePlayerMonster;
-            this._battleState.activePlayerMonster = teamArray[index];
+        return null;
+    }
 
-            // Log switch
-            if (this._debug) {
-                console.log(`BattleSystem: Player switched from ${previousMonster.name} to ${teamArray[index].name}`);
+    /**
+     * Apply a trait as its monster comes in
+     * Weather setters start their weather, stat traits change the stat stages of every standing opponent
+     * @param {Object} trait - Trait data
+     * @param {Object} monster - Monster coming in
+     * @returns {Array|null} Trait result followed by the weather or stat results, or null if nothing changed
+     * @private
+     */
+    _applyEntryTrait(trait, monster) {
+        const effect = trait.effect;
+
+        // Weather from a trait works like weather from an ability
+        if (effect.weather) {
+            if (this._battleState.weather === effect.weather) {
+                return null;
             }
 
-            return {
-                success: true,
-                team: 'player',
-                previous: previousMonster.name,
-                current: teamArray[index].name,
-                message: `Go, ${teamArray[index].name}!`
-            };
-        } else {
-            const previousMonster = this._battleState.activeEnemyMonster;
-            this._battleState.activeEnemyMonster = teamArray[index];
+            const fieldResult = this._applyFieldEffect({ weather: effect.weather, duration: effect.duration });
 
-            // Log switch
-            if (this._debug) {
-                console.log(`BattleSystem: Enemy switched from ${previousMonster.name} to ${teamArray[index].name}`);
+            return fieldResult ? [this._createTraitResult(monster, trait, null), fieldResult] : null;
+        }
+
+        if (effect.stat) {
+            const opposingSide = this._getSide(monster) === 'player' ? 'enemy' : 'player';
+            const opponents = this._getStandingMonsters(opposingSide);
+
+            if (opponents.length === 0) {
+                return null;
             }
 
-            return {
-                success: true,
-                team: 'enemy',
-                previous: previousMonster.name,
-                current: teamArray[index].name,
-                message: `Enemy sent out ${teamArray[index].name}!`
-            };
+            return [this._createTraitResult(monster, trait, null)].concat(opponents.map(opponent => {
+                return this._applyStatChange(monster, opponent, effect.stat, effect.stages);
+            }));
         }
+
+        return null;
     }
 
     /**
-     * Attempt to run from battle
-     * @returns {Object} Run attempt result
+     * Change the damage of a hit with a trait
+     * Pinch traits boost the monster's damage at low HP, absorbing traits turn a hit of their type into healing
+     * @param {Object} trait - Trait data
+     * @param {Object} context - Modify-damage hook context ({ monster, user, target, ability, damage, typeEffectiveness })
+     * @returns {Object|null} Trait effect result
      * @private
      */
-    _attemptRun() {
-        // Can only run from wild battles
-        if (this._battleState.battleType !== 'wild') {
-            return { success: false, message: "Can't run from a trainer battle!" };
+    _applyDamageTrait(trait, context) {
+        const effect = trait.effect;
+        const monster = context.monster;
+
+        if (monster === context.user) {
+            if (!this._isBoosted(effect, context.ability) || !this._isBelowHp(monster, effect.hpBelow)) {
+                return null;
+            }
+
+            context.damage = Math.floor(context.damage * (effect.multiplier || 1));
+
+            return this._createTraitResult(monster, trait, null);
         }
 
-        // Calculate escape chance
-        // Formula: (Player Speed * 128 / Enemy Speed) + 30 * Attempts
-        const playerSpeed = this._battleState.activePlayerMonster.stats.speed;
-        const enemySpeed = this._battleState.activeEnemyMonster.stats.speed;
+        if (!effect.absorbType || effect.absorbType !== context.ability.type) {
+            return null;
+        }
 
-        // Track run attempts
-        this._battleState.runAttempts = (this._battleState.runAttempts || 0) + 1;
+        // The hit deals no damage and has no other effect
+        context.damage = 0;
+        context.typeEffectiveness = 1;
+        context.absorbed = true;
 
-        const escapeChance = Math.floor((playerSpeed * 128 / enemySpeed) + 30 * this._battleState.runAttempts);
+        const healAmount = this._monsterSystem.healMonster(monster, Math.floor(monster.stats.hp * (effect.healPercent || 0) / 100)).healAmount;
+        const message = healAmount > 0 ? `${monster.name}'s HP was restored.` : `It doesn't affect ${monster.name}...`;
 
-        // Random number from 0-255
-        const randomValue = Math.floor(Math.random() * 256);
+        return this._createTraitResult(monster, trait, message, { amount: healAmount });
+    }
 
-        // Success if random value is less than escape chance
-        const success = randomValue < escapeChance;
+    /**
+     * Create a trait effect result
+     * Carries the monster's side and slot, so the battle scene can show the trait's banner next to it
+     * @param {Object} monster - Monster with the trait
+     * @param {Object} trait - Trait data
+     * @param {string|null} message - Battle message (null = only the banner)
+     * @param {Object} data - Extra effect data
+     * @returns {Object} Trait effect result
+     * @private
+     */
+    _createTraitResult(monster, trait, message, data = {}) {
+        return Object.assign({
+            type: 'trait',
+            target: monster.name,
+            side: this._getSide(monster),
+            slot: this._getSlot(monster),
+            trait: trait.name,
+            message: message
+        }, data);
+    }
 
-        if (success) {
-            // End battle with escape result
-            const battleResult = { escaped: true };
-            this.endBattle(battleResult);
+    /**
+     * Check whether an item's or trait's damage boost applies to an ability
+     * Set damage (fixed, level-based, one-hit KO) is never boosted
+     * @param {Object} effect - Effect data (boostType and/or boostCategory)
+     * @param {Object} ability - Ability data
+     * @returns {boolean} True if the ability's damage is boosted
+     * @private
+     */
+    _isBoosted(effect, ability) {
+        const matches = (effect.boostType && effect.boostType === ability.type) ||
+            (effect.boostCategory && effect.boostCategory === ability.category);
 
-            return {
-                success: true,
-                escaped: true,
-                battleEnded: true,
-                battleResult: battleResult,
-                message: 'Got away safely!'
-            };
-        } else {
-            return {
-                success: true,
-                escaped: false,
-                message: "Couldn't escape!"
-            };
+        return !!matches && !this._getDamageEffect(ability, ['fixed', 'level', 'ohko']);
+    }
+
+    /**
+     * Check whether a monster's HP is at or below a share of its max HP
+     * @param {Object} monster - Monster
+     * @param {number} percent - Share of max HP in percent (undefined = no threshold)
+     * @returns {boolean} True if the HP is at or below the threshold, or there is none
+     * @private
+     */
+    _isBelowHp(monster, percent) {
+        return percent === undefined || monster.currentHp * 100 <= monster.stats.hp * percent;
+    }
+
+    /**
+     * Apply end-of-turn damage from a condition
+     * @param {Object} monster - Monster taking damage
+     * @param {string} condition - Condition causing the damage
+     * @param {number} amount - Damage before rounding (at least 1)
+     * @param {string} message - Battle message
+     * @param {boolean} handleFaint - Whether to handle fainting (default true)
+     * @returns {Object} Residual result
+     * @private
+     */
+    _applyResidualDamage(monster, condition, amount, message, handleFaint = true) {
+        const side = this._getSide(monster);
+        const damageResult = this._monsterSystem.applyDamage(monster, Math.max(1, Math.floor(amount)));
+
+        const result = {
+            success: true,
+            side: side,
+            actionType: 'residual',
+            condition: condition,
+            target: monster.name,
+            damage: damageResult.damage,
+            damageResult: damageResult,
+            battleEnded: false,
+            battleResult: null,
+            message: message
+        };
+
+        if (handleFaint && damageResult.fainted) {
+            Object.assign(result, this._handleFaint(monster, this._getActiveMonster(side === 'player' ? 'enemy' : 'player')));
         }
+
+        return result;
     }
 
     /**
-     * Execute enemy action
-     * @returns {Object} Enemy action result
+     * Apply end-of-turn weather effects
+     * Counts down temporary weather and applies hail damage
+     * @param {Object} turnResult - Turn result to add the weather results to
      * @private
      */
-    _executeEnemyAction() {
-        // Skip if no active enemy monster
-        if (!this._battleState.activeEnemyMonster) {
-            return { success: false, message: 'No active enemy monster' };
+    _applyWeatherEffects(turnResult) {
+        // Skip if no weather
+        if (!this._battleState.weather) {
+            return;
         }
 
-        // Get active enemy monster
-        const enemyMonster = this._battleState.activeEnemyMonster;
+        const weatherType = this._battleState.weather;
+        const weather = this._weatherEffects[weatherType];
+
+        // Count down temporary weather
+        if (this._battleState.weatherTurns !== null) {
+            this._battleState.weatherTurns--;
 
-        // Get available abilities
-        const abilities = enemyMonster.abilities || [];
+            if (this._battleState.weatherTurns <= 0) {
+                this._battleState.weather = null;
+                this._battleState.weatherTurns = null;
 
-        if (abilities.length === 0) {
-            return { success: false, message: 'Enemy has no abilities' };
+                this._addTurnResult(turnResult, {
+                    success: true,
+                    actionType: 'weather',
+                    weather: weatherType,
+                    ended: true,
+                    message: weather.endMessage
+                });
+                return;
+            }
         }
 
-        // Simple AI: Choose random ability
-        const randomAbilityId = abilities[Math.floor(Math.random() * abilities.length)];
+        this._addTurnResult(turnResult, {
+            success: true,
+            actionType: 'weather',
+            weather: weatherType,
+            ended: false,
+            message: weather.continueMessage
+        });
+
+        // Hail: Non-Ice types take damage
+        if (weather.chipDamage) {
+            const activeMonsters = this._battleState.activeMonsters.player.concat(this._battleState.activeMonsters.enemy);
+
+            activeMonsters.forEach(monster => {
+                if (!this._battleState.active || monster.currentHp <= 0 || this._monsterSystem.getTypes(monster).some(type => weather.immuneTypes.includes(type))) {
+                    return;
+                }
 
-        // Execute ability
-        return this._executeAbility(enemyMonster, this._battleState.activePlayerMonster, randomAbilityId);
+                this._addTurnResult(turnResult, this._applyResidualDamage(monster, weatherType, monster.stats.hp * weather.chipDamage, `${monster.name} is buffeted by the hail!`));
+            });
+        }
     }
 
     /**
-     * Get next available monster
-     * @param {string} team - Team to check ('player' or 'enemy')
-     * @returns {Object|null} Next monster or null if none available
+     * Count down the side conditions that last a number of turns
+     * @param {Object} turnResult - Turn result to add the results of conditions that wore off to
      * @private
      */
-    _getNextMonster(team) {
-        const teamArray = team === 'player' ? this._battleState.playerTeam : this._battleState.enemyTeam;
-        const currentActive = team === 'player' ? this._battleState.activePlayerMonster : this._battleState.activeEnemyMonster;
+    _applySideConditionTurns(turnResult) {
+        ['player', 'enemy'].forEach(side => {
+            const field = this._battleState.field[side];
 
-        // Find first non-fainted monster that isn't current
-        for (const monster of teamArray) {
-            if (monster !== currentActive && monster.currentHp > 0) {
-                return monster;
-            }
-        }
+            Object.keys(field).forEach(condition => {
+                if (field[condition].turns === null) {
+                    return;
+                }
 
-        return null;
+                field[condition].turns--;
+
+                if (field[condition].turns <= 0) {
+                    delete field[condition];
+
+                    this._addTurnResult(turnResult, {
+                        success: true,
+                        side: side,
+                        actionType: 'field',
+                        condition: condition,
+                        ended: true,
+                        message: this._formatSideMessage(this._sideConditions[condition].endMessage, side)
+                    });
+                }
+            });
+        });
     }
 
     /**
-     * Start a new turn
+     * Get the definitions of the side conditions on one side
+     * @param {string} side - Side ('player' or 'enemy')
+     * @returns {Array} Side condition definitions
      * @private
      */
-    _startNewTurn() {
-        this._battleState.turn++;
+    _getSideConditions(side) {
+        return Object.keys(this._battleState.field[side]).map(condition => this._sideConditions[condition]);
+    }
+
+    /**
+     * Hook handler for side conditions
+     * Entry hazards hurt or poison monsters coming in, screens weaken hits against their side
+     * @param {string} hook - Hook name (see BATTLE_HOOKS)
+     * @param {Object} context - Hook context
+     * @returns {Array|null} Side condition effect results
+     * @private
+     */
+    _applySideConditions(hook, context) {
+        const monster = context.monster;
 
-        // Apply status effects
-        this._applyStatusEffects();
+        if (!monster || monster.currentHp <= 0) {
+            return null;
+        }
 
-        // Apply weather effects
-        this._applyWeatherEffects();
+        switch (hook) {
+            case BATTLE_HOOKS.ON_SWITCH:
+                return this._applyEntryHazards(monster);
 
-        if (this._debug) {
-            console.log(`BattleSystem: Turn ${this._battleState.turn} started`);
+            case BATTLE_HOOKS.MODIFY_DAMAGE:
+                if (monster === context.target) {
+                    this._applyScreens(context);
+                }
+                return null;
         }
+
+        return null;
     }
 
     /**
-     * Apply status effects
+     * Apply the entry hazards on a monster's side as it comes in
+     * @param {Object} monster - Monster coming in
+     * @returns {Array} Hazard results (damage, status or cleared hazards)
      * @private
      */
-    _applyStatusEffects() {
-        // Apply status effects to active monsters
-        const activeMonsters = [
-            this._battleState.activePlayerMonster,
-            this._battleState.activeEnemyMonster
-        ];
+    _applyEntryHazards(monster) {
+        const side = this._getSide(monster);
+        const field = this._battleState.field[side];
+        const types = this._monsterSystem.getTypes(monster);
+        const results = [];
+
+        Object.keys(field).forEach(condition => {
+            const definition = this._sideConditions[condition];
+            const layers = field[condition].layers;
+
+            if (monster.currentHp <= 0 || types.some(type => (definition.immuneTypes || []).includes(type))) {
+                return;
+            }
 
-        activeMonsters.forEach(monster => {
-            if (monster && monster.status) {
-                switch (monster.status) {
-                    case 'burn':
-                        // Burn: Lose 1/8 of max HP
-                        const burnDamage = Math.max(1, Math.floor(monster.stats.hp / 8));
-                        this._monsterSystem.applyDamage(monster, burnDamage);
-                        break;
+            // Absorbing types clear the hazard instead
+            if (types.some(type => (definition.absorbTypes || []).includes(type))) {
+                delete field[condition];
+
+                results.push({
+                    type: 'side-condition',
+                    condition: condition,
+                    side: side,
+                    target: monster.name,
+                    ended: true,
+                    message: this._formatSideMessage(definition.endMessage, side)
+                });
+                return;
+            }
+
+            if (definition.entryDamage) {
+                const damageResult = this._monsterSystem.applyDamage(monster, Math.max(1, Math.floor(monster.stats.hp * definition.entryDamage[layers - 1])));
+
+                results.push({
+                    type: 'side-condition',
+                    condition: condition,
+                    side: side,
+                    target: monster.name,
+                    damage: damageResult.damage,
+                    fainted: damageResult.fainted,
+                    message: definition.entryMessage.replace('{monster}', monster.name)
+                });
+            }
 
-                    case 'poison':
-                        // Poison: Lose 1/8 of max HP
-                        const poisonDamage = Math.max(1, Math.floor(monster.stats.hp / 8));
-                        this._monsterSystem.applyDamage(monster, poisonDamage);
-                        break;
+            // The status is applied like a secondary effect, so it fails silently
+            if (definition.entryStatus) {
+                const statusResult = this._applyStatusEffect({ status: definition.entryStatus[layers - 1] }, { category: null }, null, monster);
+
+                if (statusResult) {
+                    results.push(...[].concat(statusResult));
                 }
             }
         });
+
+        return results;
     }
 
     /**
-     * Apply weather effects
+     * Weaken a hit with the screens on the target's side
+     * Critical hits and set damage (fixed, level-based, one-hit KO) go through screens
+     * @param {Object} context - Modify-damage hook context ({ target, ability, damage, critical })
      * @private
      */
-    _applyWeatherEffects() {
-        // Skip if no weather
-        if (!this._battleState.weather) {
+    _applyScreens(context) {
+        if (context.critical || this._getDamageEffect(context.ability, ['fixed', 'level', 'ohko'])) {
             return;
         }
 
-        // Apply weather effects
-        switch (this._battleState.weather) {
-            case 'rain':
-                // Rain: Water moves boosted, Fire moves weakened
-                break;
+        this._getSideConditions(this._getSide(context.target)).forEach(condition => {
+            if (condition.screenCategory && condition.screenCategory === context.ability.category) {
+                context.damage = Math.max(1, Math.floor(context.damage * condition.damageMultiplier));
+            }
+        });
+    }
 
-            case 'sun':
-                // Sun: Fire moves boosted, Water moves weakened
-                break;
+    /**
+     * Fill in a side condition message
+     * @param {string} template - Message with `{team}` for the side's name
+     * @param {string} side - Side ('player' or 'enemy')
+     * @returns {string} Battle message
+     * @private
+     */
+    _formatSideMessage(template, side) {
+        const message = template.replace('{team}', side === 'player' ? 'your team' : 'the opposing team');
 
-            case 'hail':
-                // Hail: Non-Ice types take damage
-                break;
-        }
+        return message.charAt(0).toUpperCase() + message.slice(1);
     }
 
     /**
      * Calculate type effectiveness
+     * Multiplies the type chart entries for each defending type
      * @param {string} attackType - Type of attack
-     * @param {string} defenderType - Type of defender
+     * @param {string[]} defenderTypes - Types of defender
      * @returns {number} Type effectiveness multiplier
      * @private
      */
-    _calculateTypeEffectiveness(attackType, defenderType) {
-        // Get effectiveness from type chart
-        if (this._typeChart[attackType] && this._typeChart[attackType][defenderType] !== undefined) {
-            return this._typeChart[attackType][defenderType];
-        }
+    _calculateTypeEffectiveness(attackType, defenderTypes) {
+        return this._monsterSystem.getTypeEffectiveness(attackType, defenderTypes);
+    }
+
+    /**
+     * Get the built-in Struggle ability
+     * @returns {Object} Struggle ability data
+     */
+    getStruggleAbility() {
+        return this._struggleAbility;
+    }
 
-        // Default to neutral effectiveness
-        return 1;
+    /**
+     * Get the enemy AI
+     * @returns {BattleAI} Battle AI instance
+     */
+    getAI() {
+        return this._ai;
     }
 
     /**
@@ -10,6 +10,7 @@ class GridMovement {
      * @param {Object} config - Configuration options
      * @param {number} config.tileSize - Size of tiles in pixels
      * @param {Object} config.collisionMap - Map of collision tiles
+     * @param {SeededRandom} config.random - Random number generator (default: the game's shared generator)
      */
     constructor(scene, config = {}) {
         /**
@@ -26,6 +27,13 @@ class GridMovement {
          */
         this._events = scene.game.registry.get('eventSystem');
 
+        /**
+         * Random number generator for encounter rolls
+         * @type {SeededRandom}
+         * @private
+         */
+        this._random = config.random || scene.game.registry.get('random') || new SeededRandom();
+
         /**
          * Size of tiles in pixels
          * @type {number}
@@ -48,6 +56,14 @@ class GridMovement {
          */
         this._entityMap = {};
 
+        /**
+         * Tiles held by moving entities until their walk is done
+         * Key is "x,y" string, value is the entity holding the tile
+         * @type {Object}
+         * @private
+         */
+        this._reservations = {};
+
         /**
          * Current map data
          * @type {Object}
@@ -78,11 +94,14 @@ class GridMovement {
 
     /**
      * Set the current map data
+     * Entities and tile reservations on the previous map are removed from the grid
      * @param {Object} mapData - Map data object
      */
     setMap(mapData) {
         this._currentMap = mapData;
         this._collisionMap = {};
+        this._entityMap = {};
+        this._reservations = {};
 
         // Set up collision map based on map data
         if (mapData && mapData.tilemap && mapData.tilemap.grid) {
@@ -184,33 +203,281 @@ class GridMovement {
         this.addEntity(entity);
     }
 
+    /**
+     * Check if an entity blocks other entities
+     * Entities are solid unless they say otherwise (`solid: false`, e.g. ghosts), except items to pick up
+     * @param {Object} entity - Entity object
+     * @returns {boolean} - True if the entity is solid
+     */
+    isSolid(entity) {
+        if (entity.solid !== undefined) {
+            return !!entity.solid;
+        }
+
+        return entity.type !== ENTITY_TYPES.ITEM;
+    }
+
+    /**
+     * Check if a position is taken by a solid entity or held by a moving one
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} entity - Entity that wants to move there (ignored itself, passes through everything if not solid)
+     * @returns {boolean} - True if position is blocked
+     */
+    isOccupied(x, y, entity = null) {
+        if (entity && !this.isSolid(entity)) {
+            return false;
+        }
+
+        const key = `${x},${y}`;
+
+        if (this._reservations[key] && this._reservations[key] !== entity) {
+            return true;
+        }
+
+        const entities = this._entityMap[key];
+
+        if (!entities) {
+            return false;
+        }
+
+        return (Array.isArray(entities) ? entities : [entities]).some(other => other !== entity && this.isSolid(other));
+    }
+
+    /**
+     * Check if a position blocks the view, e.g. of a trainer looking for the player
+     * Only collision tiles and solid entities block it: water, ledges and ice are seen across
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {boolean} - True if nothing can be seen through the position
+     */
+    blocksSight(x, y) {
+        if (this._hasCollision(x, y)) {
+            return true;
+        }
+
+        const entities = this._entityMap[`${x},${y}`];
+
+        if (!entities) {
+            return false;
+        }
+
+        return (Array.isArray(entities) ? entities : [entities]).some(other => this.isSolid(other));
+    }
+
     /**
      * Check if a move is valid
      * @param {number} x - Starting X position
      * @param {number} y - Starting Y position
      * @param {Object} direction - Direction to move (from DIRECTIONS)
+     * @param {Object} entity - Entity that moves (optional, see isOccupied)
      * @returns {boolean} - True if move is valid, false otherwise
      */
-    canMove(x, y, direction) {
-        const newX = x + direction.x;
-        const newY = y + direction.y;
+    canMove(x, y, direction, entity = null) {
+        return this.getDestination(x, y, direction, entity) !== null;
+    }
+
+    /**
+     * Get where a move ends, following the traversal rules of the tiles (see TILE_RULES)
+     * Ledges are hopped over to the tile behind them, and ice is slid over until something is in the way
+     * @param {number} x - Starting X position
+     * @param {number} y - Starting Y position
+     * @param {Object} direction - Direction to move (from DIRECTIONS)
+     * @param {Object} entity - Entity that moves (optional, see isOccupied and isWalkable)
+     * @returns {Object|null} - Destination ({ x, y, hop, tiles } with the tiles passed on the way) or null if the
+     * move is blocked
+     */
+    getDestination(x, y, direction, entity = null) {
+        let newX = x + direction.x;
+        let newY = y + direction.y;
+        let hop = false;
+
+        // Ledges can only be hopped over one way
+        const ledge = this.getTileRules(newX, newY).ledge;
 
+        if (ledge) {
+            if (ledge.x !== direction.x || ledge.y !== direction.y) {
+                return null;
+            }
+
+            newX += direction.x;
+            newY += direction.y;
+            hop = true;
+        }
+
+        // Check map boundaries, collision with map and other entities
+        if (!this.isWalkable(newX, newY, entity) || this.isOccupied(newX, newY, entity)) {
+            return null;
+        }
+
+        const tiles = [{ x: newX, y: newY }];
+
+        // Keep sliding over ice until the next tile can't be entered
+        while (this.getTileRules(newX, newY).slide &&
+            this.isWalkable(newX + direction.x, newY + direction.y, entity) &&
+            !this.isOccupied(newX + direction.x, newY + direction.y, entity)) {
+            newX += direction.x;
+            newY += direction.y;
+            tiles.push({ x: newX, y: newY });
+        }
+
+        return { x: newX, y: newY, hop: hop, tiles: tiles };
+    }
+
+    /**
+     * Check if a position is on the map and can be entered by its tile (entities aside)
+     * Tiles in the map's collisions list are blocked; other tiles with traversal rules follow them: tiles that need
+     * an ability (e.g. surf) are open to entities with a monster that knows it (`fieldAbilities`), and ledges are
+     * never stood on
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} entity - Entity that wants to enter (optional)
+     * @returns {boolean} - True if position can be walked on
+     */
+    isWalkable(x, y, entity = null) {
         // Check map boundaries
         if (this._currentMap) {
-            if (newX < 0 || newX >= this._currentMap.width ||
-                newY < 0 || newY >= this._currentMap.height) {
+            if (x < 0 || x >= this._currentMap.width ||
+                y < 0 || y >= this._currentMap.height) {
                 return false;
             }
         }
 
         // Check collision with map
-        if (this._hasCollision(newX, newY)) {
+        if (this._hasCollision(x, y)) {
+            return false;
+        }
+
+        const rules = this.getTileRules(x, y);
+
+        if (rules.ledge) {
             return false;
         }
 
+        if (rules.requires) {
+            return !!entity && (entity.fieldAbilities || []).includes(rules.requires);
+        }
+
         return true;
     }
 
+    /**
+     * Get the traversal rules of the tile at a position
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {Object} - Tile rules from TILE_RULES, loaded from data/tiles (empty for tiles without rules)
+     */
+    getTileRules(x, y) {
+        return TILE_RULES[this.getTileAt(x, y)] || {};
+    }
+
+    /**
+     * Find the cheapest path between two positions (A* search)
+     * @param {Object} from - Start position ({ x, y })
+     * @param {Object} to - Goal position ({ x, y })
+     * @param {Object} options - Search options
+     * @param {Object} options.entity - Entity that walks the path (other solid entities are in the way, see isOccupied)
+     * @param {boolean} options.ignoreEntities - Only go around collision tiles (default false)
+     * @param {boolean} options.adjacent - End next to the goal instead of on it, e.g. to walk up to an NPC (default false)
+     * @param {Object} options.costs - Movement cost by tile type, over the map's tilemap.costs (default 1 per tile)
+     * @param {number} options.maxNodes - Most positions to search before giving up (default GAME_CONFIG.PATH_SEARCH_LIMIT)
+     * @returns {Object[]|null} - Steps of the path ({ x, y, direction }) without the start, or null if there is no path
+     * within the search budget
+     */
+    findPath(from, to, options = {}) {
+        const entity = options.entity || null;
+        const maxNodes = options.maxNodes || GAME_CONFIG.PATH_SEARCH_LIMIT;
+        const directions = [DIRECTIONS.UP, DIRECTIONS.DOWN, DIRECTIONS.LEFT, DIRECTIONS.RIGHT];
+        const costs = Object.assign({}, this._currentMap && this._currentMap.tilemap && this._currentMap.tilemap.costs, options.costs);
+
+        // The distance times the lowest tile cost never overestimates, which keeps the path the cheapest
+        const minCost = Math.min(1, ...Object.values(costs));
+        const estimate = (x, y) => (Math.abs(to.x - x) + Math.abs(to.y - y)) * minCost;
+        const isGoal = (x, y) => options.adjacent ?
+            Math.abs(to.x - x) + Math.abs(to.y - y) === 1 :
+            x === to.x && y === to.y;
+
+        const start = { x: from.x, y: from.y, cost: 0, score: estimate(from.x, from.y), parent: null, direction: null };
+        const open = [start];
+        const nodes = { [`${from.x},${from.y}`]: start };
+        const closed = {};
+        let searched = 0;
+
+        while (open.length > 0 && searched < maxNodes) {
+            // Expand the open position with the lowest estimated total cost
+            let bestIndex = 0;
+
+            for (let index = 1; index < open.length; index++) {
+                if (open[index].score < open[bestIndex].score) {
+                    bestIndex = index;
+                }
+            }
+
+            const node = open.splice(bestIndex, 1)[0];
+            const key = `${node.x},${node.y}`;
+
+            if (isGoal(node.x, node.y)) {
+                return this._buildPath(node);
+            }
+
+            closed[key] = true;
+            searched++;
+
+            directions.forEach(direction => {
+                const x = node.x + direction.x;
+                const y = node.y + direction.y;
+                const nextKey = `${x},${y}`;
+
+                // Paths go around ledges and ice, where a step doesn't end on the next tile
+                if (closed[nextKey] || !this.isWalkable(x, y, entity) || this.getTileRules(x, y).slide ||
+                    (!options.ignoreEntities && this.isOccupied(x, y, entity))) {
+                    return;
+                }
+
+                const tileCost = costs[this.getTileAt(x, y)];
+                const cost = node.cost + (tileCost !== undefined ? tileCost : 1);
+                const existing = nodes[nextKey];
+
+                if (existing && existing.cost <= cost) {
+                    return;
+                }
+
+                const next = existing || { x: x, y: y };
+                next.cost = cost;
+                next.score = cost + estimate(x, y);
+                next.parent = node;
+                next.direction = direction;
+
+                if (!existing) {
+                    nodes[nextKey] = next;
+                    open.push(next);
+                }
+            });
+        }
+
+        if (this._debug && searched >= maxNodes) {
+            console.log(`GridMovement: No path to ${to.x},${to.y} within ${maxNodes} positions`);
+        }
+
+        return null;
+    }
+
+    /**
+     * Walk back from the goal of a path search to build the path
+     * @param {Object} node - Goal node of the search
+     * @returns {Object[]} - Steps of the path ({ x, y, direction }) without the start
+     * @private
+     */
+    _buildPath(node) {
+        const path = [];
+
+        for (let step = node; step.parent; step = step.parent) {
+            path.unshift({ x: step.x, y: step.y, direction: step.direction });
+        }
+
+        return path;
+    }
+
     /**
      * Move an entity in a direction
      * @param {Object} entity - Entity object with x, y properties
@@ -225,19 +492,39 @@ class GridMovement {
         const { x, y } = entity;
 
         // Check if move is valid
-        if (!this.canMove(x, y, direction)) {
+        const destination = this.getDestination(x, y, direction, entity);
+
+        if (!destination) {
             return false;
         }
 
-        const newX = x + direction.x;
-        const newY = y + direction.y;
+        const newX = destination.x;
+        const newY = destination.y;
 
         // Update entity position on the grid
         this.updateEntityPosition(entity, newX, newY);
 
-        // Move entity sprite to new position
+        // Move entity sprite to new position, holding the tiles on the way (and the tile it leaves) until it arrives
         if (entity.sprite) {
-            this._animateMove(entity, newX, newY);
+            const tiles = destination.tiles.map(tile => `${tile.x},${tile.y}`).concat(`${x},${y}`);
+
+            if (this.isSolid(entity)) {
+                tiles.forEach(key => {
+                    this._reservations[key] = entity;
+                });
+            }
+
+            entity.moving = true;
+
+            this._animateMove(entity, newX, newY, () => {
+                entity.moving = false;
+
+                tiles.forEach(key => {
+                    if (this._reservations[key] === entity) {
+                        delete this._reservations[key];
+                    }
+                });
+            }, destination);
         }
 
         // Trigger move event
@@ -253,9 +540,11 @@ class GridMovement {
      * @param {Object} entity - Entity object
      * @param {number} newX - New X position
      * @param {number} newY - New Y position
+     * @param {function} onComplete - Callback when the entity has arrived
+     * @param {Object} destination - Destination from getDestination (hops arc over a ledge, slides take longer)
      * @private
      */
-    _animateMove(entity, newX, newY) {
+    _animateMove(entity, newX, newY, onComplete = null, destination = null) {
         // Calculate pixel position
         const pixelX = newX * this._tileSize + this._tileSize / 2;
         const pixelY = newY * this._tileSize + this._tileSize / 2;
@@ -264,6 +553,31 @@ class GridMovement {
         const target = entity.sprite;
 
         if (!target) {
+            if (onComplete) {
+                onComplete();
+            }
+
+            return;
+        }
+
+        // Hop over a ledge in an arc
+        if (destination && destination.hop) {
+            const startX = target.x;
+            const startY = target.y;
+
+            this._scene.tweens.addCounter({
+                from: 0,
+                to: 1,
+                duration: 300,
+                onUpdate: tween => {
+                    const progress = tween.getValue();
+
+                    target.x = startX + (pixelX - startX) * progress;
+                    target.y = startY + (pixelY - startY) * progress - Math.sin(progress * Math.PI) * this._tileSize / 2;
+                },
+                onComplete: onComplete
+            });
+
             return;
         }
 
@@ -272,8 +586,9 @@ class GridMovement {
             targets: target,
             x: pixelX,
             y: pixelY,
-            duration: 200,
-            ease: 'Linear'
+            duration: 200 * (destination ? destination.tiles.length : 1),
+            ease: 'Linear',
+            onComplete: onComplete
         });
     }
 
@@ -388,7 +703,7 @@ class GridMovement {
     isEncounterZone(x, y) {
         const tileType = this.getTileAt(x, y);
 
-        if (!tileType) {
+        if (tileType === null) {
             return false;
         }
 
@@ -402,16 +717,70 @@ class GridMovement {
     }
 
     /**
-     * Check for random encounter
-     * @returns {boolean} - True if encounter triggered
+     * Get the way wild monsters are met on a position (e.g. grass or water)
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {string|null} - Encounter method (from ENCOUNTER_METHODS) or null if the position is no encounter zone
      */
-    checkEncounter() {
-        // Skip if not in encounter zone
-        if (!this._currentMap || !this._currentMap.encounters) {
-            return false;
+    getEncounterMethod(x, y) {
+        if (!this.isEncounterZone(x, y)) {
+            return null;
+        }
+
+        const tileType = this.getTileAt(x, y);
+        const tileMethods = (this._currentMap.encounters && this._currentMap.encounters.tiles) || {};
+
+        return tileMethods[tileType] || ENCOUNTER_TILE_METHODS[tileType] || ENCOUNTER_METHODS.GRASS;
+    }
+
+    /**
+     * Get the current map's encounter table for an encounter method
+     * Methods without their own table use the map's main table, except fishing
+     * @param {string} method - Encounter method (from ENCOUNTER_METHODS)
+     * @param {string} timeOfDay - Time of day (from TIMES_OF_DAY), leaves out monsters that only appear at other times
+     * @returns {Object|null} - Encounter table ({ method, rate, doubleRate, monsters }) or null if the map has none for the method
+     */
+    getEncounterTable(method, timeOfDay = null) {
+        const encounters = this._currentMap && this._currentMap.encounters;
+
+        if (!encounters) {
+            return null;
+        }
+
+        const tables = encounters.tables || {};
+        const table = tables[method] || (method === ENCOUNTER_METHODS.FISHING ? null : encounters);
+
+        if (!table) {
+            return null;
+        }
+
+        return {
+            method: method,
+            rate: table.rate !== undefined ? table.rate : GAME_CONFIG.ENCOUNTER_RATE,
+            doubleRate: table.doubleRate || 0,
+            monsters: (table.monsters || []).filter(monster =>
+                !monster.times || !timeOfDay || monster.times.includes(timeOfDay)
+            )
+        };
+    }
+
+    /**
+     * Check for random encounter on a position, rolling with the rate of its encounter table
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} timeOfDay - Time of day (from TIMES_OF_DAY)
+     * @returns {Object|null} - Encounter table to pick the wild monsters from, or null if no encounter triggered
+     */
+    checkEncounter(x, y, timeOfDay = null) {
+        const method = this.getEncounterMethod(x, y);
+        const table = method ? this.getEncounterTable(method, timeOfDay) : null;
+
+        // Skip if there is nothing to encounter here
+        if (!table || table.monsters.length === 0) {
+            return null;
         }
 
         // Random check based on encounter rate
-        return Math.random() < GAME_CONFIG.ENCOUNTER_RATE;
+        return this._random.next() < table.rate ? table : null;
     }
 }
\ No newline at end of file
@@ -6,22 +6,43 @@
 class MonsterSystem {
     /**
      * Create a new MonsterSystem
-     * @param {Phaser.Scene} scene - The scene this system belongs to
+     * Without a scene (e.g. under Node) the system runs on its options alone; only sprites need a scene
+     * @param {Phaser.Scene|null} scene - The scene this system belongs to
+     * @param {Object} options - System options
+     * @param {SeededRandom} options.random - Random number generator (default: the game's shared generator)
+     * @param {EventSystem} options.events - Event system (default: the game's, none without a scene)
+     * @param {DataManager} options.dataManager - Game data (default: the global dataManager)
      */
-    constructor(scene) {
+    constructor(scene, options = {}) {
+        const registry = scene ? scene.game.registry : null;
+
         /**
          * Reference to the scene
-         * @type {Phaser.Scene}
+         * @type {Phaser.Scene|null}
          * @private
          */
         this._scene = scene;
 
         /**
          * The event system
-         * @type {EventSystem}
+         * @type {EventSystem|null}
          * @private
          */
-        this._events = scene.game.registry.get('eventSystem');
+        this._events = options.events || (registry ? registry.get('eventSystem') : null);
+
+        /**
+         * Random number generator for IVs, sleep turns and catch rolls
+         * @type {SeededRandom}
+         * @private
+         */
+        this._random = options.random || (registry ? registry.get('random') : null) || new SeededRandom();
+
+        /**
+         * Game data (monsters, abilities and types)
+         * @type {DataManager}
+         * @private
+         */
+        this._data = options.dataManager || dataManager;
 
         /**
          * Debug mode flag
@@ -43,11 +64,13 @@ class MonsterSystem {
      * @param {Object} options.ivs - Individual values (null for random)
      * @param {Object} options.evs - Effort values (null for zero)
      * @param {Array} options.abilities - Specific abilities (null for level-based)
+     * @param {Object} options.pp - Current/max PP per ability (null for full PP)
+     * @param {string} options.heldItem - ID of the item the monster holds (null for none)
      * @returns {Object} Monster instance
      */
     createMonster(monsterId, level, options = {}) {
         // Get monster data
-        const monsterData = dataManager.get('monsters', monsterId);
+        const monsterData = this._data.get('monsters', monsterId);
 
         if (!monsterData) {
             console.error(`Monster not found: ${monsterId}`);
@@ -69,11 +92,18 @@ class MonsterSystem {
         // Determine abilities based on level
         const abilities = options.abilities || this._getAbilitiesForLevel(monsterData, level);
 
+        // Initialise PP for each known ability
+        const pp = options.pp || this._createPP(abilities);
+
+        // Single-typed monsters may only declare type
+        const types = monsterData.types || [monsterData.type];
+
         // Create monster instance
         const monster = {
             id: monsterData.id,
             name: monsterData.name,
-            type: monsterData.type,
+            type: types[0],
+            types: types,
             level: level,
             experience: this._getLevelExperience(level, monsterData.growthRate),
             nextLevelExperience: this._getLevelExperience(level + 1, monsterData.growthRate),
@@ -83,7 +113,11 @@ class MonsterSystem {
             ivs: ivs,
             evs: evs,
             abilities: abilities,
+            pp: pp,
             status: null,
+            statusTurns: 0,
+            traits: (monsterData.traits || []).slice(),
+            heldItem: options.heldItem || null,
             catchRate: monsterData.catchRate,
             shape: monsterData.shape
         };
@@ -102,12 +136,12 @@ class MonsterSystem {
      */
     _generateIVs() {
         return {
-            hp: Math.floor(Math.random() * 32),
-            attack: Math.floor(Math.random() * 32),
-            defense: Math.floor(Math.random() * 32),
-            specialAttack: Math.floor(Math.random() * 32),
-            specialDefense: Math.floor(Math.random() * 32),
-            speed: Math.floor(Math.random() * 32)
+            hp: this._random.integer(0, 31),
+            attack: this._random.integer(0, 31),
+            defense: this._random.integer(0, 31),
+            specialAttack: this._random.integer(0, 31),
+            specialDefense: this._random.integer(0, 31),
+            speed: this._random.integer(0, 31)
         };
     }
 
@@ -174,8 +208,29 @@ class MonsterSystem {
             return levelA - levelB;
         });
 
-        // Return at most 4 abilities (prioritizing higher level ones)
-        return abilities.slice(-4);
+        // Return at most MAX_ABILITIES abilities (prioritizing higher level ones)
+        return abilities.slice(-GAME_CONFIG.MAX_ABILITIES);
+    }
+
+    /**
+     * Create a PP table for a list of abilities
+     * @param {Array} abilities - Array of ability IDs
+     * @returns {Object} PP table keyed by ability ID ({ current, max })
+     * @private
+     */
+    _createPP(abilities) {
+        const pp = {};
+
+        abilities.forEach(abilityId => {
+            const ability = this.getAbility(abilityId);
+
+            // Skip abilities without data, they can't be used in battle
+            if (ability) {
+                pp[abilityId] = { current: ability.pp, max: ability.pp };
+            }
+        });
+
+        return pp;
     }
 
     /**
@@ -221,7 +276,7 @@ class MonsterSystem {
      * @returns {number} Experience yield
      */
     getExperienceYield(monster) {
-        const monsterData = dataManager.get('monsters', monster.id);
+        const monsterData = this._data.get('monsters', monster.id);
 
         if (!monsterData) {
             return 0;
@@ -238,7 +293,7 @@ class MonsterSystem {
      * @returns {Object} Object containing level up information
      */
     awardExperience(monster, amount) {
-        const monsterData = dataManager.get('monsters', monster.id);
+        const monsterData = this._data.get('monsters', monster.id);
 
         if (!monsterData) {
             return { leveledUp: false };
@@ -260,16 +315,7 @@ class MonsterSystem {
             levelUp = true;
 
             // Recalculate stats
-            const newStats = this._calculateStats(monster.baseStats, monster.level, monster.ivs, monster.evs);
-
-            // Store HP difference
-            const hpDifference = newStats.hp - monster.stats.hp;
-
-            // Update stats
-            monster.stats = newStats;
-
-            // Add HP difference to current HP
-            monster.currentHp += hpDifference;
+            this._updateStats(monster);
 
             // Check for new abilities
             const newLevel = monster.level;
@@ -287,6 +333,23 @@ class MonsterSystem {
             }
         }
 
+        // Learn new abilities while there's room, the rest wait for the player to choose
+        const learnedAbilities = [];
+        const pendingAbilities = [];
+
+        newAbilities.forEach(abilityId => {
+            if (monster.abilities.includes(abilityId) || !this.getAbility(abilityId)) {
+                return;
+            }
+
+            if (monster.abilities.length < GAME_CONFIG.MAX_ABILITIES) {
+                this.learnAbility(monster, abilityId);
+                learnedAbilities.push(abilityId);
+            } else {
+                pendingAbilities.push(abilityId);
+            }
+        });
+
         // If monster leveled up, check for evolution
         let canEvolve = false;
         let evolutionId = null;
@@ -300,38 +363,191 @@ class MonsterSystem {
             leveledUp: levelUp,
             levelsGained: monster.level - originalLevel,
             newAbilities: newAbilities,
+            learnedAbilities: learnedAbilities,
+            pendingAbilities: pendingAbilities,
             canEvolve: canEvolve,
             evolutionId: evolutionId
         };
     }
 
+    /**
+     * Raise a monster's level by one (e.g. with a Rare Candy)
+     * Awards exactly the experience needed to reach the next level
+     * @param {Object} monster - Monster to level up
+     * @returns {Object} Object containing level up information (see awardExperience)
+     */
+    raiseLevel(monster) {
+        if (monster.level >= GAME_CONFIG.MAX_MONSTER_LEVEL) {
+            return { leveledUp: false };
+        }
+
+        return this.awardExperience(monster, Math.max(0, monster.nextLevelExperience - monster.experience));
+    }
+
+    /**
+     * Teach a monster an ability
+     * A monster that already knows MAX_ABILITIES abilities has to forget one first
+     * @param {Object} monster - Monster learning the ability
+     * @param {string} abilityId - Ability to learn
+     * @param {string} forgetAbilityId - Known ability to replace (null to learn without forgetting)
+     * @returns {Object} Object with success, the learned and forgotten ability IDs and a message
+     */
+    learnAbility(monster, abilityId, forgetAbilityId = null) {
+        const ability = this.getAbility(abilityId);
+
+        if (!ability) {
+            return { success: false, message: 'Ability not found' };
+        }
+
+        if (monster.abilities.includes(abilityId)) {
+            return { success: false, message: `${monster.name} already knows ${ability.name}!` };
+        }
+
+        if (!monster.pp) {
+            monster.pp = this._createPP(monster.abilities);
+        }
+
+        if (forgetAbilityId) {
+            const index = monster.abilities.indexOf(forgetAbilityId);
+
+            if (index === -1) {
+                return { success: false, message: 'Monster does not know this ability' };
+            }
+
+            // The new ability takes the forgotten ability's slot
+            monster.abilities[index] = abilityId;
+            delete monster.pp[forgetAbilityId];
+        } else if (monster.abilities.length >= GAME_CONFIG.MAX_ABILITIES) {
+            return { success: false, needsForget: true, message: `${monster.name} can't learn more than ${GAME_CONFIG.MAX_ABILITIES} abilities!` };
+        } else {
+            monster.abilities.push(abilityId);
+        }
+
+        // New abilities start with full PP
+        Object.assign(monster.pp, this._createPP([abilityId]));
+
+        if (this._debug) {
+            console.log(`MonsterSystem: ${monster.name} learned ${ability.name}`, forgetAbilityId ? `(forgot ${forgetAbilityId})` : '');
+        }
+
+        return {
+            success: true,
+            learned: abilityId,
+            forgotten: forgetAbilityId,
+            message: `${monster.name} learned ${ability.name}!`
+        };
+    }
+
+    /**
+     * Get the effort values gained when defeating a monster
+     * @param {Object} monster - Defeated monster
+     * @returns {Object} Effort values keyed by stat name
+     */
+    getEffortYield(monster) {
+        const monsterData = this._data.get('monsters', monster.id);
+
+        if (!monsterData || !monsterData.evYield) {
+            return {};
+        }
+
+        return Object.assign({}, monsterData.evYield);
+    }
+
+    /**
+     * Add effort values to a monster and recalculate its stats
+     * Each stat is capped at EV_LIMITS.STAT and all stats together at EV_LIMITS.TOTAL
+     * @param {Object} monster - Monster gaining effort values
+     * @param {Object} evYield - Effort values to add, keyed by stat name
+     * @returns {Object} Effort values actually gained, keyed by stat name
+     */
+    addEffortValues(monster, evYield) {
+        const gained = {};
+
+        if (!monster.evs) {
+            monster.evs = this._generateEVs();
+        }
+
+        let total = Object.values(monster.evs).reduce((sum, value) => sum + value, 0);
+
+        Object.entries(evYield || {}).forEach(([stat, amount]) => {
+            if (monster.evs[stat] === undefined || amount <= 0) {
+                return;
+            }
+
+            const gain = Math.min(amount, EV_LIMITS.STAT - monster.evs[stat], EV_LIMITS.TOTAL - total);
+
+            if (gain > 0) {
+                monster.evs[stat] += gain;
+                total += gain;
+                gained[stat] = gain;
+            }
+        });
+
+        // Effort values count right away
+        if (Object.keys(gained).length > 0) {
+            this._updateStats(monster);
+        }
+
+        return gained;
+    }
+
+    /**
+     * Recalculate a monster's stats, keeping the HP it has lost
+     * @param {Object} monster - Monster to update
+     * @private
+     */
+    _updateStats(monster) {
+        const newStats = this._calculateStats(monster.baseStats, monster.level, monster.ivs, monster.evs);
+
+        // Store HP difference
+        const hpDifference = newStats.hp - monster.stats.hp;
+
+        // Update stats
+        monster.stats = newStats;
+
+        // Add HP difference to current HP (fainted monsters stay fainted)
+        if (monster.currentHp > 0) {
+            monster.currentHp += hpDifference;
+        }
+    }
+
     /**
      * Evolve a monster
      * @param {Object} monster - Monster to evolve
      * @returns {Object} Evolved monster
      */
     evolveMonster(monster) {
-        const monsterData = dataManager.get('monsters', monster.id);
+        const monsterData = this._data.get('monsters', monster.id);
 
         if (!monsterData || !monsterData.evolution || !monsterData.evolution.evolvesTo) {
             return monster;
         }
 
         const evolutionId = monsterData.evolution.evolvesTo;
-        const evolutionData = dataManager.get('monsters', evolutionId);
+        const evolutionData = this._data.get('monsters', evolutionId);
 
         if (!evolutionData) {
             console.error(`Evolution not found: ${evolutionId}`);
             return monster;
         }
 
+        // Keep the abilities the player chose to learn or forget, with the PP they have left
+        const pp = {};
+
+        Object.keys(monster.pp || {}).forEach(abilityId => {
+            pp[abilityId] = Object.assign({}, monster.pp[abilityId]);
+        });
+
         // Create evolved monster
         const evolvedMonster = this.createMonster(evolutionId, monster.level, {
             ivs: monster.ivs,
-            evs: monster.evs
+            evs: monster.evs,
+            heldItem: monster.heldItem,
+            abilities: monster.abilities.slice(),
+            pp: pp
         });
 
-        // Transfer experience and abilities
+        // Transfer experience
         evolvedMonster.experience = monster.experience;
         evolvedMonster.nextLevelExperience = monster.nextLevelExperience;
 
@@ -351,13 +567,143 @@ class MonsterSystem {
         return evolvedMonster;
     }
 
+    /**
+     * Get a monster's types
+     * @param {Object} monster - Monster to check
+     * @returns {string[]} Primary type, followed by the secondary type if any
+     */
+    getTypes(monster) {
+        return monster.types && monster.types.length > 0 ? monster.types : [monster.type];
+    }
+
+    /**
+     * Get the data of a monster's passive traits
+     * @param {Object} monster - Monster to check
+     * @returns {Array} Trait data, skipping traits that aren't defined
+     */
+    getTraits(monster) {
+        return (monster.traits || [])
+            .map(traitId => this._data.get('traits', traitId))
+            .filter(trait => trait);
+    }
+
+    /**
+     * Get the type effectiveness of an attack type against a list of types
+     * @param {string} attackType - Type of the attack (null for typeless attacks)
+     * @param {string[]} defenderTypes - Types of the defender
+     * @returns {number} Type effectiveness multiplier
+     */
+    getTypeEffectiveness(attackType, defenderTypes) {
+        // Get type chart row for the attacking type (typeless attacks are neutral)
+        const typeData = attackType ? this._data.get('types', attackType) : null;
+
+        if (!typeData) {
+            return 1;
+        }
+
+        // Unlisted matchups default to neutral effectiveness
+        return defenderTypes.reduce((multiplier, defenderType) => {
+            const effectiveness = typeData.effectiveness[defenderType];
+            return multiplier * (effectiveness !== undefined ? effectiveness : 1);
+        }, 1);
+    }
+
     /**
      * Get ability data by ID
      * @param {string} abilityId - Ability ID
      * @returns {Object} Ability data
      */
     getAbility(abilityId) {
-        return dataManager.get('abilities', abilityId);
+        return this._data.get('abilities', abilityId);
+    }
+
+    /**
+     * Get the PP entry for one of a monster's abilities
+     * Monsters created without a PP table get one on first access
+     * @param {Object} monster - Monster to check
+     * @param {string} abilityId - Ability ID
+     * @returns {Object|null} PP entry ({ current, max }) or null if the ability is not known
+     */
+    getPP(monster, abilityId) {
+        if (!monster.pp) {
+            monster.pp = this._createPP(monster.abilities || []);
+        }
+
+        if (!monster.abilities.includes(abilityId)) {
+            return null;
+        }
+
+        // Ability learned after the PP table was created
+        if (!monster.pp[abilityId]) {
+            Object.assign(monster.pp, this._createPP([abilityId]));
+        }
+
+        return monster.pp[abilityId] || null;
+    }
+
+    /**
+     * Check if a monster has PP left for an ability
+     * @param {Object} monster - Monster to check
+     * @param {string} abilityId - Ability ID
+     * @returns {boolean} True if the ability can be used
+     */
+    hasPP(monster, abilityId) {
+        const pp = this.getPP(monster, abilityId);
+        return pp !== null && pp.current > 0;
+    }
+
+    /**
+     * Check if a monster has any ability with PP left
+     * @param {Object} monster - Monster to check
+     * @returns {boolean} True if at least one ability can be used
+     */
+    hasUsableAbilities(monster) {
+        return (monster.abilities || []).some(abilityId => this.hasPP(monster, abilityId));
+    }
+
+    /**
+     * Spend PP for an ability
+     * @param {Object} monster - Monster using the ability
+     * @param {string} abilityId - Ability ID
+     * @param {number} amount - PP to spend (default: 1)
+     * @returns {boolean} True if PP was spent
+     */
+    usePP(monster, abilityId, amount = 1) {
+        const pp = this.getPP(monster, abilityId);
+
+        if (!pp || pp.current <= 0) {
+            return false;
+        }
+
+        pp.current = Math.max(0, pp.current - amount);
+
+        return true;
+    }
+
+    /**
+     * Restore PP for one or all of a monster's abilities
+     * @param {Object} monster - Monster to restore
+     * @param {string|null} abilityId - Ability ID (null for all abilities)
+     * @param {number} amount - PP to restore per ability (if not specified, fully restore)
+     * @returns {number} Total PP restored
+     */
+    restorePP(monster, abilityId = null, amount) {
+        const abilityIds = abilityId ? [abilityId] : (monster.abilities || []);
+        let restored = 0;
+
+        abilityIds.forEach(id => {
+            const pp = this.getPP(monster, id);
+
+            if (!pp) {
+                return;
+            }
+
+            const previous = pp.current;
+            pp.current = amount === undefined ? pp.max : Math.min(pp.max, pp.current + amount);
+            restored += pp.current - previous;
+        });
+
+        return restored;
     }
 
     /**
@@ -394,17 +740,21 @@ class MonsterSystem {
 
     /**
      * Heal a monster
+     * A full heal also restores the PP of every ability and cures status conditions
      * @param {Object} monster - Monster to heal
      * @param {number} amount - Amount to heal (if not specified, fully heal)
      * @returns {Object} Object containing heal results
      */
     healMonster(monster, amount) {
         const previousHp = monster.currentHp;
+        let ppRestored = 0;
 
         // Apply healing
         if (amount === undefined) {
             // Full heal
             monster.currentHp = monster.stats.hp;
+            ppRestored = this.restorePP(monster);
+            this.clearStatus(monster);
         } else {
             // Partial heal
             monster.currentHp = Math.min(monster.stats.hp, monster.currentHp + amount);
@@ -421,28 +771,58 @@ class MonsterSystem {
             healAmount: healAmount,
             previousHp: previousHp,
             currentHp: monster.currentHp,
-            healPercentage: healPercentage
+            healPercentage: healPercentage,
+            ppRestored: ppRestored
         };
     }
 
     /**
-     * Apply a status effect to a monster
+     * Apply a major status condition to a monster
      * @param {Object} monster - Target monster
-     * @param {string} status - Status effect to apply
+     * @param {string} status - Status condition to apply (see STATUS_CONDITIONS)
+     * @param {Object} options - Status options
+     * @param {number} options.turns - Turns asleep (for sleep, random 1-3 if not set)
      * @returns {boolean} True if status was applied
      */
-    applyStatus(monster, status) {
-        // Skip if monster already has a status
-        if (monster.status) {
+    applyStatus(monster, status, options = {}) {
+        // Only major status conditions can be applied
+        if (!Object.values(STATUS_CONDITIONS).includes(status)) {
+            return false;
+        }
+
+        // Skip if monster already has a status or has fainted
+        if (monster.status || monster.currentHp <= 0) {
+            return false;
+        }
+
+        // Skip if monster's type is immune
+        if (this.isStatusImmune(monster, status)) {
             return false;
         }
 
         // Apply status
         monster.status = status;
 
+        // Sleep lasts a number of turns
+        monster.statusTurns = status === STATUS_CONDITIONS.SLEEP
+            ? (options.turns || this._random.integer(1, 3))
+            : 0;
+
         return true;
     }
 
+    /**
+     * Check if a monster's type is immune to a status condition
+     * @param {Object} monster - Monster to check
+     * @param {string} status - Major or volatile status condition
+     * @returns {boolean} True if the monster can't receive the status
+     */
+    isStatusImmune(monster, status) {
+        const immuneTypes = STATUS_IMMUNITIES[status] || [];
+
+        return this.getTypes(monster).some(type => immuneTypes.includes(type));
+    }
+
     /**
      * Clear a monster's status effect
      * @param {Object} monster - Target monster
@@ -451,9 +831,41 @@ class MonsterSystem {
     clearStatus(monster) {
         const previousStatus = monster.status;
         monster.status = null;
+        monster.statusTurns = 0;
         return previousStatus;
     }
 
+    /**
+     * Give a monster an item to hold
+     * Only held items can be given; an item the monster already holds is swapped out
+     * @param {Object} monster - Monster
+     * @param {string} itemId - ID of the item to give
+     * @returns {Object} Object with success, the previous item ID (previousItem) and a message if it failed
+     */
+    giveHeldItem(monster, itemId) {
+        const item = this._data.get('items', itemId);
+
+        if (!item || item.type !== ITEM_TYPES.HELD) {
+            return { success: false, previousItem: null, message: "This item can't be held." };
+        }
+
+        const previousItem = monster.heldItem || null;
+        monster.heldItem = itemId;
+
+        return { success: true, previousItem: previousItem };
+    }
+
+    /**
+     * Take a monster's held item away
+     * @param {Object} monster - Monster
+     * @returns {string|null} ID of the item taken, or null if the monster held nothing
+     */
+    takeHeldItem(monster) {
+        const itemId = monster.heldItem || null;
+        monster.heldItem = null;
+        return itemId;
+    }
+
     /**
      * Calculate catch success probability
      * @param {Object} monster - Monster to catch
@@ -493,7 +905,7 @@ class MonsterSystem {
         const probability = this.calculateCatchProbability(monster, options);
 
         // Random check
-        const success = Math.random() < probability;
+        const success = this._random.next() < probability;
 
         if (success && this._events) {
             this._events.emit(EVENTS.MONSTER_CAUGHT, monster);
@@ -502,6 +914,26 @@ class MonsterSystem {
         return success;
     }
 
+    /**
+     * Create a wild monster from an encounter table
+     * The monster is picked by weight and its level rolled between the entry's level and levelMax
+     * @param {Array} monsters - Encounter table entries ({ id, level, levelMax, weight })
+     * @returns {Object|null} Monster instance or null if the table is empty
+     */
+    createWildMonster(monsters) {
+        // Entries for unknown monsters can't be picked
+        const entry = this._random.weightedPick((monsters || []).filter(monster => this._data.get('monsters', monster.id)));
+
+        if (!entry) {
+            return null;
+        }
+
+        const minLevel = entry.level || 1;
+        const maxLevel = Math.max(minLevel, entry.levelMax || minLevel);
+
+        return this.createMonster(entry.id, this._random.integer(minLevel, maxLevel));
+    }
+
     /**
      * Create a shape sprite for a monster
      * @param {Object} monster - Monster data
@@ -513,7 +945,7 @@ class MonsterSystem {
     createMonsterSprite(monster, x, y, scale = 1) {
         const shapeData = monster.shape || {
             form: 'circle',
-            mainColor: COLORS.MONSTER[monster.type] || 0xffffff,
+            mainColor: COLORS.MONSTER[this.getTypes(monster)[0].toUpperCase()] || 0xffffff,
             accentColor: 0xffffff
         };
 
@@ -575,4 +1007,20 @@ class MonsterSystem {
 
         return container;
     }
+
+    /**
+     * Get the random number generator this system rolls with
+     * @returns {SeededRandom} Random number generator
+     */
+    getRandom() {
+        return this._random;
+    }
+
+    /**
+     * Get the game data this system reads from
+     * @returns {DataManager} Data manager
+     */
+    getDataManager() {
+        return this._data;
+    }
 }
\ No newline at end of file
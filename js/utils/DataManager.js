@@ -20,7 +20,10 @@ class DataManager {
             items: {},
             abilities: {},
             dialogs: {},
-            quests: {}
+            quests: {},
+            types: {},
+            traits: {},
+            tiles: {}
         };
 
         /**
@@ -64,7 +67,10 @@ class DataManager {
             'items',
             'abilities',
             'dialogs',
-            'quests'
+            'quests',
+            'types',
+            'traits',
+            'tiles'
         ];
 
         // Create promise for each data type
@@ -74,6 +80,8 @@ class DataManager {
         return Promise.all(promises)
             .then(() => {
                 this._initialized = true;
+                this._registerTypes();
+                this._registerTiles();
                 if (this._debug) {
                     console.log('DataManager: Initialization complete');
                 }
@@ -83,6 +91,47 @@ class DataManager {
             });
     }
 
+    /**
+     * Initialize the data manager with data that has already been loaded
+     * Used to run the game systems without Phaser, e.g. by the battle simulator under Node
+     * @param {Object} data - Data entries by type ({ monsters: [...], abilities: [...] })
+     */
+    initFromData(data) {
+        if (this._initialized) {
+            console.warn('DataManager already initialized');
+            return;
+        }
+
+        Object.keys(data).forEach(type => {
+            if (!this._cache[type]) {
+                console.warn(`Unknown data type: ${type}`);
+                return;
+            }
+
+            // Skip invalid entries, like the loader does
+            data[type].forEach(entry => {
+                try {
+                    if (!entry || !entry.id) {
+                        throw new Error(`Invalid data for ${type}`);
+                    }
+
+                    this._validateData(type, entry);
+                    this._cache[type][entry.id] = entry;
+                } catch (error) {
+                    console.warn(`Error loading entry for ${type}, continuing with partial data`, error);
+                }
+            });
+        });
+
+        this._initialized = true;
+        this._registerTypes();
+        this._registerTiles();
+
+        if (this._debug) {
+            console.log('DataManager: Initialization complete');
+        }
+    }
+
     /**
      * Load index file for data type
      * @param {string} type - Data type to load
@@ -196,7 +245,7 @@ class DataManager {
         // Validate data based on type
         switch (type) {
             case 'monsters':
-                if (!data.baseStats || !data.type || !data.abilities) {
+                if (!data.baseStats || !(data.type || data.types) || !data.abilities) {
                     throw new Error(`Invalid monster data: ${data.id}`);
                 }
                 break;
@@ -219,8 +268,15 @@ class DataManager {
                 }
                 break;
 
+            case 'traits':
+                if (!data.triggers || !data.effect) {
+                    throw new Error(`Invalid trait data: ${data.id}`);
+                }
+                break;
+
             case 'abilities':
-                if (!data.type || !data.power) {
+                // Status abilities have a null power
+                if (!data.type || data.power === undefined) {
                     throw new Error(`Invalid ability data: ${data.id}`);
                 }
                 break;
@@ -237,11 +293,64 @@ class DataManager {
                 }
                 break;
 
+            case 'types':
+                if (!data.name || !data.effectiveness) {
+                    throw new Error(`Invalid type data: ${data.id}`);
+                }
+                break;
+
+            case 'tiles':
+                if (data.tile === undefined || (data.ledge && !DIRECTIONS[data.ledge.toUpperCase()])) {
+                    throw new Error(`Invalid tile data: ${data.id}`);
+                }
+                break;
+
             default:
                 throw new Error(`Unknown data type: ${type}`);
         }
     }
 
+    /**
+     * Fill MONSTER_TYPES and COLORS.MONSTER from the loaded type data
+     * @private
+     */
+    _registerTypes() {
+        Object.values(this._cache.types).forEach(typeData => {
+            const key = typeData.id.toUpperCase();
+
+            MONSTER_TYPES[key] = typeData.id;
+            COLORS.MONSTER[key] = typeData.color !== undefined ? typeData.color : 0xffffff;
+        });
+    }
+
+    /**
+     * Fill TILE_RULES from the loaded tile data, with ledge directions as DIRECTIONS
+     * @private
+     */
+    _registerTiles() {
+        Object.values(this._cache.tiles).forEach(tileData => {
+            const rules = {};
+
+            if (tileData.requires) {
+                rules.requires = tileData.requires;
+            }
+
+            if (tileData.ledge) {
+                rules.ledge = DIRECTIONS[tileData.ledge.toUpperCase()];
+            }
+
+            if (tileData.slide) {
+                rules.slide = true;
+            }
+
+            if (tileData.hidesLowerHalf) {
+                rules.hidesLowerHalf = true;
+            }
+
+            TILE_RULES[tileData.tile] = rules;
+        });
+    }
+
     /**
      * Get data for a specific type and id
      * @param {string} type - Data type (monsters, maps, npcs, etc.)
@@ -0,0 +1,126 @@
+/**
+ * SeededRandom Class
+ * Seeded pseudo-random number generator (mulberry32) used for every gameplay roll
+ * The same seed always gives the same sequence, so battles can be reproduced and replayed
+ */
+class SeededRandom {
+    /**
+     * Create a new SeededRandom
+     * @param {number} seed - Initial seed (32-bit integer, default: a seed taken from Math.random)
+     */
+    constructor(seed) {
+        /**
+         * Seed the current sequence was started from
+         * @type {number}
+         * @private
+         */
+        this._seed = 0;
+
+        /**
+         * Current generator state
+         * @type {number}
+         * @private
+         */
+        this._state = 0;
+
+        /**
+         * Debug mode flag
+         * @type {boolean}
+         * @private
+         */
+        this._debug = GAME_CONFIG.DEBUG;
+
+        this.setSeed(seed === undefined || seed === null ? Math.floor(Math.random() * 0x100000000) : seed);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * @param {number} seed - Seed (converted to an unsigned 32-bit integer)
+     */
+    setSeed(seed) {
+        this._seed = Number(seed) >>> 0;
+        this._state = this._seed;
+
+        if (this._debug) {
+            console.log(`SeededRandom: Seed set to ${this._seed}`);
+        }
+    }
+
+    /**
+     * Get the seed the current sequence was started from
+     * @returns {number} Seed
+     */
+    getSeed() {
+        return this._seed;
+    }
+
+    /**
+     * Get a number between 0 (inclusive) and 1 (exclusive), like Math.random
+     * @returns {number} Random number
+     */
+    next() {
+        this._state = (this._state + 0x6D2B79F5) >>> 0;
+
+        let value = this._state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+
+        return ((value ^ (value >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Get a whole number in a range
+     * @param {number} min - Lowest value (inclusive)
+     * @param {number} max - Highest value (inclusive)
+     * @returns {number} Random integer
+     */
+    integer(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Pick a random element of an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} Random element (undefined for an empty array)
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Pick a random element of an array, with chances in proportion to the elements' weights
+     * @param {Array} array - Array to pick from
+     * @param {function} getWeight - Weight of an element (default: its `weight`, or 1 without one)
+     * @returns {*} Random element (undefined for an empty array or if no element has a weight)
+     */
+    weightedPick(array, getWeight = element => (element.weight !== undefined ? element.weight : 1)) {
+        const weights = array.map(element => Math.max(0, getWeight(element) || 0));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+        if (total <= 0) {
+            return undefined;
+        }
+
+        let roll = this.next() * total;
+
+        for (let index = 0; index < array.length; index++) {
+            roll -= weights[index];
+
+            if (roll < 0 && weights[index] > 0) {
+                return array[index];
+            }
+        }
+
+        // Rounding can leave the roll just short of the total
+        return array[weights.map(weight => weight > 0).lastIndexOf(true)];
+    }
+
+    /**
+     * Draw a new seed from the sequence
+     * Used to give each battle its own seed while keeping the whole game reproducible
+     * @returns {number} Unsigned 32-bit seed
+     */
+    createSeed() {
+        return Math.floor(this.next() * 0x100000000);
+    }
+}
\ No newline at end of file
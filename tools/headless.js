@@ -0,0 +1,95 @@
+/**
+ * Headless Game Loader
+ * Runs the game's battle scripts in a Node VM context with the data from disk,
+ * so MonsterSystem, BattleAI and BattleSystem can be used without Phaser or a browser
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Root directory of the game
+ * @type {string}
+ */
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Scripts the battle systems need, in the order index.html loads them
+ * @type {string[]}
+ */
+const SCRIPTS = [
+    'js/constants.js',
+    'js/utils/DataManager.js',
+    'js/utils/SeededRandom.js',
+    'js/systems/MonsterSystem.js',
+    'js/systems/BattleAI.js',
+    'js/systems/BattleSystem.js'
+];
+
+/**
+ * Data types the battle systems read
+ * @type {string[]}
+ */
+const DATA_TYPES = [
+    'monsters',
+    'items',
+    'abilities',
+    'types',
+    'traits'
+];
+
+/**
+ * Read every entry of a data type from data/, following its index file
+ * A type without an index file has no entries, like in the browser
+ * @param {string} type - Data type
+ * @returns {Array} Data entries
+ */
+function readData(type) {
+    const directory = path.join(ROOT, 'data', type);
+    const indexPath = path.join(directory, 'index.json');
+
+    if (!fs.existsSync(indexPath)) {
+        return [];
+    }
+
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+
+    return (index.entries || []).map(entry => JSON.parse(fs.readFileSync(path.join(directory, `${entry}.json`), 'utf8')));
+}
+
+/**
+ * Load the battle systems and the battle data
+ * @param {Object} options - Loader options
+ * @param {boolean} options.debug - Keep the systems' debug logging (default false)
+ * @returns {Object} Game globals (GAME_CONFIG, AI_PROFILES, BATTLE_FORMATS, DataManager, SeededRandom,
+ * MonsterSystem, BattleAI, BattleSystem) and the loaded dataManager
+ */
+function loadGame(options = {}) {
+    const context = vm.createContext({ console: console });
+
+    SCRIPTS.forEach(script => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, script), 'utf8'), context, { filename: script });
+
+        // Systems read the debug flag when they are created
+        if (script === 'js/constants.js') {
+            vm.runInContext(`GAME_CONFIG.DEBUG = ${!!options.debug};`, context);
+        }
+    });
+
+    const game = vm.runInContext(`({
+        GAME_CONFIG, AI_PROFILES, BATTLE_FORMATS, DataManager, SeededRandom,
+        MonsterSystem, BattleAI, BattleSystem, dataManager
+    })`, context);
+
+    const data = {};
+
+    DATA_TYPES.forEach(type => {
+        data[type] = readData(type);
+    });
+
+    game.dataManager.initFromData(data);
+
+    return game;
+}
+
+module.exports = { loadGame };
\ No newline at end of file
@@ -0,0 +1,438 @@
+/**
+ * Battle Simulator
+ * Runs simulated battles between two AI-controlled teams for balance testing
+ *
+ * Usage: node tools/simulate.js <config.json> [--battles N] [--seed S] [--output json|csv] [--out file] [--debug]
+ *
+ * The config describes the two sides and the battle settings (see tools/readme.md);
+ * command line options override the config. Prints win rates, average turns and
+ * damage distributions as JSON (default) or CSV.
+ */
+const fs = require('fs');
+const { loadGame } = require('./headless');
+
+/**
+ * Defaults for the simulation settings
+ * @type {Object}
+ */
+const DEFAULTS = {
+    battles: 100,
+    seed: null,
+    format: 'single',
+    maxTurns: 100,
+    output: 'json'
+};
+
+/**
+ * Width of the damage histogram buckets, in percent of the target's max HP
+ * @type {number}
+ */
+const BUCKET_SIZE = 10;
+
+/**
+ * Parse the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Config path and option overrides
+ */
+function parseArgs(args) {
+    const parsed = { configPath: null, overrides: {}, out: null, debug: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        switch (arg) {
+            case '--battles':
+            case '--max-turns':
+                parsed.overrides[arg === '--battles' ? 'battles' : 'maxTurns'] = parseInt(args[++i], 10);
+                break;
+
+            case '--seed':
+                parsed.overrides.seed = Number(args[++i]);
+                break;
+
+            case '--output':
+                parsed.overrides.output = args[++i];
+                break;
+
+            case '--out':
+                parsed.out = args[++i];
+                break;
+
+            case '--debug':
+                parsed.debug = true;
+                break;
+
+            default:
+                if (arg.startsWith('--') || parsed.configPath) {
+                    throw new Error(`Unknown argument: ${arg}`);
+                }
+
+                parsed.configPath = arg;
+        }
+    }
+
+    if (!parsed.configPath) {
+        throw new Error('Usage: node tools/simulate.js <config.json> [--battles N] [--seed S] [--output json|csv] [--out file] [--debug]');
+    }
+
+    return parsed;
+}
+
+/**
+ * Check a simulation config against the game data
+ * @param {Object} game - Loaded game (see headless.loadGame)
+ * @param {Object} config - Simulation config with the defaults applied
+ * @throws {Error} If the config is invalid
+ */
+function validateConfig(game, config) {
+    if (!Number.isInteger(config.battles) || config.battles < 1) {
+        throw new Error('battles has to be a positive whole number');
+    }
+
+    if (!Number.isInteger(config.maxTurns) || config.maxTurns < 1) {
+        throw new Error('maxTurns has to be a positive whole number');
+    }
+
+    if (!Object.values(game.BATTLE_FORMATS).includes(config.format)) {
+        throw new Error(`Unknown battle format: ${config.format}`);
+    }
+
+    if (!['json', 'csv'].includes(config.output)) {
+        throw new Error(`Unknown output format: ${config.output}`);
+    }
+
+    if (!Array.isArray(config.sides) || config.sides.length !== 2) {
+        throw new Error('sides has to list exactly two sides');
+    }
+
+    config.sides.forEach((side, index) => {
+        const label = side.name || `side ${index + 1}`;
+
+        if (side.ai && !Object.values(game.AI_PROFILES).includes(side.ai)) {
+            throw new Error(`${label}: unknown AI profile ${side.ai}`);
+        }
+
+        if (!Array.isArray(side.team) || side.team.length === 0) {
+            throw new Error(`${label}: team has to list at least one monster`);
+        }
+
+        side.team.forEach(entry => {
+            if (!game.dataManager.exists('monsters', entry.monster)) {
+                throw new Error(`${label}: unknown monster ${entry.monster}`);
+            }
+
+            (entry.abilities || []).forEach(abilityId => {
+                if (!game.dataManager.exists('abilities', abilityId)) {
+                    throw new Error(`${label}: unknown ability ${abilityId}`);
+                }
+            });
+
+            if (entry.heldItem && !game.dataManager.exists('items', entry.heldItem)) {
+                throw new Error(`${label}: unknown held item ${entry.heldItem}`);
+            }
+        });
+    });
+}
+
+/**
+ * Create a side's team for one battle
+ * Monsters without fixed IVs roll new ones each battle
+ * @param {MonsterSystem} monsterSystem - Monster system to create the monsters with
+ * @param {Object} side - Side config
+ * @returns {Array} Monster instances
+ */
+function createTeam(monsterSystem, side) {
+    return side.team.map(entry => monsterSystem.createMonster(entry.monster, entry.level || 5, {
+        abilities: entry.abilities ? entry.abilities.slice() : null,
+        ivs: entry.ivs || null,
+        evs: entry.evs || null,
+        heldItem: entry.heldItem || null
+    }));
+}
+
+/**
+ * Get the damage statistics entry for an ability, creating it on first use
+ * @param {Map} damage - Statistics by side, monster and ability
+ * @param {string} side - Side name
+ * @param {string} monster - Monster name
+ * @param {string} ability - Ability name
+ * @returns {Object} Statistics entry
+ */
+function getDamageEntry(damage, side, monster, ability) {
+    const key = `${side}|${monster}|${ability}`;
+
+    if (!damage.has(key)) {
+        damage.set(key, { side, monster, ability, uses: 0, hits: 0, criticals: 0, values: [], percents: [] });
+    }
+
+    return damage.get(key);
+}
+
+/**
+ * Record the ability results of a turn
+ * Spread abilities are counted once per target
+ * @param {Map} damage - Statistics by side, monster and ability
+ * @param {Array} actions - Resolved actions of the turn
+ * @param {Object} names - Side names by battle side ({ player, enemy })
+ */
+function recordActions(damage, actions, names) {
+    actions.forEach(action => {
+        // Skip other actions, and the announcement of a spread ability
+        if (action.actionType !== 'ability' || !action.ability || action.spread) {
+            return;
+        }
+
+        const entry = getDamageEntry(damage, names[action.side], action.user, action.ability);
+
+        entry.uses++;
+
+        if (!action.hit) {
+            return;
+        }
+
+        entry.hits++;
+
+        if (action.critical) {
+            entry.criticals++;
+        }
+
+        if (action.damage > 0) {
+            const target = action.snapshot.active[action.targetSide][action.targetSlot];
+
+            entry.values.push(action.damage);
+            entry.percents.push(action.damage / target.stats.hp * 100);
+        }
+    });
+}
+
+/**
+ * Get a percentile of sorted values
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number} Value at the percentile
+ */
+function getPercentile(sorted, percentile) {
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil(percentile / 100 * sorted.length) - 1));
+
+    return sorted[index];
+}
+
+/**
+ * Round a number for the report
+ * @param {number} value - Value to round
+ * @returns {number} Value rounded to two decimals
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Summarize the damage an ability dealt
+ * @param {Object} entry - Statistics entry
+ * @returns {Object} Uses, hit rate, damage percentiles and a histogram by share of the target's max HP
+ */
+function summarizeDamage(entry) {
+    const sorted = entry.values.slice().sort((a, b) => a - b);
+    const counts = [];
+    const histogram = {};
+
+    // Hits for 100% or more of the target's max HP share the last bucket
+    entry.percents.forEach(percent => {
+        const bucket = Math.min(100 / BUCKET_SIZE, Math.floor(percent / BUCKET_SIZE));
+
+        counts[bucket] = (counts[bucket] || 0) + 1;
+    });
+
+    counts.forEach((count, bucket) => {
+        const start = bucket * BUCKET_SIZE;
+
+        histogram[start >= 100 ? '100+' : `${start}-${start + BUCKET_SIZE}`] = count;
+    });
+
+    return {
+        side: entry.side,
+        monster: entry.monster,
+        ability: entry.ability,
+        uses: entry.uses,
+        hits: entry.hits,
+        hitRate: entry.uses > 0 ? round(entry.hits / entry.uses) : 0,
+        criticals: entry.criticals,
+        damage: sorted.length === 0 ? null : {
+            count: sorted.length,
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+            p10: getPercentile(sorted, 10),
+            median: getPercentile(sorted, 50),
+            p90: getPercentile(sorted, 90),
+            histogram: histogram
+        }
+    };
+}
+
+/**
+ * Run the simulated battles
+ * The first side plays as the player and the second as a trainer; both choose with the AI.
+ * Monsters don't gain experience, so levels stay as configured
+ * @param {Object} game - Loaded game (see headless.loadGame)
+ * @param {Object} config - Simulation config with the defaults applied
+ * @returns {Object} Report with win rates, turn counts and damage distributions
+ */
+function simulate(game, config) {
+    const [sideA, sideB] = config.sides;
+    const names = { player: sideA.name || 'Side A', enemy: sideB.name || 'Side B' };
+
+    const random = new game.SeededRandom(config.seed);
+    const seed = random.getSeed();
+    const battleSystem = new game.BattleSystem(null, { random: random, dataManager: game.dataManager });
+    const monsterSystem = battleSystem.getMonsterSystem();
+    const playerAI = new game.BattleAI(monsterSystem, { profile: sideA.ai || game.AI_PROFILES.GREEDY });
+
+    const wins = { player: 0, enemy: 0, draw: 0 };
+    const turns = [];
+    const damage = new Map();
+
+    for (let battle = 0; battle < config.battles; battle++) {
+        battleSystem.startBattle({
+            playerTeam: createTeam(monsterSystem, sideA),
+            enemyTeam: createTeam(monsterSystem, sideB),
+            battleType: 'trainer',
+            trainer: { name: names.enemy, ai: sideB.ai || game.AI_PROFILES.GREEDY },
+            format: config.format,
+            experience: false
+        });
+
+        const state = battleSystem.getBattleState();
+        let turn = 0;
+
+        while (state.active && turn < config.maxTurns) {
+            // Fainted player monsters are replaced by the first one left on the bench
+            if (battleSystem.isForcedSwitch()) {
+                const active = battleSystem.getActiveMonsters('player');
+                const index = state.playerTeam.findIndex(monster => monster.currentHp > 0 && !active.includes(monster));
+
+                battleSystem.replaceFaintedMonster(index);
+                continue;
+            }
+
+            const result = battleSystem.executePlayerAction(battleSystem.choosePlayerActions(playerAI));
+
+            if (!result.success) {
+                throw new Error(`Battle ${battle + 1}, turn ${turn + 1}: ${result.message}`);
+            }
+
+            recordActions(damage, result.actions, names);
+            turn++;
+        }
+
+        // Battles that hit the turn limit are draws
+        wins[state.active ? 'draw' : state.result.winner]++;
+        turns.push(turn);
+    }
+
+    const sortedTurns = turns.slice().sort((a, b) => a - b);
+
+    return {
+        seed: seed,
+        battles: config.battles,
+        format: config.format,
+        maxTurns: config.maxTurns,
+        sides: [sideA, sideB].map((side, index) => ({
+            name: index === 0 ? names.player : names.enemy,
+            ai: side.ai || game.AI_PROFILES.GREEDY,
+            team: side.team
+        })),
+        wins: { [names.player]: wins.player, [names.enemy]: wins.enemy, draw: wins.draw },
+        winRates: {
+            [names.player]: round(wins.player / config.battles),
+            [names.enemy]: round(wins.enemy / config.battles),
+            draw: round(wins.draw / config.battles)
+        },
+        turns: {
+            mean: round(turns.reduce((sum, value) => sum + value, 0) / turns.length),
+            min: sortedTurns[0],
+            median: getPercentile(sortedTurns, 50),
+            max: sortedTurns[sortedTurns.length - 1]
+        },
+        damage: Array.from(damage.values()).map(summarizeDamage)
+    };
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a report as CSV
+ * One row per value (metric, side, monster, ability, value), so every part of the report fits in one table
+ * @param {Object} report - Simulation report
+ * @returns {string} CSV text
+ */
+function toCSV(report) {
+    const rows = [['metric', 'side', 'monster', 'ability', 'value']];
+
+    Object.keys(report.winRates).forEach(side => {
+        rows.push(['wins', side, '', '', report.wins[side]]);
+        rows.push(['win-rate', side, '', '', report.winRates[side]]);
+    });
+
+    Object.keys(report.turns).forEach(key => {
+        rows.push([`turns-${key}`, '', '', '', report.turns[key]]);
+    });
+
+    report.damage.forEach(entry => {
+        const row = (metric, value) => rows.push([metric, entry.side, entry.monster, entry.ability, value]);
+
+        row('uses', entry.uses);
+        row('hit-rate', entry.hitRate);
+        row('criticals', entry.criticals);
+
+        if (entry.damage) {
+            ['min', 'max', 'mean', 'p10', 'median', 'p90'].forEach(key => row(`damage-${key}`, entry.damage[key]));
+
+            Object.keys(entry.damage.histogram).forEach(bucket => {
+                row(`damage-hp-${bucket}%`, entry.damage.histogram[bucket]);
+            });
+        }
+    });
+
+    return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Run the simulator from the command line
+ */
+function main() {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        const game = loadGame({ debug: args.debug });
+        const config = Object.assign({}, DEFAULTS, JSON.parse(fs.readFileSync(args.configPath, 'utf8')), args.overrides);
+
+        validateConfig(game, config);
+
+        const report = simulate(game, config);
+        const text = config.output === 'csv' ? toCSV(report) : JSON.stringify(report, null, 2) + '\n';
+
+        if (args.out) {
+            fs.writeFileSync(args.out, text);
+        } else {
+            process.stdout.write(text);
+        }
+    } catch (error) {
+        console.error(`simulate: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { simulate, toCSV };
\ No newline at end of file